@@ -0,0 +1,22 @@
+import { dbService } from "../../atomsmiths_db_api.js";
+import { checkCronSecret } from "../../lib/auth.js";
+
+/**
+ * Deletes expired sign-in links and sessions that have expired or been
+ * revoked.
+ * Scheduled by the `crons` entry in vercel.json.
+ */
+export default async function handler(req, res) {
+  try {
+    checkCronSecret(req);
+    const result = await dbService.purgeExpiredSessions();
+    res.status(200).json({ ok: true, data: result });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,22 @@
+import { dbService } from "../../atomsmiths_db_api.js";
+import { checkCronSecret } from "../../lib/auth.js";
+
+/**
+ * Permanently deletes members, events and blog posts that have been in
+ * the trash longer than the retention window.
+ * Scheduled by the `crons` entry in vercel.json.
+ */
+export default async function handler(req, res) {
+  try {
+    checkCronSecret(req);
+    const result = await dbService.purgeTrash();
+    res.status(200).json({ ok: true, data: result });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,3 @@
+// Serves the full DB API at /api?action=... and, through the rewrites in
+// vercel.json, at REST paths such as /api/events/:id/rsvp.
+export { default } from "../atomsmiths_db_api.js";
@@ -1,61 +1,88 @@
-import { MongoClient } from "mongodb";
+import { dbService } from "../atomsmiths_db_api.js";
+import { ApiError } from "../lib/errors.js";
+import { AuthError, issueFormToken, readFormToken } from "../lib/auth.js";
+import { applyCors, getClientIp, readJsonBody } from "../lib/http.js";
+import { checkRateLimit, createRateLimitStore } from "../lib/rate-limit.js";
+import { runWithRequest } from "../lib/activity.js";
 
-let cached = global._mongo;
-if (!cached) {
-  cached = global._mongo = { conn: null, promise: null };
-}
+const HOUR_MS = 60 * 60 * 1000;
 
-async function connectToDatabase(uri) {
-  if (cached.conn) return cached.conn;
-  if (!cached.promise) {
-    const client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 });
-    cached.promise = client.connect().then((client) => {
-      return { client, db: client.db(process.env.MONGODB_DB || "atomsmiths") };
-    });
-  }
-  cached.conn = await cached.promise;
-  return cached.conn;
-}
+// The join form is a handful of short fields; anything bigger isn't a person
+const MAX_BODY_BYTES = 4 * 1024;
+
+const LIMITS = {
+  ip: { limit: Number(process.env.JOIN_RATE_LIMIT_IP) || 10, windowMs: HOUR_MS },
+  email: { limit: Number(process.env.JOIN_RATE_LIMIT_EMAIL) || 3, windowMs: HOUR_MS }
+};
+
+// Submissions faster than this (ms since the form token was issued) are treated as bots
+const MIN_FILL_MS = 3000;
 
+const FORM = "join";
+
+const SUCCESS_MESSAGE = "Application received! Check your email to confirm your address.";
+
+const rateLimits = createRateLimitStore();
+
+/**
+ * GET issues the signed token the form is shown with; POST submits it
+ */
 export default async function handler(req, res) {
-  // CORS
-  res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  const originAllowed = applyCors(req, res, { methods: "GET, POST, OPTIONS" });
 
   if (req.method === "OPTIONS") {
-    res.status(200).end();
+    res.status(originAllowed ? 200 : 403).end();
     return;
   }
-  if (req.method !== "POST") {
-    res.status(405).json({ error: "Method Not Allowed" });
+  if (!originAllowed) {
+    res.status(403).json({ error: "Origin not allowed" });
     return;
   }
-
-  let body = req.body;
-  if (typeof body === "string") {
-    try { body = JSON.parse(body); } catch {}
-  }
-  const { name, email, department, year, interests } = body || {};
-  if (!name || !email) {
-    res.status(400).json({ error: "name and email are required" });
-    return;
-  }
-  const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  if (!emailOk) {
-    res.status(400).json({ error: "invalid email" });
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ error: "Method Not Allowed" });
     return;
   }
 
   try {
-    const { db } = await connectToDatabase(process.env.MONGODB_URI);
-    await db.collection("members").insertOne({
-      name, email, department: department || null, year: year || null,
-      interests: interests || null, createdAt: new Date()
-    });
-    res.status(200).json({ ok: true, message: "Thanks for joining!" });
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", "no-store");
+      res.status(200).json({ ok: true, data: { formToken: issueFormToken(FORM) } });
+      return;
+    }
+
+    const body = readJsonBody(req, MAX_BODY_BYTES);
+    await checkRateLimit(rateLimits, `join:ip:${getClientIp(req)}`, LIMITS.ip);
+
+    // Hidden from people, so only bots fill it. Pretend it worked so they move on.
+    if (body.website) {
+      res.status(200).json({ ok: true, message: SUCCESS_MESSAGE });
+      return;
+    }
+
+    let shownAt;
+    try {
+      shownAt = readFormToken(body.formToken, FORM);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      throw new ApiError("This form has expired. Please reload the page and submit again.", 400);
+    }
+    if (Date.now() - shownAt < MIN_FILL_MS) {
+      throw new ApiError("That was quick! Please check your details and submit again.", 400);
+    }
+
+    if (typeof body.email === "string" && body.email.trim()) {
+      await checkRateLimit(rateLimits, `join:email:${body.email.trim().toLowerCase()}`, LIMITS.email);
+    }
+
+    // Same validation, normalization and duplicate check as ?action=members
+    await runWithRequest(req, () => dbService.registerMember(body));
+    res.status(200).json({ ok: true, message: SUCCESS_MESSAGE });
   } catch (err) {
+    if (err.status && err.status < 500) {
+      if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+      res.status(err.status).json({ error: err.message, ...(err.fields && { fields: err.fields }) });
+      return;
+    }
     console.error(err);
     res.status(500).json({ error: "Server error" });
   }
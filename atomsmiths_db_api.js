@@ -1,61 +1,718 @@
-import { MongoClient } from "mongodb";
-// Uncomment below if using MySQL
-// import mysql from 'mysql2/promise';
+import crypto from "crypto";
+import { createStorage } from "./lib/storage/index.js";
+import { ApiError, ValidationError, NotFoundError, ConflictError } from "./lib/errors.js";
+import {
+  AuthError, authorize, can, hasRole, getRequestUser, issueMemberToken,
+  hashPassword, verifyPassword, checkBootstrapToken,
+  issueVerificationToken, readVerificationToken, getVerificationTtl,
+  issueEmailChangeToken, readEmailChangeToken,
+  SESSION_COOKIE, getMagicLinkTtl, getSessionTtl, issueMagicLinkToken, readMagicLinkToken,
+  newSessionToken, hashSessionToken
+} from "./lib/auth.js";
+import {
+  APPLICATION_STATUSES, validate, memberSchema, memberUpdateSchema, passwordSchema,
+  applicationReviewSchema, eventSchema, blogSchema, blogUpdateSchema, projectSchema,
+  cycleSchema, cycleTeamSchema, deliverableSubmissionSchema, deliverableReviewSchema,
+  SEARCH_TYPES, searchSchema, analyticsSchema, occurrenceSchema, activityQuerySchema,
+  memberListSchema, eventListSchema, blogListSchema, profileSchema, memberExportSchema, eventExportSchema, memberImportSchema, eventImportSchema,
+  REACTION_EMOJI, commentSchema, commentModerationSchema, commentQuerySchema, reactionSchema
+} from "./lib/validation.js";
+import { renderMarkdown, slugify } from "./lib/markdown.js";
+import { plainText, scoreDocument, highlight } from "./lib/search.js";
+import { createMailer, renderTemplate } from "./lib/mail/index.js";
+import { applyCors, getClientIp, readCookie, setCookie, sendFile, sendPage } from "./lib/http.js";
+import { checkRateLimit, createRateLimitStore } from "./lib/rate-limit.js";
+import { toCsv, parseCsv } from "./lib/csv.js";
+import { eventsToIcs, formatDateTime } from "./lib/ical.js";
+import { parseRRule, formatRRule, expandStarts } from "./lib/recurrence.js";
+import { membersToVCard } from "./lib/vcard.js";
+import { bucketKey, bucketRange, parseRangeDate, defaultRangeStart } from "./lib/analytics.js";
+import { isValidTimeZone, startOfDay } from "./lib/timezone.js";
+import {
+  runWithRequest, currentRequest, setCurrentActor, currentActor, diffChanges, publicActivity
+} from "./lib/activity.js";
+import { earnedBadges } from "./lib/badges.js";
+import { commentFlags } from "./lib/moderation.js";
+import {
+  encodeCursor, decodeCursor, sortKeys, pageCursor, readPageCursor, afterFilter, compareKeys
+} from "./lib/cursor.js";
 
-// Database connection caching for MongoDB
-let cached = global._mongo;
-if (!cached) {
-  cached = global._mongo = { conn: null, promise: null };
+/**
+ * Strips credential fields before a member leaves the service
+ */
+function sanitizeMember(member) {
+  if (!member) return member;
+  const { passwordHash, ...rest } = member;
+  return rest;
 }
 
-// Database connection caching for MySQL (if using)
-let mysqlPool = null;
+// ====================================================
+// TRASH
+// ====================================================
+
+// Deleted members, events and blogs keep a `deletedAt` date until purged
+const NOT_DELETED = { deletedAt: null };
+
+const TRASH_COLLECTIONS = ['members', 'events', 'blogs'];
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 /**
- * MongoDB Connection Handler
+ * How long deleted records stay restorable (TRASH_RETENTION_DAYS)
  */
-async function connectToMongoDB(uri) {
-  if (cached.conn) return cached.conn;
-  if (!cached.promise) {
-    const client = new MongoClient(uri, { 
-      serverSelectionTimeoutMS: 5000,
-      maxPoolSize: 10,
-      minPoolSize: 2
-    });
-    cached.promise = client.connect().then((client) => {
-      return { client, db: client.db(process.env.MONGODB_DB || "atomsmiths") };
-    });
+function trashRetentionMs() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+// ====================================================
+// MEMBERSHIP APPLICATIONS
+// ====================================================
+
+// Allowed next statuses for each application status
+const APPLICATION_TRANSITIONS = {
+  pending: ['interview', 'accepted', 'rejected', 'waitlisted'],
+  interview: ['accepted', 'rejected', 'waitlisted'],
+  waitlisted: ['interview', 'accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+// Members who joined before applications existed have no status and count as accepted
+const ACCEPTED_MEMBERS = { ...NOT_DELETED, applicationStatus: { $in: ['accepted', null] } };
+
+// ====================================================
+// MEMBER PROFILES
+// ====================================================
+
+// Everything else on a member record stays private; email is opt-in
+const PUBLIC_PROFILE_FIELDS = [
+  'name', 'department', 'year', 'interests', 'bio', 'avatarUrl', 'skills', 'githubUrl', 'linkedinUrl', 'joinedAt'
+];
+
+// Posts, projects and events listed on a profile
+const PROFILE_LIST_LIMIT = 20;
+
+/**
+ * The fields of a member anyone may see
+ */
+function publicProfile(member) {
+  const profile = { _id: member._id };
+  for (const field of PUBLIC_PROFILE_FIELDS) {
+    profile[field] = member[field] ?? (field === 'skills' ? [] : null);
   }
-  cached.conn = await cached.promise;
-  return cached.conn;
+  profile.email = member.emailVisible === true ? member.email : null;
+  return profile;
 }
 
+// ====================================================
+// EMAIL VERIFICATION
+// ====================================================
+
+// Sign-ups from before verification existed have no flag and count as verified
+const VERIFIED_EMAIL = { emailVerified: { $ne: false } };
+
+// Verification emails to one sign-up are at least this far apart
+const VERIFICATION_RESEND_MS = 5 * 60 * 1000;
+
 /**
- * MySQL Connection Handler (uncomment if using MySQL)
+ * Domains sign-ups are restricted to (ALLOWED_EMAIL_DOMAINS, comma-separated);
+ * empty when any domain is allowed
  */
-/*
-async function connectToMySQL() {
-  if (!mysqlPool) {
-    mysqlPool = mysql.createPool({
-      host: process.env.MYSQL_HOST || 'localhost',
-      user: process.env.MYSQL_USER || 'root',
-      password: process.env.MYSQL_PASSWORD || '',
-      database: process.env.MYSQL_DATABASE || 'atomsmiths_club',
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    });
+function allowedEmailDomains() {
+  return (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+function isAllowedEmail(email, domains) {
+  const domain = email.split('@').pop();
+  return domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+// ====================================================
+// SESSIONS
+// ====================================================
+
+// How stale a session's lastSeenAt may get before a request refreshes it
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+// A member without a password sets their first one only this soon after
+// signing in with an emailed link, so a stolen session cookie can't
+const FIRST_PASSWORD_SIGNIN_MS = 10 * 60 * 1000;
+
+/**
+ * A session as shown to its member, without the cookie hash
+ */
+function publicSession(session) {
+  const { tokenHash, ...rest } = session;
+  return rest;
+}
+
+// ====================================================
+// EVENT CALENDAR
+// ====================================================
+
+// How long a deleted event stays in the feed as a cancellation
+const CANCELLATION_FEED_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * A deleted event's tombstone in the shape the iCalendar writer expects
+ */
+function cancelledEvent(cancellation) {
+  const { eventId, cancelledAt, _id, ...rest } = cancellation;
+  return { ...rest, _id: eventId, updatedAt: cancelledAt, cancelled: true };
+}
+
+// ====================================================
+// EVENT RECURRENCE
+// ====================================================
+
+// How far ahead repeating events are expanded when a window has no end
+const OCCURRENCE_HORIZON_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Longest window getEvents will expand
+const MAX_OCCURRENCE_WINDOW_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Changing any of these reschedules an event, so calendars need a new SEQUENCE
+const SCHEDULE_FIELDS = ['eventDate', 'endDate', 'timezone', 'rrule', 'exceptions'];
+
+function eventTimeZone(event) {
+  return event.timezone || process.env.EVENT_TIMEZONE || 'UTC';
+}
+
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Turns the `recurrence`/`recurrenceEnd` inputs into a stored `rrule` and
+ * checks the time fields against each other (and the stored event on updates)
+ */
+function normalizeEventTimes(fields, existing = {}) {
+  const { recurrence, recurrenceEnd, ...values } = fields;
+  const errors = {};
+
+  if (values.timezone && !isValidTimeZone(values.timezone)) {
+    errors.timezone = 'Time zone must be an IANA name such as Asia/Kolkata';
+  }
+  const start = values.eventDate || existing.eventDate;
+  const end = 'endDate' in values ? values.endDate : existing.endDate;
+  if (start && end && new Date(end) <= new Date(start)) {
+    errors.endDate = 'End must be after the start';
+  }
+
+  if (recurrence !== undefined || recurrenceEnd) {
+    const text = recurrence === undefined ? existing.rrule : recurrence;
+    if (!text) {
+      if (recurrenceEnd) errors.recurrenceEnd = 'Choose how the event repeats first';
+      values.rrule = null;
+    } else {
+      try {
+        const rule = parseRRule(text);
+        if (recurrenceEnd) {
+          // A date picked without a time includes that whole day
+          const until = new Date(recurrenceEnd);
+          const wholeDay = until.getTime() % (24 * 60 * 60 * 1000) === 0;
+          Object.assign(rule, { count: null, until: wholeDay ? new Date(until.getTime() + 24 * 60 * 60 * 1000 - 1000) : until });
+        }
+        values.rrule = formatRRule(rule);
+      } catch (error) {
+        errors.recurrence = `Repeats: ${error.message}`;
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+  return values;
+}
+
+/**
+ * Occurrences of an event overlapping [from, to): the event itself when it
+ * doesn't repeat, else one copy per occurrence with its own times,
+ * overrides applied, `seriesId`, `occurrenceId` (the original start as
+ * 20261020T180000Z) and `cancelled` for exceptions.
+ */
+function eventOccurrences(event, from, to) {
+  const start = new Date(event.eventDate);
+  const duration = event.endDate ? new Date(event.endDate) - start : null;
+  const overlaps = (occurrenceStart, occurrenceEnd) =>
+    occurrenceStart < to && (occurrenceEnd || occurrenceStart) >= from;
+
+  if (!event.rrule) {
+    return overlaps(start, event.endDate && new Date(event.endDate)) ? [event] : [];
+  }
+
+  const { exceptions = [], overrides = [], ...series } = event;
+  const overrideFor = (original) => overrides.find(o => sameInstant(o.occurrence, original)) || {};
+
+  return expandStarts(start, parseRRule(event.rrule), eventTimeZone(event), { to }).flatMap(original => {
+    const { occurrence, ...override } = overrideFor(original);
+    const occurrenceStart = override.eventDate ? new Date(override.eventDate) : original;
+    const occurrenceEnd = override.endDate ? new Date(override.endDate)
+      : duration ? new Date(occurrenceStart.getTime() + duration) : null;
+    if (!overlaps(occurrenceStart, occurrenceEnd)) return [];
+    return [{
+      ...series,
+      ...override,
+      eventDate: occurrenceStart,
+      endDate: occurrenceEnd,
+      seriesId: String(event._id),
+      occurrenceId: formatDateTime(original),
+      cancelled: exceptions.some(date => sameInstant(date, original))
+    }];
+  });
+}
+
+/**
+ * The next occurrence of an event still to start, or null
+ */
+function nextOccurrence(event, now = new Date()) {
+  if (!event.rrule) {
+    return new Date(event.eventDate) > now ? event : null;
+  }
+  return eventOccurrences(event, now, new Date(now.getTime() + MAX_OCCURRENCE_WINDOW_MS))
+    .find(occurrence => !occurrence.cancelled && occurrence.eventDate > now) || null;
+}
+
+/**
+ * Reads an occurrence reference: 20261020T180000Z or any date string
+ */
+function parseOccurrenceId(value) {
+  const compact = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  const date = compact
+    ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4], compact[5], compact[6]))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Orders documents like a storage sort (`{ field: 1 | -1 }`)
+ */
+function compareBy(sort) {
+  const keys = Object.entries(sort);
+  return (a, b) => {
+    for (const [field, direction] of keys) {
+      const x = a[field] instanceof Date ? a[field].getTime() : a[field];
+      const y = b[field] instanceof Date ? b[field].getTime() : b[field];
+      if (x === y) continue;
+      if (x === null || x === undefined) return -direction;
+      if (y === null || y === undefined) return direction;
+      return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Generates a short, unambiguous one-time check-in code
+ */
+function generateCheckInCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(6), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// How far from its start a session of a repeating event takes check-ins
+const CHECK_IN_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * The session of a repeating event to check in to: the one named by
+ * `occurrenceId`, else the one starting nearest now
+ */
+function checkInOccurrence(event, occurrenceId, now = new Date()) {
+  const sessions = eventOccurrences(
+    event, new Date(now.getTime() - CHECK_IN_WINDOW_MS), new Date(now.getTime() + CHECK_IN_WINDOW_MS)
+  ).filter(occurrence => !occurrence.cancelled);
+
+  const distance = (occurrence) => Math.abs(occurrence.eventDate - now);
+  const original = occurrenceId && parseOccurrenceId(occurrenceId);
+  const session = occurrenceId
+    ? sessions.find(occurrence => original && occurrence.occurrenceId === formatDateTime(original))
+    : sessions.sort((a, b) => distance(a) - distance(b))[0];
+  if (!session) {
+    throw new ValidationError({ occurrence: occurrenceId ? 'That session is not on now' : 'No session of this event is on now' });
+  }
+  return session;
+}
+
+/**
+ * A checked-in RSVP can't be cancelled, unless it is to a series with
+ * sessions still to come
+ */
+function attendanceLocked(rsvp, event) {
+  return Boolean(rsvp.checkedInAt) && !(event?.rrule && nextOccurrence(event));
+}
+
+/**
+ * Hides an RSVP's check-in code from everyone but its holder
+ */
+function withoutCheckInCode(rsvp) {
+  if (!rsvp) return rsvp;
+  const { checkInCode, ...rest } = rsvp;
+  return rest;
+}
+
+// ====================================================
+// BLOG PUBLISHING
+// ====================================================
+
+// Posts written before the publishing workflow have no status and count as published
+function liveBlogsFilter(now = new Date()) {
+  return {
+    ...NOT_DELETED,
+    status: { $in: ['published', null] },
+    $or: [{ publishAt: null }, { publishAt: { $lte: now } }]
+  };
+}
+
+// Statuses that change what the public can see
+const PUBLISHING_STATUSES = ['published', 'archived'];
+
+/**
+ * Hides the author's email, which is only shown where they opted in
+ */
+function withoutAuthorEmail(blog) {
+  if (!blog) return blog;
+  const { authorEmail, ...rest } = blog;
+  return rest;
+}
+
+/**
+ * True when a post is published and its publish date has passed
+ */
+function isBlogLive(blog, now = new Date()) {
+  if (!blog || blog.deletedAt) return false;
+  const published = !blog.status || blog.status === 'published';
+  return published && (!blog.publishAt || new Date(blog.publishAt) <= now);
+}
+
+// ====================================================
+// BLOG COMMENTS
+// ====================================================
+
+// Comments counted on posts and shown in threads
+const VISIBLE_COMMENTS = { status: 'approved', deletedAt: null };
+
+// Levels of replies under a top-level comment
+const MAX_COMMENT_DEPTH = 3;
+
+/**
+ * A comment as readers see it. Removed (deleted or hidden) comments that
+ * still have replies keep their place in the thread without their content.
+ */
+function publicComment(comment, { removed = false } = {}) {
+  const { _id, blogId, parentId, depth, authorId, authorName, content, status, createdAt } = comment;
+  return removed
+    ? { _id, blogId, parentId, depth, removed: true, createdAt }
+    : { _id, blogId, parentId, depth, authorId, authorName, content, status, createdAt };
+}
+
+/**
+ * Nests comments (oldest first) under their parents. Removed comments stay
+ * only while they have replies to show; replies whose parent is gone
+ * entirely move up to the top level.
+ */
+function commentThread(comments) {
+  const nodes = new Map(comments.map(comment => [String(comment._id), { ...comment, replies: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    (parent ? parent.replies : roots).push(node);
+  }
+  const prune = (list) => list
+    .map(node => ({ ...node, replies: prune(node.replies) }))
+    .filter(node => !node.removed || node.replies.length > 0);
+  return prune(roots);
+}
+
+// ====================================================
+// LISTINGS
+// ====================================================
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Fields each listing may be sorted by (`?sort=field`, or `-field` for descending)
+const SORT_FIELDS = {
+  members: ['joinedAt', 'name', 'email', 'department', 'year', 'role'],
+  events: ['eventDate', 'title', 'location', 'capacity', 'createdAt'],
+  blogs: ['publishAt', 'createdAt', 'title', 'authorName', 'status'],
+  comments: ['createdAt', 'authorName', 'status']
+};
+
+/**
+ * Turns a `?sort=` value into a storage sort, or `fallback` when none is given
+ */
+function parseSort(value, allowed, fallback) {
+  if (!value) return fallback;
+  const descending = String(value).startsWith('-');
+  const field = descending ? String(value).slice(1) : String(value);
+  if (!allowed.includes(field)) {
+    throw new ValidationError({ sort: `Sort must be one of: ${allowed.join(', ')}` });
+  }
+  return { [field]: descending ? -1 : 1 };
+}
+
+/**
+ * Storage condition for dates in [from, to); either end may be open
+ */
+function dateRange(from, to) {
+  return {
+    ...(from && { $gte: from }),
+    ...(to && { $lt: to })
+  };
+}
+
+/**
+ * The list envelope for the first `pageSize` of `items` (fetched one
+ * extra to tell whether another page follows)
+ */
+function pageOf(items, keys, pageSize, total = null) {
+  return {
+    items: items.slice(0, pageSize),
+    nextCursor: items.length > pageSize ? pageCursor(items[pageSize - 1], keys) : null,
+    ...(total !== null && { total })
+  };
+}
+
+// ====================================================
+// SEARCH
+// ====================================================
+
+// Searchable fields and their ranking weights per entity
+const SEARCH_FIELDS = {
+  blogs: { title: 3, content: 1 },
+  events: { title: 3, location: 2, description: 1 },
+  members: { name: 3, department: 2, interests: 1 }
+};
+
+// Matches fetched per entity before ranking and paging
+const SEARCH_CANDIDATES = 200;
+
+// ====================================================
+// SPRINT CYCLES
+// ====================================================
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CYCLE_WEEKS = 8;
+
+// The cycle's four two-week phases, in order; keys match SPRINT_PHASES
+const CYCLE_PHASES = [
+  { key: 'discovery', name: 'Problem Discovery', weeks: [1, 2] },
+  { key: 'brainstorm', name: 'Solution Brainstorm', weeks: [3, 4] },
+  { key: 'build', name: 'Build & Test MVP', weeks: [5, 6] },
+  { key: 'demo', name: 'Deploy & Demo', weeks: [7, 8] }
+];
+
+function emptyDeliverable() {
+  return {
+    status: 'pending',
+    url: null,
+    note: null,
+    submittedAt: null,
+    submittedBy: null,
+    feedback: null,
+    reviewedAt: null,
+    reviewedBy: null
+  };
+}
+
+/**
+ * Adds the schedule computed from a cycle's start date (status, current
+ * week and phase, phase dates) and each team's deliverable progress
+ */
+function withCycleProgress(cycle, now = new Date()) {
+  if (!cycle) return cycle;
+
+  const start = new Date(cycle.startDate);
+  const elapsedWeeks = Math.floor((now - start) / WEEK_MS);
+  const status = now < start ? 'upcoming' : elapsedWeeks >= CYCLE_WEEKS ? 'completed' : 'active';
+
+  const phases = CYCLE_PHASES.map(phase => {
+    const startDate = new Date(start.getTime() + (phase.weeks[0] - 1) * WEEK_MS);
+    const endDate = new Date(start.getTime() + phase.weeks[1] * WEEK_MS);
+    const phaseStatus = now < startDate ? 'upcoming' : now >= endDate ? 'done' : 'active';
+    return { ...phase, startDate, endDate, status: phaseStatus };
+  });
+
+  const teams = (cycle.teams || []).map(team => {
+    const deliverables = Object.fromEntries(phases.map(phase => {
+      const deliverable = team.deliverables?.[phase.key] || emptyDeliverable();
+      const overdue = deliverable.status === 'pending' && phase.status === 'done';
+      return [phase.key, { ...deliverable, overdue }];
+    }));
+    const entries = Object.values(deliverables);
+    const approved = entries.filter(d => d.status === 'approved').length;
+    return {
+      ...team,
+      deliverables,
+      progress: {
+        submitted: entries.filter(d => d.status !== 'pending').length,
+        approved,
+        total: entries.length,
+        percent: Math.round(approved * 100 / entries.length)
+      }
+    };
+  });
+
+  return {
+    ...cycle,
+    status,
+    currentWeek: status === 'active' ? elapsedWeeks + 1 : null,
+    currentPhase: phases.find(phase => phase.status === 'active')?.key || null,
+    phases,
+    teams
+  };
+}
+
+// ====================================================
+// NOTIFICATIONS
+// ====================================================
+
+const DEFAULT_MAIL_FROM = 'Atomsmiths Club <no-reply@atomsmiths.club>';
+
+// Delivery is retried with exponential backoff: 1, 2, 4, 8 minutes
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between two blog digests
+const DIGEST_INTERVAL_MS = 7 * DAY_MS;
+
+/**
+ * Delivery log entry without the rendered message bodies
+ */
+function withoutMessageBody(notification) {
+  if (!notification) return notification;
+  const { text, html, ...rest } = notification;
+  return rest;
+}
+
+// ====================================================
+// EXPORT & IMPORT
+// ====================================================
+
+const DEFAULT_EXPORT_FIELDS = {
+  members: ['name', 'email', 'department', 'year', 'interests', 'joinedAt'],
+  events: ['title', 'eventDate', 'location', 'capacity']
+};
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  vcf: 'text/vcard; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Builds the download for an export: CSV and JSON carry the selected
+ * fields, vCard and iCalendar have fixed contents
+ */
+function exportFile(entity, format, records, fields, render) {
+  const date = new Date().toISOString().slice(0, 10);
+  const picked = records.map(record => Object.fromEntries(fields.map(field => [field, record[field] ?? null])));
+  return {
+    filename: `atomsmiths-${entity}-${date}.${format}`,
+    contentType: EXPORT_CONTENT_TYPES[format],
+    body: format === 'csv' ? toCsv(picked, fields)
+      : format === 'json' ? JSON.stringify(picked, null, 2)
+      : render(records)
+  };
+}
+
+/**
+ * Import rows from a request body: `{ rows: [...] }` or `{ csv: "..." }`
+ * with a header row naming the fields
+ */
+function readImportRows(input) {
+  const rows = typeof input?.csv === 'string' ? parseCsv(input.csv) : input?.rows;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError({ rows: 'Provide a non-empty rows array or csv text' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError({ rows: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+  }
+  return rows;
+}
+
+// ====================================================
+// ACTIVITY LOG
+// ====================================================
+
+// Entity types that can show up in the public feed
+const PUBLIC_ACTIVITY_TYPES = ['member', 'blog', 'comment', 'event', 'rsvp'];
+
+const MAX_PUBLIC_ACTIVITY = 50;
+
+// Log entries the public feed reads to find enough it may show
+const PUBLIC_ACTIVITY_SCAN = 500;
+
+const DEFAULT_ACTIVITY_PAGE = 50;
+
+// What an RSVP entry references besides the RSVP itself
+const rsvpContext = (rsvp) => ({ eventId: rsvp.eventId, memberId: rsvp.memberId, memberName: rsvp.memberName });
+
+// Comments have no title of their own, so entries name the post and author
+const commentContext = (comment, blog) => ({
+  blogId: comment.blogId,
+  blogTitle: blog?.title || null,
+  authorName: comment.authorName
+});
+
+// ====================================================
+// ANALYTICS
+// ====================================================
+
+// Keeps day buckets over long ranges from producing huge responses
+const MAX_ANALYTICS_BUCKETS = 400;
+
+const DEFAULT_RETENTION_WEEKS = 4;
+
+/**
+ * Time zone for "today" and analytics buckets: the requested one, else
+ * ANALYTICS_TIMEZONE, else UTC
+ */
+function resolveTimeZone(timeZone) {
+  const resolved = timeZone || process.env.ANALYTICS_TIMEZONE || 'UTC';
+  if (!isValidTimeZone(resolved)) {
+    throw new ValidationError({ timezone: 'Time zone must be an IANA name such as Europe/London' });
+  }
+  return resolved;
+}
+
+/**
+ * Counts dates per bucket, aligned with `buckets`; dates outside are ignored
+ */
+function countByBucket(dates, buckets, interval, timeZone) {
+  const index = new Map(buckets.map((key, i) => [key, i]));
+  const counts = buckets.map(() => 0);
+  for (const date of dates) {
+    const i = index.get(bucketKey(date, interval, timeZone));
+    if (i !== undefined) counts[i]++;
   }
-  return mysqlPool;
+  return counts;
+}
+
+function cumulative(counts, base = 0) {
+  let total = base;
+  return counts.map(count => (total += count));
 }
-*/
 
 /**
  * Database Service Class
+ * Business rules live here; persistence goes through a storage adapter
+ * selected by DB_TYPE ('mongodb', 'mysql' or 'memory'), see lib/storage.
+ * Email goes through the transport selected by MAIL_TRANSPORT, see lib/mail.
  */
 class DatabaseService {
-  constructor() {
-    this.dbType = process.env.DB_TYPE || 'mongodb'; // 'mongodb' or 'mysql'
+  constructor(storage = createStorage(), mailer = createMailer()) {
+    this.storage = storage;
+    this.dbType = storage.type;
+    this.mailer = mailer;
   }
 
   // ====================================================
@@ -63,642 +720,2923 @@ class DatabaseService {
   // ====================================================
 
   async registerMember(memberData) {
-    const { name, email, department, year, interests } = memberData;
-    
-    // Validation
-    if (!name || !email) {
-      throw new Error('Name and email are required');
-    }
-    
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      throw new Error('Invalid email format');
-    }
-
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      // Check if email already exists
-      const existingMember = await db.collection("members").findOne({ email });
-      if (existingMember) {
-        throw new Error('Email already registered');
-      }
-      
-      const member = {
-        name: name.trim(),
-        email: email.toLowerCase().trim(),
-        department: department?.trim() || null,
-        year: year || null,
-        interests: interests?.trim() || null,
-        joinedAt: new Date(),
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("members").insertOne(member);
-      return { ...member, _id: result.insertedId };
-      
-    } else if (this.dbType === 'mysql') {
-      // MySQL implementation using stored procedures
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL register_member(?, ?, ?, ?)',
-        [name.trim(), email.toLowerCase().trim(), department?.trim() || '', year || '']
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
-  }
-
-  async getMembers(limit = 100, skip = 0) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const members = await db.collection("members")
-        .find({})
-        .sort({ joinedAt: -1 })
-        .limit(limit)
-        .skip(skip)
-        .toArray();
-      return members;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_members()');
-      return rows[0];
-      */
-      throw new Error('MySQL implementation not enabled');
+    const { name, email, department, year, interests } = validate(memberSchema, memberData);
+
+    const domains = allowedEmailDomains();
+    if (domains.length && !isAllowedEmail(email, domains)) {
+      throw new ValidationError({
+        email: `Use your college email address (${domains.map(d => `@${d}`).join(' or ')})`
+      });
     }
+
+    // Check if email already exists; signing up again before verifying keeps
+    // the pending application and just sends the link again
+    const existingMember = await this.storage.members.findOne({ email });
+    if (existingMember && existingMember.emailVerified !== false) {
+      throw new ConflictError('Email already registered', 'email');
+    }
+    if (existingMember) {
+      return sanitizeMember(await this.refreshVerification(existingMember));
+    }
+
+    // New sign-ups start as unverified, pending applications; joinedAt is set on acceptance
+    const now = new Date();
+    const member = await this.storage.members.insert({
+      name,
+      email,
+      department,
+      year,
+      interests,
+      role: 'member',
+      applicationStatus: 'pending',
+      applicationHistory: [{ from: null, to: 'pending', reviewerId: null, reviewerName: null, note: null, at: now }],
+      appliedAt: now,
+      statusChangedAt: now,
+      reviewedBy: null,
+      joinedAt: null,
+      emailVerified: false,
+      emailVerifiedAt: null,
+      verificationExpiresAt: new Date(now.getTime() + getVerificationTtl() * 1000),
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('register', 'member', { after: member });
+    await this.sendVerificationEmail(member);
+    return sanitizeMember(member);
+  }
+
+  /**
+   * A page of members, newest first unless sorted otherwise, optionally
+   * by department, year, role and join date
+   */
+  async getMembers(params = {}) {
+    const { limit, cursor, sort, total, from, to, department, year, role } = validate(memberListSchema, params);
+    const filter = { ...ACCEPTED_MEMBERS };
+    if (department) filter.department = department;
+    if (year) filter.year = year;
+    // Members from before roles have none
+    if (role) filter.role = role === 'member' ? { $in: ['member', null] } : role;
+    if (from || to) filter.joinedAt = dateRange(from, to);
+
+    const page = await this.findPage('members', filter, {
+      sort: parseSort(sort, SORT_FIELDS.members, { joinedAt: -1 }),
+      limit,
+      cursor,
+      total
+    });
+    return { ...page, items: page.items.map(sanitizeMember) };
   }
 
   async getMemberById(memberId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      return await db.collection("members").findOne({ _id: new ObjectId(memberId) });
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_member_by_id(?)', [memberId]);
-      return rows[0][0] || null;
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
+    return sanitizeMember(await this.findLive('members', memberId));
   }
 
+  /**
+   * Updates a member's details. A new email address is only staged as
+   * `pendingEmail` until the link sent to it is used, see confirmEmailChange().
+   */
   async updateMember(memberId, updateData) {
-    const { name, email, department, year, interests } = updateData;
-    
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      // Check if email is taken by another member
-      if (email) {
-        const existingMember = await db.collection("members").findOne({
-          email: email.toLowerCase().trim(),
-          _id: { $ne: new ObjectId(memberId) }
-        });
-        if (existingMember) {
-          throw new Error('Email already taken by another member');
-        }
-      }
-      
-      const updateFields = {
-        ...(name && { name: name.trim() }),
-        ...(email && { email: email.toLowerCase().trim() }),
-        ...(department && { department: department.trim() }),
-        ...(year && { year }),
-        ...(interests && { interests: interests.trim() }),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("members").findOneAndUpdate(
-        { _id: new ObjectId(memberId) },
-        { $set: updateFields },
-        { returnDocument: 'after' }
-      );
-      
-      if (!result.value) {
-        throw new Error('Member not found');
+    const { email, ...fields } = validate(memberUpdateSchema, updateData, { partial: true });
+
+    const existing = await this.findLive('members', memberId);
+    if (!existing) {
+      throw new NotFoundError('Member not found');
+    }
+
+    // Check if email is taken by another member
+    const changesEmail = Boolean(email) && email !== existing.email;
+    if (changesEmail) {
+      await this.checkEmailAvailable(email, existing._id);
+    }
+
+    const member = await this.storage.members.update(memberId, {
+      ...fields,
+      ...(email && { pendingEmail: changesEmail ? email : null }),
+      updatedAt: new Date()
+    });
+    await this.logActivity('update', 'member', { before: existing, after: member });
+    if (changesEmail) {
+      await this.sendEmailChangeVerification(member);
+    }
+    return sanitizeMember(member);
+  }
+
+  /**
+   * Throws a ConflictError if another member, trashed ones included, has `email`
+   */
+  async checkEmailAvailable(email, memberId) {
+    const existingMember = await this.storage.members.findOne({
+      email,
+      _id: { $ne: memberId }
+    });
+    if (existingMember) {
+      throw new ConflictError('Email already taken by another member', 'email');
+    }
+  }
+
+  /**
+   * Moves a member and their blog posts to the trash. Their open RSVPs are
+   * cancelled so waitlisted members move up; everything else is kept
+   * until the trash is purged.
+   */
+  async deleteMember(memberId) {
+    const member = await this.findLive('members', memberId);
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    // Free up the member's event spots so waitlisted members move up
+    const activeRsvps = await this.storage.rsvps.find({
+      memberId: String(member._id),
+      status: { $in: ['going', 'waitlisted'] }
+    });
+    for (const rsvp of activeRsvps) {
+      if (attendanceLocked(rsvp, await this.findLive('events', rsvp.eventId))) continue;
+      await this.cancelRsvp(rsvp.eventId, member._id);
+    }
+
+    // Posts trashed with the member share its deletedAt, which is how
+    // restoreMember tells them from posts deleted on their own
+    const now = new Date();
+    const deleted = await this.storage.members.update(member._id, { deletedAt: now, updatedAt: now });
+    await this.logActivity('delete', 'member', { before: member, after: deleted });
+    await this.revokeSessions(member._id);
+    const blogs = await this.storage.blogs.find({ ...NOT_DELETED, authorId: String(member._id) });
+    for (const blog of blogs) {
+      const trashed = await this.storage.blogs.update(blog._id, { deletedAt: now, updatedAt: now });
+      await this.logActivity('delete', 'blog', { before: blog, after: trashed, context: { withMemberId: String(member._id) } });
+    }
+
+    return { message: 'Member deleted successfully' };
+  }
+
+  /**
+   * Permanently deletes a trashed member with their blogs, RSVPs and
+   * delivery log, and takes them off project and sprint teams
+   */
+  async purgeMember(memberId) {
+    const member = await this.storage.members.findById(memberId);
+    await this.storage.members.delete(memberId);
+    await this.logActivity('purge', 'member', { before: member });
+    await this.storage.blogs.deleteMany({ authorId: String(memberId) });
+    await this.storage.rsvps.deleteMany({ memberId: String(memberId) });
+    await this.storage.checkIns.deleteMany({ memberId: String(memberId) });
+    await this.storage.notifications.deleteMany({ memberId: String(memberId) });
+    await this.storage.loginLinks.deleteMany({ memberId: String(memberId) });
+    await this.storage.sessions.deleteMany({ memberId: String(memberId) });
+    await this.storage.reactions.deleteMany({ memberId: String(memberId) });
+    await this.storage.comments.deleteMany({ authorId: String(memberId) });
+
+    // Projects and sprint teams outlive their members; just take them off the team
+    const projects = await this.storage.projects.find({ memberIds: String(memberId) });
+    for (const project of projects) {
+      await this.storage.projects.update(project._id, {
+        memberIds: project.memberIds.filter(id => id !== String(memberId)),
+        team: project.team.filter(m => m.memberId !== String(memberId)),
+        updatedAt: new Date()
+      });
+    }
+    const cycles = await this.storage.cycles.find({});
+    for (const cycle of cycles.filter(c => c.teams.some(t => t.memberIds?.includes(String(memberId))))) {
+      await this.storage.cycles.update(cycle._id, {
+        teams: cycle.teams.map(t => ({
+          ...t,
+          memberIds: (t.memberIds || []).filter(id => id !== String(memberId)),
+          members: (t.members || []).filter(m => m.memberId !== String(memberId))
+        })),
+        updatedAt: new Date()
+      });
+    }
+  }
+
+  // ====================================================
+  // MEMBER PROFILES
+  // ====================================================
+
+  /**
+   * Updates the portfolio fields a member edits on their own profile
+   */
+  async updateProfile(memberId, profileData) {
+    const fields = validate(profileSchema, profileData, { partial: true });
+
+    const existing = await this.findLive('members', memberId);
+    if (!existing) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (fields.skills) {
+      // Keeps the first spelling of each skill
+      const seen = new Set();
+      fields.skills = fields.skills.filter(skill => {
+        const key = skill.toLowerCase();
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+
+    const member = await this.storage.members.update(existing._id, { ...fields, updatedAt: new Date() });
+    await this.logActivity('update-profile', 'member', { before: existing, after: member });
+    return sanitizeMember(member);
+  }
+
+  /**
+   * A member's public portfolio: the profile fields anyone may see, their
+   * published posts, projects, events attended, sprint teams and badges.
+   * Only accepted members have one.
+   */
+  async getPublicProfile(memberId) {
+    const member = await this.storage.members.findOne({ ...ACCEPTED_MEMBERS, _id: memberId });
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+    const id = String(member._id);
+
+    const [posts, projects, checkIns, cycles] = await Promise.all([
+      this.getBlogs({ author: id, limit: PROFILE_LIST_LIMIT, total: true }),
+      this.storage.projects.find({ memberIds: id }, { sort: { createdAt: -1 } }),
+      this.storage.checkIns.find({ memberId: id }, { sort: { checkedInAt: -1 } }),
+      this.storage.cycles.find({}, { sort: { startDate: -1 } })
+    ]);
+
+    const events = await this.storage.events.find({ ...NOT_DELETED, _id: { $in: [...new Set(checkIns.map(c => c.eventId))] } });
+    const liveEvents = new Map(events.map(event => [String(event._id), event]));
+    const attended = checkIns.filter(checkIn => liveEvents.has(checkIn.eventId));
+
+    // Each session of a repeating event counts towards badges; the list shows the event once
+    const attendedEvents = new Map();
+    for (const checkIn of attended) {
+      const entry = attendedEvents.get(checkIn.eventId);
+      if (entry) {
+        entry.sessions++;
+      } else {
+        const event = liveEvents.get(checkIn.eventId);
+        attendedEvents.set(checkIn.eventId, {
+          _id: event._id, title: event.title, location: event.location || null, attendedAt: checkIn.checkedInAt, sessions: 1
+        });
+      }
+    }
+    const sprints = cycles.flatMap(cycle => cycle.teams
+      .filter(team => team.memberIds?.includes(id))
+      .map(team => ({ cycleId: cycle._id, name: cycle.name, startDate: cycle.startDate, team: team.name })));
+
+    return {
+      ...publicProfile(member),
+      blogs: posts.items.map(({ _id, title, slug, publishAt, tags, coverImageUrl }) =>
+        ({ _id, title, slug, publishAt, tags, coverImageUrl })),
+      projects: projects
+        .filter(project => project.status !== 'archived')
+        .slice(0, PROFILE_LIST_LIMIT)
+        .map(({ _id, title, track, icon, status, tags, repoUrl, demoUrl }) =>
+          ({ _id, title, track, icon, status, tags, repoUrl, demoUrl })),
+      eventsAttended: [...attendedEvents.values()].slice(0, PROFILE_LIST_LIMIT),
+      sprints,
+      badges: earnedBadges({
+        role: member.role,
+        posts: posts.total,
+        attended: attended.length,
+        projects: projects.length,
+        sprints: sprints.length
+      })
+    };
+  }
+
+  // ====================================================
+  // MEMBER AUTHENTICATION
+  // ====================================================
+
+  async authenticateMember(email, password) {
+    if (!email || !password) {
+      throw new ValidationError({
+        ...(!email && { email: 'Email is required' }),
+        ...(!password && { password: 'Password is required' })
+      });
+    }
+
+    const member = await this.storage.members.findOne({ ...NOT_DELETED, email: email.toLowerCase().trim() });
+    if (!member || !verifyPassword(password, member.passwordHash)) {
+      throw new AuthError('Invalid email or password');
+    }
+    return sanitizeMember(member);
+  }
+
+  /**
+   * Sets a member's password. Members changing their own (`currentPassword`
+   * not null) must give the current one, or, when they have none yet, be
+   * on a session opened by a sign-in link in the last few minutes.
+   * Bearer tokens issued before the change stop working.
+   */
+  async setMemberPassword(memberId, password, currentPassword = null, sessionId = null) {
+    validate(passwordSchema, { password });
+
+    const member = await this.findLive('members', memberId);
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+    if (currentPassword !== null && member.passwordHash && !verifyPassword(currentPassword, member.passwordHash)) {
+      throw new AuthError('Current password is incorrect', 403);
+    }
+    if (currentPassword !== null && !member.passwordHash) {
+      const session = sessionId ? await this.storage.sessions.findById(sessionId) : null;
+      const fresh = session && String(session.memberId) === String(member._id) &&
+        Date.now() - new Date(session.createdAt) < FIRST_PASSWORD_SIGNIN_MS;
+      if (!fresh) {
+        throw new AuthError('To set a password, sign in again with a new email link first', 403);
+      }
+    }
+
+    const now = new Date();
+    const updated = await this.storage.members.update(member._id, {
+      passwordHash: hashPassword(password),
+      tokensRevokedAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('password', 'member', { before: member, after: updated });
+    return { message: 'Password updated successfully' };
+  }
+
+  /**
+   * Creates the first admin account. Refuses once any admin exists.
+   * An existing member with the same email is promoted instead, and
+   * restored first (with their posts) if they are in the trash.
+   */
+  async bootstrapAdmin(adminData) {
+    const { name, email, password } = validate(
+      { name: memberSchema.name, email: memberSchema.email, ...passwordSchema },
+      adminData
+    );
+
+    const adminCount = await this.storage.members.count({ ...NOT_DELETED, role: 'admin' });
+    if (adminCount > 0) {
+      throw new AuthError('An admin account already exists', 403);
+    }
+
+    const now = new Date();
+    const credentials = {
+      role: 'admin',
+      passwordHash: hashPassword(password),
+      applicationStatus: 'accepted',
+      emailVerified: true,
+      verificationExpiresAt: null,
+      updatedAt: now
+    };
+
+    let existing = await this.storage.members.findOne({ email });
+    if (existing?.deletedAt) {
+      await this.restoreMember(existing._id);
+      existing = await this.storage.members.findById(existing._id);
+    }
+    const admin = existing
+      ? await this.storage.members.update(existing._id, credentials)
+      : await this.storage.members.insert({
+        name,
+        email,
+        department: null,
+        year: null,
+        interests: null,
+        applicationHistory: [],
+        appliedAt: now,
+        statusChangedAt: now,
+        reviewedBy: null,
+        joinedAt: now,
+        createdAt: now,
+        ...credentials
+      });
+    await this.logActivity('bootstrap', 'member', { before: existing, after: admin });
+    return sanitizeMember(admin);
+  }
+
+  // ====================================================
+  // MAGIC LINKS & SESSIONS
+  // ====================================================
+
+  /**
+   * Emails a single-use sign-in link to an accepted member. The response is
+   * the same whether or not the address belongs to one, so it can't be used
+   * to probe emails.
+   */
+  async requestMagicLink(email) {
+    const { email: address } = validate({ email: memberSchema.email }, { email });
+
+    const member = await this.storage.members.findOne({ ...ACCEPTED_MEMBERS, ...VERIFIED_EMAIL, email: address });
+    if (member) {
+      const req = currentRequest();
+      const now = new Date();
+      const link = await this.storage.loginLinks.insert({
+        memberId: String(member._id),
+        expiresAt: new Date(now.getTime() + getMagicLinkTtl() * 1000),
+        ip: req ? getClientIp(req) : null,
+        createdAt: now
+      });
+      await this.sendMagicLink(member, issueMagicLinkToken(member, link._id), link.expiresAt);
+    }
+    return { message: 'If that email belongs to a member, a sign-in link is on its way' };
+  }
+
+  /**
+   * Sent straight through the mailer instead of notifyMember(): the link is
+   * a credential, so it shouldn't sit in the notification queue, and a
+   * retry would arrive after it expired anyway.
+   */
+  async sendMagicLink(member, token, expiresAt) {
+    try {
+      const { subject, text, html } = renderTemplate('magicLink', { member, token, expiresAt });
+      await this.mailer.send({
+        from: process.env.MAIL_FROM || DEFAULT_MAIL_FROM,
+        to: member.email,
+        subject,
+        text,
+        html
+      });
+    } catch (error) {
+      console.error('Could not send sign-in link:', error);
+    }
+  }
+
+  /**
+   * Redeems a sign-in link and opens a session for its member. Returns the
+   * session and its cookie `token`; only a hash of the token is stored.
+   */
+  async redeemMagicLink(token) {
+    const { memberId, email, linkId } = readMagicLinkToken(token);
+
+    // Whichever request deletes the link first gets the session
+    if (!await this.storage.loginLinks.delete(linkId)) {
+      throw new AuthError('This sign-in link has already been used', 400);
+    }
+
+    const member = await this.storage.members.findOne({ ...ACCEPTED_MEMBERS, _id: memberId });
+    if (!member || member.email !== email) {
+      throw new AuthError('This sign-in link is no longer valid', 400);
+    }
+
+    const req = currentRequest();
+    const sessionToken = newSessionToken();
+    const now = new Date();
+    const session = await this.storage.sessions.insert({
+      memberId: String(member._id),
+      tokenHash: hashSessionToken(sessionToken),
+      userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null,
+      ip: req ? getClientIp(req) : null,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + getSessionTtl() * 1000),
+      revokedAt: null
+    });
+
+    // The member is signed in from here on, so they are the actor of the login
+    setCurrentActor({ id: String(member._id), email: member.email, role: member.role || 'member' });
+    await this.logActivity('login', 'member', { entity: member, context: { sessionId: String(session._id) } });
+    return { token: sessionToken, session: publicSession(session), member: sanitizeMember(member) };
+  }
+
+  /**
+   * The member behind a session cookie as `{ id, email, role, sessionId }`,
+   * or null when the session is unknown, expired or revoked. The role is
+   * read from the member record, so role changes apply to open sessions.
+   */
+  async getSessionUser(token) {
+    if (!token) return null;
+
+    const now = new Date();
+    const session = await this.storage.sessions.findOne({
+      tokenHash: hashSessionToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    });
+    if (!session) return null;
+
+    const member = await this.storage.members.findOne({ ...ACCEPTED_MEMBERS, _id: session.memberId });
+    if (!member) return null;
+
+    if (now - new Date(session.lastSeenAt) > SESSION_TOUCH_MS) {
+      await this.storage.sessions.update(session._id, { lastSeenAt: now });
+    }
+    return { id: String(member._id), email: member.email, role: member.role || 'member', sessionId: String(session._id) };
+  }
+
+  /**
+   * The member a bearer token was issued to as `{ id, email, role }`. The
+   * role is read from the member record, and the token stops working once
+   * the member is deleted, changes their email or password, or revokes
+   * their sessions. Token times are whole seconds, so a token issued in
+   * the same second as a revocation survives it.
+   */
+  async getTokenUser(claims) {
+    const member = await this.storage.members.findOne({ ...NOT_DELETED, _id: claims.id });
+    const revokedAt = member?.tokensRevokedAt ? Math.floor(new Date(member.tokensRevokedAt) / 1000) : 0;
+    if (!member || member.email !== claims.email || claims.issuedAt < revokedAt) {
+      throw new AuthError('Invalid token');
+    }
+    return { id: String(member._id), email: member.email, role: member.role || 'member' };
+  }
+
+  /**
+   * A member's open sessions, most recently used first. `current` marks the
+   * one making the request.
+   */
+  async getSessions(memberId, currentSessionId = null) {
+    const sessions = await this.storage.sessions.find(
+      { memberId: String(memberId), revokedAt: null, expiresAt: { $gt: new Date() } },
+      { sort: { lastSeenAt: -1 } }
+    );
+    return sessions.map(session => ({
+      ...publicSession(session),
+      current: String(session._id) === String(currentSessionId)
+    }));
+  }
+
+  /**
+   * Ends one session (sign out). Ending it twice is harmless.
+   */
+  async revokeSession(sessionId) {
+    const session = await this.storage.sessions.findById(sessionId);
+    if (!session || session.revokedAt) return;
+
+    await this.storage.sessions.update(session._id, { revokedAt: new Date() });
+    const member = await this.storage.members.findById(session.memberId);
+    await this.logActivity('logout', 'member', { entity: member, context: { sessionId: String(session._id) } });
+  }
+
+  /**
+   * Ends every open session of a member and every bearer token issued to
+   * them so far.
+   */
+  async revokeSessions(memberId) {
+    const sessions = await this.storage.sessions.find({ memberId: String(memberId), revokedAt: null });
+    const now = new Date();
+    for (const session of sessions) {
+      await this.storage.sessions.update(session._id, { revokedAt: now });
+    }
+    const member = await this.storage.members.update(String(memberId), { tokensRevokedAt: now });
+    await this.logActivity('revoke-sessions', 'member', { entity: member, context: { revoked: sessions.length } });
+    return { revoked: sessions.length };
+  }
+
+  /**
+   * Deletes expired sign-in links and sessions that have expired or been
+   * revoked. Run daily by api/cron/purge-sessions.js.
+   */
+  async purgeExpiredSessions() {
+    const now = new Date();
+    const links = await this.storage.loginLinks.deleteMany({ expiresAt: { $lte: now } });
+    const sessions = await this.storage.sessions.deleteMany({
+      $or: [{ expiresAt: { $lte: now } }, { revokedAt: { $ne: null } }]
+    });
+    return { links, sessions };
+  }
+
+  // ====================================================
+  // EMAIL VERIFICATION
+  // ====================================================
+
+  async sendVerificationEmail(member) {
+    return await this.notifyMember(member, 'verifyEmail', {
+      token: issueVerificationToken(member),
+      expiresAt: member.verificationExpiresAt
+    });
+  }
+
+  /**
+   * Marks the member behind a verification token as verified, which puts
+   * their application in the review queue. Verifying twice is harmless.
+   */
+  async verifyMemberEmail(token) {
+    const { memberId, email } = readVerificationToken(token);
+
+    const member = await this.findLive('members', memberId);
+    if (!member || member.email !== email) {
+      throw new AuthError('This verification link is no longer valid', 400);
+    }
+    if (member.emailVerified !== false) {
+      return sanitizeMember(member);
+    }
+
+    const now = new Date();
+    const verified = await this.storage.members.update(member._id, {
+      emailVerified: true,
+      emailVerifiedAt: now,
+      verificationExpiresAt: null,
+      updatedAt: now
+    });
+    await this.logActivity('verify', 'member', { before: member, after: verified });
+    await this.notifyMember(verified, 'applicationReceived');
+    return sanitizeMember(verified);
+  }
+
+  /**
+   * Emails the link that confirms a staged address change to the new address
+   */
+  async sendEmailChangeVerification(member) {
+    return await this.notifyMember({ ...member, email: member.pendingEmail }, 'confirmEmailChange', {
+      token: issueEmailChangeToken(member),
+      expiresAt: new Date(Date.now() + getVerificationTtl() * 1000)
+    });
+  }
+
+  /**
+   * Switches the member behind an email change token to their new address.
+   * Sessions started under the old address are signed out.
+   */
+  async confirmEmailChange(token) {
+    const { memberId, email } = readEmailChangeToken(token);
+
+    const member = await this.findLive('members', memberId);
+    if (!member || member.pendingEmail !== email) {
+      throw new AuthError('This confirmation link is no longer valid', 400);
+    }
+    await this.checkEmailAvailable(email, member._id);
+
+    const now = new Date();
+    const updated = await this.storage.members.update(member._id, {
+      email: member.pendingEmail,
+      pendingEmail: null,
+      emailVerified: true,
+      emailVerifiedAt: now,
+      verificationExpiresAt: null,
+      updatedAt: now
+    });
+    await this.logActivity('verify', 'member', { before: member, after: updated });
+    await this.revokeSessions(member._id);
+    return sanitizeMember(updated);
+  }
+
+  /**
+   * Sends a fresh link to an unverified sign-up. The response is the same
+   * whether or not the address is waiting, so it can't be used to probe emails.
+   */
+  async resendVerification(email) {
+    const { email: address } = validate({ email: memberSchema.email }, { email });
+
+    const member = await this.storage.members.findOne({ ...NOT_DELETED, email: address, emailVerified: false });
+    if (member) {
+      await this.refreshVerification(member);
+    }
+    return { message: 'If that address is waiting for verification, a new link is on its way' };
+  }
+
+  /**
+   * Extends an unverified sign-up's link and emails a fresh one, unless one
+   * went out in the last few minutes; repeated requests can't flood the inbox
+   */
+  async refreshVerification(member) {
+    const recent = await this.storage.notifications.count({
+      memberId: String(member._id),
+      template: 'verifyEmail',
+      createdAt: { $gt: new Date(Date.now() - VERIFICATION_RESEND_MS) }
+    });
+    if (recent > 0) return member;
+
+    const updated = await this.storage.members.update(member._id, {
+      verificationExpiresAt: new Date(Date.now() + getVerificationTtl() * 1000),
+      updatedAt: new Date()
+    });
+    await this.logActivity('resend-verification', 'member', { before: member, after: updated });
+    await this.sendVerificationEmail(updated);
+    return updated;
+  }
+
+  /**
+   * Deletes sign-ups that were never verified before their link expired
+   */
+  async purgeUnverifiedMembers(now = new Date()) {
+    const expired = await this.storage.members.find({
+      emailVerified: false,
+      verificationExpiresAt: { $lte: now }
+    });
+    for (const member of expired) {
+      await this.storage.members.delete(member._id);
+      await this.storage.notifications.deleteMany({ memberId: String(member._id) });
+      await this.logActivity('purge', 'member', { before: member });
+    }
+    return { purged: expired.length };
+  }
+
+  // ====================================================
+  // APPLICATION REVIEW
+  // ====================================================
+
+  async getApplications(status = 'pending', limit = 100, skip = 0) {
+    if (status !== 'all' && !APPLICATION_STATUSES.includes(status)) {
+      throw new ValidationError({ status: `Status must be one of: all, ${APPLICATION_STATUSES.join(', ')}` });
+    }
+
+    const filter = status === 'all'
+      ? { ...NOT_DELETED, ...VERIFIED_EMAIL, applicationStatus: { $in: APPLICATION_STATUSES } }
+      : { ...NOT_DELETED, ...VERIFIED_EMAIL, applicationStatus: status };
+    const applications = await this.storage.members.find(filter, { sort: { appliedAt: 1 }, limit, skip });
+    return applications.map(sanitizeMember);
+  }
+
+  /**
+   * Moves an application to a new status and records the transition.
+   * Omitting `status` just appends a reviewer note.
+   */
+  async reviewApplication(memberId, reviewData, reviewer) {
+    const { status, note } = validate(applicationReviewSchema, reviewData);
+
+    const member = await this.findLive('members', memberId);
+    if (!member) {
+      throw new NotFoundError('Application not found');
+    }
+    if (member.emailVerified === false) {
+      throw new ConflictError('The applicant has not verified their email address yet');
+    }
+
+    const current = member.applicationStatus || 'accepted';
+    const next = status || current;
+    if (next !== current && !APPLICATION_TRANSITIONS[current]?.includes(next)) {
+      throw new ConflictError(`Cannot move an application from ${current} to ${next}`, 'status');
+    }
+    if (next === current && !note) {
+      throw new ValidationError({ status: 'A new status or a note is required' });
+    }
+
+    const reviewerMember = await this.storage.members.findById(reviewer.id);
+    const now = new Date();
+    const entry = {
+      from: current,
+      to: next,
+      reviewerId: String(reviewer.id),
+      reviewerName: reviewerMember?.name || reviewer.email || null,
+      note,
+      at: now
+    };
+
+    const updated = await this.storage.members.update(member._id, {
+      applicationStatus: next,
+      applicationHistory: [...(member.applicationHistory || []), entry],
+      reviewedBy: String(reviewer.id),
+      ...(next !== current && { statusChangedAt: now }),
+      ...(next === 'accepted' && next !== current && { joinedAt: now }),
+      updatedAt: now
+    });
+    await this.logActivity('review', 'member', { before: member, after: updated });
+    if (next === 'accepted' && next !== current) {
+      await this.notifyMember(updated, 'applicationAccepted');
+    }
+    return sanitizeMember(updated);
+  }
+
+  // ====================================================
+  // EVENT OPERATIONS
+  // ====================================================
+
+  async addEvent(eventData) {
+    const event = normalizeEventTimes(validate(eventSchema, eventData));
+
+    const now = new Date();
+    const created = await this.storage.events.insert({
+      ...event,
+      overrides: [],
+      sequence: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'event', { after: created });
+    return created;
+  }
+
+  /**
+   * A page of events, optionally by location and tag. Without a window
+   * (`from`/`to`, or `upcoming` for one starting now) repeating events are
+   * listed once, as their series; with one they are expanded into the
+   * occurrences in that window.
+   */
+  async getEvents(params = {}) {
+    const { limit, cursor, sort, total, from, to, upcoming, location, tag } = validate(eventListSchema, params);
+    const order = parseSort(sort, SORT_FIELDS.events, { eventDate: 1 });
+    const filter = {};
+    if (location) filter.location = location;
+    if (tag) filter.tags = tag;
+    if (!upcoming && !from && !to) {
+      return await this.findPage('events', { ...NOT_DELETED, ...filter }, { sort: order, limit, cursor, total });
+    }
+
+    const start = from || new Date();
+    if (to && (to <= start || to - start > MAX_OCCURRENCE_WINDOW_MS)) {
+      throw new ValidationError({ to: 'To must be after From and within a year of it' });
+    }
+
+    // Occurrences of a series share its ID, so their start breaks the tie
+    const keys = sortKeys(order, ['_id', 'occurrenceId']);
+    const compare = compareKeys(keys);
+    const occurrences = (await this.getOccurrences(start, to, { filter })).sort(compare);
+    const position = cursor && Object.fromEntries(readPageCursor(cursor, keys).map((value, i) => [keys[i][0], value]));
+    const pageSize = limit || DEFAULT_PAGE_SIZE;
+    const rest = position ? occurrences.filter(occurrence => compare(occurrence, position) > 0) : occurrences;
+    return pageOf(rest.slice(0, pageSize + 1), keys, pageSize, total ? occurrences.length : null);
+  }
+
+  /**
+   * Events overlapping [from, to), with repeating events expanded into
+   * their occurrences (up to 90 days ahead when `to` is null, while
+   * one-off events are then unbounded). Cancelled occurrences are left
+   * out unless `includeCancelled`.
+   */
+  async getOccurrences(from, to = null, { includeCancelled = false, filter = {} } = {}) {
+    const horizon = to || new Date(from.getTime() + OCCURRENCE_HORIZON_MS);
+    const [single, series] = await Promise.all([
+      this.storage.events.find({
+        ...filter,
+        ...NOT_DELETED,
+        rrule: null,
+        $or: [
+          { eventDate: to ? { $gte: from, $lt: to } : { $gte: from } },
+          // Multi-day events already under way
+          { eventDate: { $lt: from }, endDate: { $gt: from } }
+        ]
+      }),
+      this.storage.events.find({ ...filter, ...NOT_DELETED, rrule: { $ne: null }, eventDate: { $lt: horizon } })
+    ]);
+
+    const occurrences = series
+      .flatMap(event => eventOccurrences(event, from, horizon))
+      .filter(occurrence => includeCancelled || !occurrence.cancelled);
+    return [...single, ...occurrences];
+  }
+
+  async getEventById(eventId) {
+    return await this.findLive('events', eventId);
+  }
+
+  async updateEvent(eventId, updateData) {
+    const existing = await this.findLive('events', eventId);
+    if (!existing) {
+      throw new NotFoundError('Event not found');
+    }
+
+    // An explicit null capacity removes the limit
+    const fields = normalizeEventTimes(validate(eventSchema, updateData, { partial: true }), existing);
+
+    // Calendar clients only apply a new time when the SEQUENCE goes up
+    const rescheduled = SCHEDULE_FIELDS.some(field =>
+      field in fields && JSON.stringify(fields[field] ?? null) !== JSON.stringify(existing[field] ?? null)
+    );
+
+    const event = await this.storage.events.update(eventId, {
+      ...fields,
+      ...(rescheduled && { sequence: (existing.sequence || 0) + 1 }),
+      updatedAt: new Date()
+    });
+
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+    await this.logActivity('update', 'event', { before: existing, after: event });
+
+    // A raised or removed capacity opens spots for the waitlist
+    if ('capacity' in fields) {
+      await this.promoteWaitlist(event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Moves an event to the trash. Its RSVPs are kept until the trash is
+   * purged; calendar subscribers see it as cancelled meanwhile.
+   */
+  async deleteEvent(eventId) {
+    const event = await this.findLive('events', eventId);
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+
+    const now = new Date();
+    const deleted = await this.storage.events.update(event._id, {
+      deletedAt: now,
+      sequence: (event.sequence || 0) + 1,
+      updatedAt: now
+    });
+    await this.logActivity('delete', 'event', { before: event, after: deleted });
+
+    // Keeps a tombstone so the calendar feed can tell subscribers it's off
+    await this.storage.eventCancellations.insert({
+      eventId: String(event._id),
+      title: event.title,
+      eventDate: event.eventDate,
+      location: event.location || null,
+      tags: event.tags || [],
+      sequence: (event.sequence || 0) + 1,
+      cancelledAt: now,
+      createdAt: now
+    });
+
+    return { message: 'Event deleted successfully' };
+  }
+
+  /**
+   * Permanently deletes a trashed event with its RSVPs and check-ins. The calendar
+   * tombstone stays until it ages out of the feed.
+   */
+  async purgeEvent(eventId) {
+    const event = await this.storage.events.findById(eventId);
+    await this.storage.events.delete(eventId);
+    await this.storage.rsvps.deleteMany({ eventId: String(eventId) });
+    await this.storage.checkIns.deleteMany({ eventId: String(eventId) });
+    await this.logActivity('purge', 'event', { before: event });
+  }
+
+  // ====================================================
+  // RECURRING EVENTS
+  // ====================================================
+
+  /**
+   * A repeating event and the original start of one of its occurrences
+   */
+  async findOccurrence(eventId, occurrenceId) {
+    const event = await this.findLive('events', eventId);
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+    if (!event.rrule) {
+      throw new ConflictError('Event does not repeat');
+    }
+
+    const original = parseOccurrenceId(occurrenceId);
+    const starts = original
+      ? expandStarts(new Date(event.eventDate), parseRRule(event.rrule), eventTimeZone(event), { to: new Date(original.getTime() + 1) })
+      : [];
+    if (!starts.some(start => sameInstant(start, original))) {
+      throw new NotFoundError('Occurrence not found');
+    }
+    return { event, original, index: starts.length - 1 };
+  }
+
+  /**
+   * Edits one occurrence of a repeating event (`scope: 'this'`, the
+   * default) or it and every later one (`scope: 'future'`), which splits
+   * the series: the original ends before the occurrence and a new series
+   * with the changes takes over from it. RSVPs stay with the original.
+   */
+  async updateOccurrence(eventId, occurrenceId, updateData) {
+    const { scope = 'this', ...fields } = validate(occurrenceSchema, updateData, { partial: true });
+    const { event, original, index } = await this.findOccurrence(eventId, occurrenceId);
+
+    if (scope === 'future' && index === 0) {
+      return await this.updateEvent(eventId, fields);
+    }
+
+    const overrides = event.overrides || [];
+    const { occurrence, ...previous } = (scope === 'this' && overrides.find(o => sameInstant(o.occurrence, original))) || {};
+    const start = fields.eventDate || (previous.eventDate && new Date(previous.eventDate)) || original;
+    const duration = event.endDate ? new Date(event.endDate) - new Date(event.eventDate) : null;
+    if (fields.endDate && fields.endDate <= start) {
+      throw new ValidationError({ endDate: 'End must be after the start' });
+    }
+    const now = new Date();
+
+    if (scope === 'this') {
+      const override = { ...previous, ...fields, occurrence: original };
+      const updated = await this.storage.events.update(eventId, {
+        overrides: [...overrides.filter(o => !sameInstant(o.occurrence, original)), override],
+        ...(('eventDate' in fields || 'endDate' in fields) && { sequence: (event.sequence || 0) + 1 }),
+        updatedAt: now
+      });
+      await this.logActivity('update-occurrence', 'event', {
+        before: event,
+        after: updated,
+        context: { occurrenceId: formatDateTime(original) }
+      });
+      return eventOccurrences(updated, start, new Date(start.getTime() + 1))
+        .find(o => o.occurrenceId === formatDateTime(original));
+    }
+
+    // Exceptions and one-off changes after the split move to the new
+    // series, following its new start time
+    const shift = start - original;
+    const later = (date) => new Date(date) >= original;
+    const rule = parseRRule(event.rrule);
+
+    const ended = await this.storage.events.update(eventId, {
+      rrule: formatRRule({ ...rule, count: null, until: new Date(original.getTime() - 1000) }),
+      exceptions: (event.exceptions || []).filter(date => !later(date)),
+      overrides: overrides.filter(o => !later(o.occurrence)),
+      sequence: (event.sequence || 0) + 1,
+      updatedAt: now
+    });
+    const context = { occurrenceId: formatDateTime(original) };
+    await this.logActivity('split', 'event', { before: event, after: ended, context });
+
+    const { _id, createdAt, updatedAt, sequence, ...series } = event;
+    const split = await this.storage.events.insert({
+      ...series,
+      ...fields,
+      eventDate: start,
+      endDate: 'endDate' in fields ? fields.endDate : duration === null ? null : new Date(start.getTime() + duration),
+      rrule: formatRRule({ ...rule, count: rule.count && rule.count - index }),
+      exceptions: (event.exceptions || []).filter(later).map(date => new Date(new Date(date).getTime() + shift)),
+      overrides: overrides.filter(o => later(o.occurrence))
+        .map(o => ({ ...o, occurrence: new Date(new Date(o.occurrence).getTime() + shift) })),
+      sequence: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'event', { after: split, context: { ...context, splitFrom: String(event._id) } });
+    return split;
+  }
+
+  /**
+   * Cancels one occurrence of a repeating event, or (`scope: 'future'`)
+   * it and every later one. Cancelling all from the first deletes the event.
+   */
+  async cancelOccurrence(eventId, occurrenceId, scopeValue) {
+    const scope = validate({ scope: occurrenceSchema.scope }, { scope: scopeValue }).scope || 'this';
+    const { event, original, index } = await this.findOccurrence(eventId, occurrenceId);
+
+    if (scope === 'future' && index === 0) {
+      return await this.deleteEvent(eventId);
+    }
+
+    const exceptions = event.exceptions || [];
+    const later = (date) => new Date(date) >= original;
+    const changes = scope === 'this'
+      ? { exceptions: exceptions.some(date => sameInstant(date, original)) ? exceptions : [...exceptions, original] }
+      : {
+        rrule: formatRRule({ ...parseRRule(event.rrule), count: null, until: new Date(original.getTime() - 1000) }),
+        exceptions: exceptions.filter(date => !later(date)),
+        overrides: (event.overrides || []).filter(o => !later(o.occurrence))
+      };
+    const updated = await this.storage.events.update(eventId, {
+      ...changes,
+      sequence: (event.sequence || 0) + 1,
+      updatedAt: new Date()
+    });
+    await this.logActivity('cancel-occurrence', 'event', {
+      before: event,
+      after: updated,
+      context: { occurrenceId: formatDateTime(original), scope }
+    });
+
+    return { message: scope === 'this' ? 'Occurrence cancelled' : 'Occurrence and all later ones cancelled' };
+  }
+
+  // ====================================================
+  // EVENT CALENDAR
+  // ====================================================
+
+  /**
+   * iCalendar feed of all events, optionally only upcoming ones or those
+   * with a tag. Events deleted in the last 30 days are included as
+   * cancellations. Repeating events are expanded from 30 days back (or
+   * now) to a year ahead, cancelled occurrences included.
+   */
+  async getEventsCalendar({ upcoming = false, tag } = {}) {
+    const now = new Date();
+    const filter = tag ? { tags: String(tag).toLowerCase() } : {};
+    const after = upcoming ? { eventDate: { $gt: now } } : {};
+
+    const [events, series, cancellations] = await Promise.all([
+      this.storage.events.find({ ...filter, ...after, ...NOT_DELETED, rrule: null }),
+      this.storage.events.find({ ...filter, ...NOT_DELETED, rrule: { $ne: null } }),
+      this.storage.eventCancellations.find({
+        ...filter,
+        ...after,
+        cancelledAt: { $gte: new Date(now.getTime() - CANCELLATION_FEED_MS) }
+      })
+    ]);
+
+    const from = upcoming ? now : new Date(now.getTime() - CANCELLATION_FEED_MS);
+    const to = new Date(now.getTime() + MAX_OCCURRENCE_WINDOW_MS);
+    const occurrences = series.flatMap(event => eventOccurrences(event, from, to));
+
+    return eventsToIcs([...events, ...occurrences, ...cancellations.map(cancelledEvent)].sort(compareBy({ eventDate: 1 })), {
+      name: tag ? `Atomsmiths events: ${tag}` : 'Atomsmiths events',
+      now
+    });
+  }
+
+  /**
+   * Single-event .ics download; a deleted event downloads as its cancellation
+   */
+  async getEventCalendarFile(eventId) {
+    const event = await this.findLive('events', eventId)
+      || await this.storage.eventCancellations.findOne({ eventId: String(eventId) }).then(c => c && cancelledEvent(c));
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+
+    // A repeating event downloads with its occurrences over the next year
+    const now = new Date();
+    const events = event.rrule
+      ? eventOccurrences(event, now, new Date(now.getTime() + MAX_OCCURRENCE_WINDOW_MS))
+      : [event];
+    return {
+      filename: `${slugify(event.title) || 'event'}.ics`,
+      contentType: 'text/calendar; charset=utf-8',
+      body: eventsToIcs(events, { name: event.title, now })
+    };
+  }
+
+  // ====================================================
+  // RSVP & ATTENDANCE OPERATIONS
+  // ====================================================
+
+  /**
+   * Registers a member for an event. Members get a confirmed spot while
+   * capacity remains and join the waitlist otherwise. Repeat RSVPs return
+   * the existing registration. An RSVP to a repeating event covers the
+   * whole series and stays open while an occurrence is still to come; its
+   * code checks the member in to each session.
+   */
+  async rsvpToEvent(eventId, memberId) {
+    const event = await this.findLive('events', eventId);
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+    const next = nextOccurrence(event);
+    if (!next) {
+      throw new ConflictError('RSVPs are closed for past events');
+    }
+
+    const member = await this.findLive('members', memberId);
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    const existing = await this.storage.rsvps.findOne({
+      eventId: String(event._id),
+      memberId: String(member._id)
+    });
+    if (existing && existing.status !== 'cancelled') {
+      return existing;
+    }
+
+    const going = await this.storage.rsvps.count({ eventId: String(event._id), status: 'going' });
+    const hasSpace = event.capacity == null || going < event.capacity;
+
+    const now = new Date();
+    const fields = {
+      status: hasSpace ? 'going' : 'waitlisted',
+      seatedAt: hasSpace ? now : null,
+      checkInCode: hasSpace ? generateCheckInCode() : null,
+      checkedInAt: null,
+      respondedAt: now,
+      updatedAt: now
+    };
+
+    const written = existing
+      ? await this.storage.rsvps.update(existing._id, fields)
+      : await this.storage.rsvps.insert({
+        eventId: String(event._id),
+        eventTitle: event.title,
+        memberId: String(member._id),
+        memberName: member.name,
+        ...fields,
+        createdAt: now
+      });
+    const rsvp = await this.confirmSeat(event, written);
+    await this.logActivity(existing ? 'update' : 'create', 'rsvp', { before: existing, after: rsvp, context: rsvpContext(rsvp) });
+    await this.notifyMember(member, 'rsvpConfirmation', { event: next, rsvp });
+    return rsvp;
+  }
+
+  async getRsvp(eventId, memberId) {
+    return await this.storage.rsvps.findOne({ eventId: String(eventId), memberId: String(memberId) });
+  }
+
+  /**
+   * Cancels a member's RSVP and promotes the next waitlisted members
+   * into any spot it frees.
+   */
+  async cancelRsvp(eventId, memberId) {
+    const rsvp = await this.storage.rsvps.findOne({
+      eventId: String(eventId),
+      memberId: String(memberId),
+      status: { $in: ['going', 'waitlisted'] }
+    });
+    if (!rsvp) {
+      throw new NotFoundError('RSVP not found');
+    }
+    const event = await this.findLive('events', eventId);
+    if (attendanceLocked(rsvp, event)) {
+      throw new ConflictError('Cannot cancel an RSVP after check-in');
+    }
+
+    const cancelled = await this.storage.rsvps.update(rsvp._id, {
+      status: 'cancelled',
+      seatedAt: null,
+      checkInCode: null,
+      updatedAt: new Date()
+    });
+    await this.logActivity('cancel', 'rsvp', { before: rsvp, after: cancelled, context: rsvpContext(rsvp) });
+
+    if (rsvp.status === 'going' && event) {
+      await this.promoteWaitlist(event);
+    }
+
+    return withoutCheckInCode(cancelled);
+  }
+
+  /**
+   * Moves waitlisted members, oldest first, into open spots
+   */
+  async promoteWaitlist(event) {
+    const eventId = String(event._id);
+    let openSpots;
+    if (event.capacity != null) {
+      const going = await this.storage.rsvps.count({ eventId, status: 'going' });
+      openSpots = event.capacity - going;
+      if (openSpots <= 0) return [];
+    }
+
+    const waitlisted = await this.storage.rsvps.find(
+      { eventId, status: 'waitlisted' },
+      { sort: { respondedAt: 1 }, limit: openSpots }
+    );
+
+    const promoted = [];
+    for (const rsvp of waitlisted) {
+      const now = new Date();
+      const seated = await this.storage.rsvps.update(rsvp._id, {
+        status: 'going',
+        seatedAt: now,
+        checkInCode: generateCheckInCode(),
+        updatedAt: now
+      });
+      const updated = await this.confirmSeat(event, seated);
+      // Someone else took the spot in the meantime
+      if (updated.status !== 'going') break;
+      promoted.push(updated);
+      await this.logActivity('promote', 'rsvp', { before: rsvp, after: updated, context: rsvpContext(rsvp) });
+
+      const member = await this.storage.members.findById(rsvp.memberId);
+      if (member) await this.notifyMember(member, 'rsvpConfirmation', { event, rsvp: updated });
+    }
+    return promoted;
+  }
+
+  /**
+   * Keeps a going RSVP only if it holds one of the event's first
+   * `capacity` seats, else puts it back on the waitlist. Seats are
+   * counted after they are written, so instances filling the last spot
+   * at the same time agree on who got it: the earliest seat.
+   */
+  async confirmSeat(event, rsvp) {
+    if (event.capacity == null || rsvp.status !== 'going') return rsvp;
+
+    const seats = await this.storage.rsvps.find(
+      { eventId: String(event._id), status: 'going' },
+      { sort: { seatedAt: 1, _id: 1 }, limit: event.capacity }
+    );
+    if (seats.some(seat => String(seat._id) === String(rsvp._id))) return rsvp;
+
+    return await this.storage.rsvps.update(rsvp._id, {
+      status: 'waitlisted',
+      seatedAt: null,
+      checkInCode: null,
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Attendee list for organizers, without check-in codes. A repeating
+   * event also gets its check-ins per session, oldest session first.
+   */
+  async getEventAttendees(eventId) {
+    const event = await this.findLive('events', eventId);
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+
+    const [rsvps, checkIns] = await Promise.all([
+      this.storage.rsvps.find(
+        { eventId: String(event._id), status: { $in: ['going', 'waitlisted'] } },
+        { sort: { respondedAt: 1 } }
+      ),
+      this.storage.checkIns.find({ eventId: String(event._id) }, { sort: { occurrenceId: 1 } })
+    ]);
+    const going = rsvps.filter(r => r.status === 'going').map(withoutCheckInCode);
+    const waitlist = rsvps.filter(r => r.status === 'waitlisted').map(withoutCheckInCode);
+
+    const sessions = new Map();
+    for (const checkIn of checkIns) {
+      sessions.set(checkIn.occurrenceId, (sessions.get(checkIn.occurrenceId) || 0) + 1);
+    }
+
+    return {
+      eventId: event._id,
+      title: event.title,
+      capacity: event.capacity ?? null,
+      goingCount: going.length,
+      waitlistCount: waitlist.length,
+      checkedInCount: checkIns.length,
+      ...(event.rrule && {
+        sessions: [...sessions].map(([occurrenceId, checkedInCount]) => ({ occurrenceId, checkedInCount }))
+      }),
+      going,
+      waitlist
+    };
+  }
+
+  /**
+   * Checks an attendee in with the code from their RSVP. For a one-off
+   * event the code is consumed on use; for a repeating event it is good
+   * once per session, either the `occurrenceId` given or the session
+   * starting nearest now. The RSVP's checkedInAt is its latest check-in.
+   */
+  async checkInAttendee(eventId, code, occurrenceId = null, now = new Date()) {
+    if (!code) {
+      throw new ValidationError({ code: 'Check-in code is required' });
+    }
+    const event = await this.findLive('events', eventId);
+    if (!event) {
+      throw new NotFoundError('Event not found');
+    }
+
+    const rsvp = await this.storage.rsvps.findOne({
+      eventId: String(event._id),
+      status: 'going',
+      checkInCode: String(code).trim().toUpperCase()
+    });
+    if (!rsvp) {
+      throw new ValidationError({ code: 'Invalid or already used check-in code' });
+    }
+
+    const session = event.rrule ? checkInOccurrence(event, occurrenceId, now) : null;
+    if (session && await this.storage.checkIns.findOne({ rsvpId: String(rsvp._id), occurrenceId: session.occurrenceId })) {
+      throw new ConflictError('Already checked in to this session');
+    }
+
+    const checkedIn = await this.storage.rsvps.update(rsvp._id, {
+      ...(!session && { checkInCode: null }),
+      checkedInAt: now,
+      updatedAt: now
+    });
+    await this.storage.checkIns.insert({
+      eventId: String(event._id),
+      rsvpId: String(rsvp._id),
+      memberId: rsvp.memberId,
+      occurrenceId: session ? session.occurrenceId : null,
+      checkedInAt: now,
+      createdAt: now
+    });
+    await this.logActivity('checkin', 'rsvp', {
+      before: rsvp,
+      after: checkedIn,
+      context: { ...rsvpContext(rsvp), ...(session && { occurrenceId: session.occurrenceId }) }
+    });
+    return withoutCheckInCode(checkedIn);
+  }
+
+  // ====================================================
+  // BLOG OPERATIONS
+  // ====================================================
+
+  /**
+   * Picks a slug that no other post uses, suffixing -2, -3, ... as needed
+   */
+  async uniqueBlogSlug(base, excludeId = null) {
+    const root = slugify(base);
+    for (let n = 1; ; n++) {
+      const slug = n === 1 ? root : `${root}-${n}`;
+      const filter = excludeId ? { slug, _id: { $ne: excludeId } } : { slug };
+      if (!(await this.storage.blogs.findOne(filter))) return slug;
+    }
+  }
+
+  async addBlog(blogData) {
+    const fields = validate(blogSchema, blogData);
+    const status = fields.status || 'draft';
+
+    // Check if author exists
+    const author = await this.findLive('members', fields.authorId);
+    if (!author) {
+      throw new ValidationError({ authorId: 'Author not found' });
+    }
+
+    if (fields.slug && await this.storage.blogs.findOne({ slug: fields.slug })) {
+      throw new ConflictError('Slug already in use', 'slug');
+    }
+
+    const now = new Date();
+    const blog = await this.storage.blogs.insert({
+      title: fields.title,
+      slug: fields.slug || await this.uniqueBlogSlug(fields.title),
+      content: fields.content,
+      contentHtml: renderMarkdown(fields.content),
+      status,
+      publishAt: fields.publishAt || (status === 'published' ? now : null),
+      tags: fields.tags,
+      coverImageUrl: fields.coverImageUrl,
+      authorId: fields.authorId,
+      authorName: author.name,
+      authorEmail: author.email,
+      authorDepartment: author.department,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'blog', { after: blog });
+    return blog;
+  }
+
+  /**
+   * A page of blogs, newest first. Without a status, or with 'published',
+   * only live posts are returned unless `includeUnpublished`, so scheduled
+   * posts stay hidden until their publish date; `tag`, `author` and a
+   * publish date range narrow the result further.
+   */
+  async getBlogs(params = {}, { includeUnpublished = false } = {}) {
+    const { limit, cursor, sort, total, from, to, status, author, tag } = validate(blogListSchema, params);
+    const filter = (!status || status === 'published') && !includeUnpublished ? liveBlogsFilter()
+      : status ? { ...NOT_DELETED, status } : { ...NOT_DELETED };
+    if (tag) filter.tags = tag;
+    if (author) filter.authorId = author;
+    if (from || to) filter.publishAt = dateRange(from, to);
+
+    const page = await this.findPage('blogs', filter, {
+      sort: parseSort(sort, SORT_FIELDS.blogs, { publishAt: -1, createdAt: -1 }),
+      limit,
+      cursor,
+      total
+    });
+    return { ...page, items: await this.withCommentCounts(page.items.map(withoutAuthorEmail)) };
+  }
+
+  async getBlogById(blogId) {
+    return withoutAuthorEmail(await this.findLive('blogs', blogId));
+  }
+
+  async getBlogBySlug(slug) {
+    return withoutAuthorEmail(await this.storage.blogs.findOne({ ...NOT_DELETED, slug: String(slug).toLowerCase() }));
+  }
+
+  async updateBlog(blogId, updateData) {
+    const fields = validate(blogUpdateSchema, updateData, { partial: true });
+
+    const existing = await this.findLive('blogs', blogId);
+    if (!existing) {
+      throw new NotFoundError('Blog not found');
+    }
+
+    if (fields.slug && fields.slug !== existing.slug &&
+        await this.storage.blogs.findOne({ slug: fields.slug, _id: { $ne: blogId } })) {
+      throw new ConflictError('Slug already in use', 'slug');
+    }
+
+    const now = new Date();
+    const changes = { ...fields, updatedAt: now };
+    if ('content' in fields) {
+      changes.contentHtml = renderMarkdown(fields.content);
+    }
+    // Publishing without a date goes live immediately
+    if (fields.status === 'published' && !fields.publishAt && !existing.publishAt) {
+      changes.publishAt = now;
+    }
+    if ('slug' in fields && !fields.slug) {
+      changes.slug = await this.uniqueBlogSlug(fields.title || existing.title, blogId);
+    }
+
+    const blog = await this.storage.blogs.update(blogId, changes);
+    await this.logActivity('update', 'blog', { before: existing, after: blog });
+    return blog;
+  }
+
+  async deleteBlog(blogId) {
+    const blog = await this.findLive('blogs', blogId);
+    if (!blog) {
+      throw new NotFoundError('Blog not found');
+    }
+
+    const now = new Date();
+    const deleted = await this.storage.blogs.update(blog._id, { deletedAt: now, updatedAt: now });
+    await this.logActivity('delete', 'blog', { before: blog, after: deleted });
+    return { message: 'Blog deleted successfully' };
+  }
+
+  /**
+   * Permanently deletes a trashed post
+   */
+  async purgeBlog(blogId) {
+    const blog = await this.storage.blogs.findById(blogId);
+    await this.storage.blogs.delete(blogId);
+    await this.logActivity('purge', 'blog', { before: blog });
+    await this.storage.comments.deleteMany({ blogId: String(blogId) });
+    await this.storage.reactions.deleteMany({ blogId: String(blogId) });
+  }
+
+  // ====================================================
+  // BLOG COMMENTS & REACTIONS
+  // ====================================================
+
+  /**
+   * A post readers can respond to; drafts, scheduled and trashed posts
+   * can't be commented on or reacted to
+   */
+  async findLiveBlog(blogId) {
+    const blog = await this.findLive('blogs', blogId);
+    if (!isBlogLive(blog)) {
+      throw new NotFoundError('Blog not found');
+    }
+    return blog;
+  }
+
+  /**
+   * Approved comments per post, as a map of blog ID to count
+   */
+  async countComments(blogIds) {
+    if (!blogIds.length) return new Map();
+    const groups = await this.storage.stats.countBy('comments', 'blogId', {
+      ...VISIBLE_COMMENTS,
+      blogId: { $in: blogIds.map(String) }
+    });
+    return new Map(groups.map(({ value, count }) => [String(value), count]));
+  }
+
+  async withCommentCounts(blogs) {
+    const counts = await this.countComments(blogs.map(blog => blog._id));
+    return blogs.map(blog => ({ ...blog, commentCount: counts.get(String(blog._id)) || 0 }));
+  }
+
+  async getCommentById(commentId) {
+    return await this.findLive('comments', commentId);
+  }
+
+  /**
+   * A post's comments as a thread, oldest first. Readers see approved
+   * comments; members also see their own while they wait for moderation.
+   */
+  async getComments(blogId, user = null) {
+    const blog = await this.findLiveBlog(blogId);
+    const comments = await this.storage.comments.find({ blogId: String(blog._id) }, { sort: { createdAt: 1 } });
+
+    const isShown = (comment) => !comment.deletedAt && (comment.status === 'approved' ||
+      (comment.status === 'pending' && Boolean(user) && String(comment.authorId) === String(user.id)));
+    return commentThread(comments.map(comment => publicComment(comment, { removed: !isShown(comment) })));
+  }
+
+  /**
+   * Adds a comment, or a reply when `parentId` is given, by `user`.
+   * Comments that trip the profanity or link filter wait for moderation,
+   * as do all member comments when COMMENT_MODERATION is `all`; the core
+   * team's comments are approved straight away.
+   */
+  async addComment(blogId, user, commentData) {
+    const { content, parentId } = validate(commentSchema, commentData);
+    const blog = await this.findLiveBlog(blogId);
+
+    const author = await this.findLive('members', user.id);
+    if (!author) {
+      throw new NotFoundError('Member not found');
+    }
+
+    let depth = 0;
+    if (parentId) {
+      const parent = await this.storage.comments.findOne({ ...VISIBLE_COMMENTS, _id: parentId, blogId: String(blog._id) });
+      if (!parent) {
+        throw new ValidationError({ parentId: 'The comment you are replying to was not found' });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        throw new ValidationError({ parentId: `Replies can only nest ${MAX_COMMENT_DEPTH} levels deep` });
+      }
+      depth = parent.depth + 1;
+    }
+
+    const flags = commentFlags(content);
+    const held = !hasRole(user, 'core-team') && (flags.length > 0 || process.env.COMMENT_MODERATION === 'all');
+    const now = new Date();
+    const comment = await this.storage.comments.insert({
+      blogId: String(blog._id),
+      parentId: parentId || null,
+      depth,
+      authorId: String(author._id),
+      authorName: author.name,
+      content,
+      status: held ? 'pending' : 'approved',
+      flags,
+      moderatedBy: null,
+      moderatedAt: null,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'comment', { after: comment, context: commentContext(comment, blog) });
+    return publicComment(comment);
+  }
+
+  /**
+   * The moderation queue: comments with `status` (pending by default),
+   * oldest first, each with the title of its post
+   */
+  async getCommentQueue(params = {}) {
+    const { limit, cursor, sort, total, status, blogId } = validate(commentQuerySchema, params);
+    const filter = { status: status || 'pending', deletedAt: null };
+    if (blogId) filter.blogId = blogId;
+
+    const page = await this.findPage('comments', filter, {
+      sort: parseSort(sort, SORT_FIELDS.comments, { createdAt: 1 }),
+      limit,
+      cursor,
+      total
+    });
+    const blogIds = [...new Set(page.items.map(comment => comment.blogId))];
+    const blogs = blogIds.length ? await this.storage.blogs.find({ _id: { $in: blogIds } }) : [];
+    const titles = new Map(blogs.map(blog => [String(blog._id), blog.title]));
+    return {
+      ...page,
+      items: page.items.map(comment => ({ ...comment, blogTitle: titles.get(String(comment.blogId)) || null }))
+    };
+  }
+
+  async moderateComment(commentId, moderationData, moderator) {
+    const { status } = validate(commentModerationSchema, moderationData);
+
+    const existing = await this.findLive('comments', commentId);
+    if (!existing) {
+      throw new NotFoundError('Comment not found');
+    }
+
+    const now = new Date();
+    const comment = await this.storage.comments.update(existing._id, {
+      status,
+      moderatedBy: String(moderator.id),
+      moderatedAt: now,
+      updatedAt: now
+    });
+    const blog = await this.storage.blogs.findById(comment.blogId);
+    await this.logActivity('moderate', 'comment', { before: existing, after: comment, context: commentContext(comment, blog) });
+    return comment;
+  }
+
+  /**
+   * Deletes a comment. One with replies stays in the thread as a removed
+   * placeholder, without its content, so the replies still make sense.
+   */
+  async deleteComment(commentId) {
+    const comment = await this.findLive('comments', commentId);
+    if (!comment) {
+      throw new NotFoundError('Comment not found');
+    }
+
+    const blog = await this.storage.blogs.findById(comment.blogId);
+    const context = commentContext(comment, blog);
+    if (await this.storage.comments.count({ parentId: String(comment._id) }) > 0) {
+      const now = new Date();
+      const removed = await this.storage.comments.update(comment._id, { content: null, deletedAt: now, updatedAt: now });
+      await this.logActivity('delete', 'comment', { before: comment, after: removed, context });
+    } else {
+      await this.storage.comments.delete(comment._id);
+      await this.logActivity('delete', 'comment', { before: comment, context });
+    }
+    return { message: 'Comment deleted successfully' };
+  }
+
+  /**
+   * Reaction counts on a post, one entry per allowed emoji in a fixed
+   * order; `reacted` marks the ones `memberId` has added
+   */
+  async getReactions(blogId, memberId = null) {
+    const blog = await this.findLiveBlog(blogId);
+    const [groups, mine] = await Promise.all([
+      this.storage.stats.countBy('reactions', 'emoji', { blogId: String(blog._id) }),
+      memberId ? this.storage.reactions.find({ blogId: String(blog._id), memberId: String(memberId) }) : []
+    ]);
+    const counts = new Map(groups.map(({ value, count }) => [value, count]));
+    const reacted = new Set(mine.map(reaction => reaction.emoji));
+    return REACTION_EMOJI.map(emoji => ({ emoji, count: counts.get(emoji) || 0, reacted: reacted.has(emoji) }));
+  }
+
+  /**
+   * Adds a member's reaction to a post; adding the same one twice is harmless
+   */
+  async addReaction(blogId, memberId, reactionData) {
+    const { emoji } = validate(reactionSchema, reactionData);
+    const blog = await this.findLiveBlog(blogId);
+
+    const reaction = { blogId: String(blog._id), memberId: String(memberId), emoji };
+    if (!await this.storage.reactions.findOne(reaction)) {
+      await this.storage.reactions.insert({ ...reaction, createdAt: new Date() });
+      await this.logActivity('react', 'blog', { entity: blog, context: { emoji } });
+    }
+    return await this.getReactions(blog._id, memberId);
+  }
+
+  async removeReaction(blogId, memberId, reactionData) {
+    const { emoji } = validate(reactionSchema, reactionData);
+    const blog = await this.findLiveBlog(blogId);
+
+    const removed = await this.storage.reactions.deleteMany({ blogId: String(blog._id), memberId: String(memberId), emoji });
+    if (removed > 0) {
+      await this.logActivity('unreact', 'blog', { entity: blog, context: { emoji } });
+    }
+    return await this.getReactions(blog._id, memberId);
+  }
+
+  // ====================================================
+  // PROJECT OPERATIONS
+  // ====================================================
+
+  /**
+   * Resolves team member IDs to the member snapshot stored on projects and sprint teams
+   */
+  async resolveTeamMembers(memberIds) {
+    const ids = [...new Set(memberIds.map(String))];
+    if (!ids.length) return { memberIds: [], team: [] };
+
+    const members = await this.storage.members.find({ ...ACCEPTED_MEMBERS, _id: { $in: ids } });
+    const byId = new Map(members.map(m => [String(m._id), m]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) {
+      throw new ValidationError({ memberIds: `Unknown team member: ${missing.join(', ')}` });
+    }
+
+    return {
+      memberIds: ids,
+      team: ids.map(id => ({
+        memberId: id,
+        name: byId.get(id).name,
+        department: byId.get(id).department
+      }))
+    };
+  }
+
+  async addProject(projectData, creatorId = null) {
+    const fields = validate(projectSchema, projectData);
+    const team = await this.resolveTeamMembers(fields.memberIds);
+
+    const now = new Date();
+    const project = await this.storage.projects.insert({
+      ...fields,
+      ...team,
+      status: fields.status || 'idea',
+      createdBy: creatorId ? String(creatorId) : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'project', { after: project });
+    return project;
+  }
+
+  /**
+   * Lists projects in the order they were added. Archived projects are hidden unless
+   * asked for by status.
+   */
+  async getProjects(limit = 50, skip = 0, { tag, track, status, memberId } = {}) {
+    const filter = status ? { status } : { status: { $ne: 'archived' } };
+    if (tag) filter.tags = String(tag);
+    if (track) filter.track = String(track);
+    if (memberId) filter.memberIds = String(memberId);
+
+    return await this.storage.projects.find(filter, { sort: { createdAt: 1 }, limit, skip });
+  }
+
+  async getProjectById(projectId) {
+    return await this.storage.projects.findById(projectId);
+  }
+
+  async updateProject(projectId, updateData) {
+    const fields = validate(projectSchema, updateData, { partial: true });
+    const changes = { ...fields, updatedAt: new Date() };
+    if ('memberIds' in fields) {
+      Object.assign(changes, await this.resolveTeamMembers(fields.memberIds));
+    }
+
+    const existing = await this.storage.projects.findById(projectId);
+    const project = existing && await this.storage.projects.update(projectId, changes);
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+    await this.logActivity('update', 'project', { before: existing, after: project });
+
+    return project;
+  }
+
+  async deleteProject(projectId) {
+    const project = await this.storage.projects.findById(projectId);
+    const deleted = project && await this.storage.projects.delete(projectId);
+    if (!deleted) {
+      throw new NotFoundError('Project not found');
+    }
+    await this.logActivity('delete', 'project', { before: project });
+
+    return { message: 'Project deleted successfully' };
+  }
+
+  // ====================================================
+  // SPRINT CYCLES
+  // ====================================================
+
+  async addCycle(cycleData, creatorId = null) {
+    const { name, startDate } = validate(cycleSchema, cycleData);
+
+    const now = new Date();
+    const cycle = await this.storage.cycles.insert({
+      name,
+      startDate,
+      endDate: new Date(startDate.getTime() + CYCLE_WEEKS * WEEK_MS),
+      teams: [],
+      createdBy: creatorId ? String(creatorId) : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    await this.logActivity('create', 'cycle', { after: cycle });
+    return withCycleProgress(cycle, now);
+  }
+
+  /**
+   * Lists cycles, latest start first, optionally only those that are
+   * 'upcoming', 'active' or 'completed'
+   */
+  async getCycles({ status } = {}) {
+    const now = new Date();
+    const filters = {
+      upcoming: { startDate: { $gt: now } },
+      active: { startDate: { $lte: now }, endDate: { $gt: now } },
+      completed: { endDate: { $lte: now } }
+    };
+    if (status && !filters[status]) {
+      throw new ValidationError({ status: `Status must be one of: ${Object.keys(filters).join(', ')}` });
+    }
+
+    const cycles = await this.storage.cycles.find(status ? filters[status] : {}, { sort: { startDate: -1 } });
+    return cycles.map(cycle => withCycleProgress(cycle, now));
+  }
+
+  async getCycleById(cycleId) {
+    return withCycleProgress(await this.storage.cycles.findById(cycleId));
+  }
+
+  /**
+   * The running cycle, or the next one to start when none is running
+   */
+  async getCurrentCycle() {
+    const now = new Date();
+    const [active] = await this.storage.cycles.find(
+      { startDate: { $lte: now }, endDate: { $gt: now } },
+      { sort: { startDate: -1 }, limit: 1 }
+    );
+    if (active) return withCycleProgress(active, now);
+
+    const [next] = await this.storage.cycles.find(
+      { startDate: { $gt: now } },
+      { sort: { startDate: 1 }, limit: 1 }
+    );
+    return withCycleProgress(next || null, now);
+  }
+
+  async updateCycle(cycleId, updateData) {
+    const fields = validate(cycleSchema, updateData, { partial: true });
+    const changes = { ...fields, updatedAt: new Date() };
+    if (fields.startDate) {
+      changes.endDate = new Date(fields.startDate.getTime() + CYCLE_WEEKS * WEEK_MS);
+    }
+
+    const existing = await this.storage.cycles.findById(cycleId);
+    const cycle = existing && await this.storage.cycles.update(cycleId, changes);
+    if (!cycle) {
+      throw new NotFoundError('Cycle not found');
+    }
+    await this.logActivity('update', 'cycle', { before: existing, after: cycle });
+
+    return withCycleProgress(cycle);
+  }
+
+  async deleteCycle(cycleId) {
+    const cycle = await this.storage.cycles.findById(cycleId);
+    const deleted = cycle && await this.storage.cycles.delete(cycleId);
+    if (!deleted) {
+      throw new NotFoundError('Cycle not found');
+    }
+    await this.logActivity('delete', 'cycle', { before: cycle });
+
+    return { message: 'Cycle deleted successfully' };
+  }
+
+  /**
+   * Loads a cycle and one of its teams, throwing NotFoundError for either
+   */
+  async getCycleTeam(cycleId, teamId) {
+    const cycle = await this.storage.cycles.findById(cycleId);
+    if (!cycle) {
+      throw new NotFoundError('Cycle not found');
+    }
+    const team = cycle.teams.find(t => t.teamId === String(teamId));
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+    return { cycle, team };
+  }
+
+  /**
+   * Resolves a team's project link and members. Teams linked to a project
+   * default to the project's members.
+   */
+  async resolveCycleTeam(fields, current = {}) {
+    const resolved = {};
+    if ('projectId' in fields) {
+      const project = fields.projectId ? await this.storage.projects.findById(fields.projectId) : null;
+      if (fields.projectId && !project) {
+        throw new ValidationError({ projectId: 'Project not found' });
+      }
+      resolved.projectId = project ? String(project._id) : null;
+      resolved.projectTitle = project ? project.title : null;
+      if (project && !fields.memberIds?.length && !current.memberIds?.length) {
+        fields = { ...fields, memberIds: project.memberIds || [] };
+      }
+    }
+    if ('memberIds' in fields) {
+      const { memberIds, team } = await this.resolveTeamMembers(fields.memberIds || []);
+      resolved.memberIds = memberIds;
+      resolved.members = team;
+    }
+    return resolved;
+  }
+
+  async addCycleTeam(cycleId, teamData) {
+    const fields = validate(cycleTeamSchema, teamData);
+
+    const cycle = await this.storage.cycles.findById(cycleId);
+    if (!cycle) {
+      throw new NotFoundError('Cycle not found');
+    }
+    if (cycle.teams.some(t => t.name.toLowerCase() === fields.name.toLowerCase())) {
+      throw new ConflictError('A team with this name is already in the cycle', 'name');
+    }
+
+    const team = {
+      teamId: crypto.randomBytes(6).toString('hex'),
+      name: fields.name,
+      ...await this.resolveCycleTeam(fields),
+      deliverables: Object.fromEntries(CYCLE_PHASES.map(({ key }) => [key, emptyDeliverable()])),
+      createdAt: new Date()
+    };
+
+    const updated = await this.storage.cycles.update(cycleId, {
+      teams: [...cycle.teams, team],
+      updatedAt: new Date()
+    });
+    await this.logActivity('add-team', 'cycle', { entity: cycle, after: team, context: { teamId: team.teamId } });
+    return withCycleProgress(updated);
+  }
+
+  async updateCycleTeam(cycleId, teamId, updateData) {
+    const fields = validate(cycleTeamSchema, updateData, { partial: true });
+    const { cycle, team } = await this.getCycleTeam(cycleId, teamId);
+
+    if (fields.name && cycle.teams.some(t =>
+      t.teamId !== team.teamId && t.name.toLowerCase() === fields.name.toLowerCase())) {
+      throw new ConflictError('A team with this name is already in the cycle', 'name');
+    }
+
+    const changes = { ...(fields.name ? { name: fields.name } : {}), ...await this.resolveCycleTeam(fields, team) };
+    const updated = await this.storage.cycles.update(cycleId, {
+      teams: cycle.teams.map(t => t.teamId === team.teamId ? { ...t, ...changes } : t),
+      updatedAt: new Date()
+    });
+    await this.logActivity('update-team', 'cycle', {
+      entity: cycle,
+      before: team,
+      after: { ...team, ...changes },
+      context: { teamId: team.teamId }
+    });
+    return withCycleProgress(updated);
+  }
+
+  async removeCycleTeam(cycleId, teamId) {
+    const { cycle, team } = await this.getCycleTeam(cycleId, teamId);
+    const updated = await this.storage.cycles.update(cycleId, {
+      teams: cycle.teams.filter(t => t.teamId !== team.teamId),
+      updatedAt: new Date()
+    });
+    await this.logActivity('remove-team', 'cycle', { entity: cycle, before: team, context: { teamId: team.teamId } });
+    return withCycleProgress(updated);
+  }
+
+  /**
+   * Records a team's deliverable for a phase that has started.
+   * Resubmitting replaces the previous submission until it is approved.
+   */
+  async submitDeliverable(cycleId, submission, submitterId) {
+    const { teamId, phase, url, note } = validate(deliverableSubmissionSchema, submission);
+    const { cycle, team } = await this.getCycleTeam(cycleId, teamId);
+
+    const schedule = withCycleProgress(cycle).phases.find(p => p.key === phase);
+    if (schedule.status === 'upcoming') {
+      throw new ConflictError(`${schedule.name} has not started yet`);
+    }
+    const current = team.deliverables?.[phase] || emptyDeliverable();
+    if (current.status === 'approved') {
+      throw new ConflictError('This deliverable has already been approved');
+    }
+    if (!url && !note) {
+      throw new ValidationError({ url: 'Add a link or a note to submit' });
+    }
+
+    return await this.saveDeliverable('submit-deliverable', cycle, team, phase, {
+      ...current,
+      status: 'submitted',
+      url,
+      note,
+      submittedAt: new Date(),
+      submittedBy: String(submitterId)
+    });
+  }
+
+  async reviewDeliverable(cycleId, review, reviewer) {
+    const { teamId, phase, status, feedback } = validate(deliverableReviewSchema, review);
+    const { cycle, team } = await this.getCycleTeam(cycleId, teamId);
+
+    const current = team.deliverables?.[phase] || emptyDeliverable();
+    if (current.status !== 'submitted') {
+      throw new ConflictError('Only submitted deliverables can be reviewed');
+    }
+
+    return await this.saveDeliverable('review-deliverable', cycle, team, phase, {
+      ...current,
+      status,
+      feedback,
+      reviewedAt: new Date(),
+      reviewedBy: String(reviewer.id)
+    });
+  }
+
+  async saveDeliverable(action, cycle, team, phase, deliverable) {
+    const updated = await this.storage.cycles.update(cycle._id, {
+      teams: cycle.teams.map(t => t.teamId === team.teamId
+        ? { ...t, deliverables: { ...t.deliverables, [phase]: deliverable } }
+        : t),
+      updatedAt: new Date()
+    });
+    await this.logActivity(action, 'cycle', {
+      entity: cycle,
+      before: team.deliverables?.[phase] || null,
+      after: deliverable,
+      context: { teamId: team.teamId, teamName: team.name, phase }
+    });
+    return withCycleProgress(updated);
+  }
+
+  // ====================================================
+  // NOTIFICATIONS
+  // ====================================================
+
+  /**
+   * Queues a templated email to a member and tries to deliver it right away.
+   * A `dedupeKey` makes the call idempotent (one reminder per RSVP, etc.).
+   * Never throws, so a mail problem can't fail the operation that sent it;
+   * failed deliveries stay queued for processNotificationQueue().
+   */
+  async notifyMember(member, template, data = {}, dedupeKey = null) {
+    try {
+      if (dedupeKey && await this.storage.notifications.findOne({ dedupeKey })) {
+        return null;
+      }
+
+      const { subject, text, html } = renderTemplate(template, { member, ...data });
+      const now = new Date();
+      const notification = await this.storage.notifications.insert({
+        memberId: String(member._id),
+        email: member.email,
+        template,
+        subject,
+        text,
+        html,
+        dedupeKey,
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        messageId: null,
+        nextAttemptAt: now,
+        sentAt: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      return withoutMessageBody(await this.deliverNotification(notification));
+    } catch (error) {
+      console.error(`Could not queue ${template} email:`, error);
+      return null;
+    }
+  }
+
+  async deliverNotification(notification) {
+    const now = new Date();
+    const attempts = notification.attempts + 1;
+    try {
+      const { messageId } = await this.mailer.send({
+        from: process.env.MAIL_FROM || DEFAULT_MAIL_FROM,
+        to: notification.email,
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html
+      });
+      return await this.storage.notifications.update(notification._id, {
+        status: 'sent',
+        attempts,
+        messageId,
+        lastError: null,
+        nextAttemptAt: null,
+        sentAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      const failed = attempts >= MAX_DELIVERY_ATTEMPTS;
+      return await this.storage.notifications.update(notification._id, {
+        status: failed ? 'failed' : 'queued',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+        updatedAt: now
+      });
+    }
+  }
+
+  /**
+   * Retries queued emails whose backoff has elapsed
+   */
+  async processNotificationQueue(limit = 50) {
+    const due = await this.storage.notifications.find(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { sort: { nextAttemptAt: 1 }, limit }
+    );
+
+    const result = { processed: due.length, sent: 0, retrying: 0, failed: 0 };
+    for (const notification of due) {
+      const { status } = await this.deliverNotification(notification);
+      if (status === 'sent') result.sent++;
+      else if (status === 'failed') result.failed++;
+      else result.retrying++;
+    }
+    return result;
+  }
+
+  /**
+   * Emails everyone going to an event (or occurrence of a repeating one)
+   * that starts within the next 24 hours. Rescheduled events get a fresh
+   * reminder for the new date.
+   */
+  async queueEventReminders(now = new Date()) {
+    const occurrences = await this.getOccurrences(now, new Date(now.getTime() + DAY_MS + 1));
+    const events = occurrences.filter(event => new Date(event.eventDate) > now);
+
+    let queued = 0;
+    for (const event of events) {
+      // Checking in to one session of a series doesn't end it
+      const rsvps = await this.storage.rsvps.find({
+        eventId: String(event._id),
+        status: 'going',
+        ...(!event.seriesId && { checkedInAt: null })
+      });
+      for (const rsvp of rsvps) {
+        const member = await this.storage.members.findById(rsvp.memberId);
+        if (!member) continue;
+        const dedupeKey = `event-reminder:${event._id}:${member._id}:${new Date(event.eventDate).toISOString()}`;
+        if (await this.notifyMember(member, 'eventReminder', { event, rsvp }, dedupeKey)) queued++;
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Sends accepted members the posts published since the last digest,
+   * at most once every DIGEST_INTERVAL_MS
+   */
+  async sendBlogDigest(now = new Date()) {
+    const [last] = await this.storage.notifications.find(
+      { template: 'blogDigest' },
+      { sort: { createdAt: -1 }, limit: 1 }
+    );
+    if (last && now - new Date(last.createdAt) < DIGEST_INTERVAL_MS) return 0;
+
+    const since = last ? new Date(last.createdAt) : new Date(now.getTime() - DIGEST_INTERVAL_MS);
+    const blogs = await this.storage.blogs.find(
+      { ...liveBlogsFilter(now), publishAt: { $gt: since, $lte: now } },
+      { sort: { publishAt: -1 }, limit: 10 }
+    );
+    if (!blogs.length) return 0;
+
+    const digestKey = now.toISOString().slice(0, 10);
+    let queued = 0;
+    for (const member of await this.storage.members.find(ACCEPTED_MEMBERS)) {
+      if (await this.notifyMember(member, 'blogDigest', { blogs }, `blog-digest:${digestKey}:${member._id}`)) queued++;
+    }
+    return queued;
+  }
+
+  /**
+   * Scheduled job: reminders, the blog digest, then retries
+   */
+  async runNotificationJobs() {
+    const reminders = await this.queueEventReminders();
+    const digests = await this.sendBlogDigest();
+    const queue = await this.processNotificationQueue();
+    return { reminders, digests, ...queue };
+  }
+
+  /**
+   * A member's delivery log, newest first
+   */
+  async getMemberNotifications(memberId, limit = 50, skip = 0) {
+    const notifications = await this.storage.notifications.find(
+      { memberId: String(memberId) },
+      { sort: { createdAt: -1 }, limit, skip }
+    );
+    return notifications.map(withoutMessageBody);
+  }
+
+  // ====================================================
+  // LIST PAGES
+  // ====================================================
+
+  /**
+   * One page of `collection` in the order of `sort`, continuing after
+   * `cursor`. Returns `{ items, nextCursor }`, plus the number of matches
+   * across all pages as `total` when asked for.
+   */
+  async findPage(collection, filter, { sort, limit, cursor, total = false }) {
+    const keys = sortKeys(sort);
+    const pageSize = limit || DEFAULT_PAGE_SIZE;
+    const after = cursor
+      ? { $and: [...(filter.$and || []), afterFilter(keys, readPageCursor(cursor, keys))] }
+      : {};
+
+    const [items, count] = await Promise.all([
+      this.storage[collection].find({ ...filter, ...after }, { sort: Object.fromEntries(keys), limit: pageSize + 1 }),
+      total ? this.storage[collection].count(filter) : null
+    ]);
+    return pageOf(items, keys, pageSize, count);
+  }
+
+  // ====================================================
+  // SEARCH
+  // ====================================================
+
+  /**
+   * Ranked full-text search across blogs, events and members.
+   * Members are only searched when `includeMembers` is set by the caller.
+   */
+  async search(params, { includeMembers = false } = {}) {
+    const { q, types, limit, skip } = validate(searchSchema, params);
+    if (types.includes('members') && !includeMembers) {
+      throw new AuthError('Insufficient permissions to search members', 403);
+    }
+    const requested = types.length ? types : SEARCH_TYPES.filter(t => t !== 'members' || includeMembers);
+
+    const sources = {
+      blogs: {
+        filter: liveBlogsFilter(),
+        toResult: b => ({ type: 'blog', title: b.title, snippet: plainText(b.content), document: withoutAuthorEmail(b) })
+      },
+      events: {
+        filter: NOT_DELETED,
+        toResult: e => ({ type: 'event', title: e.title, snippet: e.description || e.location, document: e })
+      },
+      members: {
+        filter: ACCEPTED_MEMBERS,
+        toResult: m => ({
+          type: 'member',
+          title: m.name,
+          snippet: [m.department, m.interests].filter(Boolean).join(' · '),
+          document: sanitizeMember(m)
+        })
+      }
+    };
+
+    const matches = await Promise.all(requested.map(async (type) => {
+      const docs = await this.storage[type].search(q, {
+        fields: SEARCH_FIELDS[type],
+        filter: sources[type].filter,
+        limit: SEARCH_CANDIDATES
+      });
+      return docs.map(doc => {
+        const { title, snippet, ...result } = sources[type].toResult(doc);
+        return {
+          ...result,
+          id: String(doc._id),
+          // Adapters may match stemmed forms we can't score; keep them, ranked last
+          score: scoreDocument(doc, SEARCH_FIELDS[type], q) || 0.01,
+          titleHtml: highlight(title, q),
+          snippetHtml: highlight(snippet, q)
+        };
+      });
+    }));
+
+    const ranked = matches.flat().sort((a, b) => b.score - a.score);
+    const page = ranked.slice(skip || 0, (skip || 0) + (limit || 20));
+
+    return {
+      query: q,
+      types: requested,
+      total: ranked.length,
+      results: page.map(({ document, ...result }) => ({ ...result, [result.type]: document }))
+    };
+  }
+
+  // ====================================================
+  // EXPORT & IMPORT
+  // ====================================================
+
+  /**
+   * Members as CSV, JSON or vCard. Defaults to accepted members; filter by
+   * department, year or application status. Like the review queue, other
+   * statuses leave out sign-ups that haven't confirmed their email.
+   */
+  async exportMembers(params = {}) {
+    const { format, fields, department, year, status } = validate(memberExportSchema, params);
+    const filter = !status || status === 'accepted'
+      ? { ...ACCEPTED_MEMBERS }
+      : { ...NOT_DELETED, ...VERIFIED_EMAIL, applicationStatus: status };
+    if (department) filter.department = department;
+    if (year) filter.year = year;
+
+    const members = (await this.storage.members.find(filter, { sort: { name: 1 } }))
+      .map(member => ({ ...sanitizeMember(member), applicationStatus: member.applicationStatus || 'accepted' }));
+    return exportFile('members', format || 'csv', members,
+      fields.length ? fields : DEFAULT_EXPORT_FIELDS.members, membersToVCard);
+  }
+
+  /**
+   * Events as CSV, JSON or iCalendar, optionally limited to a date range
+   */
+  async exportEvents(params = {}) {
+    const { format, fields, from, to, upcoming } = validate(eventExportSchema, params);
+    const eventDate = {};
+    if (from) eventDate.$gte = from;
+    if (to) eventDate.$lte = to;
+    if (upcoming) eventDate.$gt = new Date();
+
+    const events = await this.storage.events.find(
+      Object.keys(eventDate).length ? { ...NOT_DELETED, eventDate } : NOT_DELETED,
+      { sort: { eventDate: 1 } }
+    );
+    return exportFile('events', format || 'csv', events,
+      fields.length ? fields : DEFAULT_EXPORT_FIELDS.events, eventsToIcs);
+  }
+
+  /**
+   * Validates every row, then creates the valid, non-duplicate ones unless
+   * `dryRun`. `normalize` may adjust or reject (ValidationError) validated
+   * values, `keyOf` gives their dedupe key, `exists` checks it against
+   * stored records and `insert` creates one.
+   * Row numbers are 1-based data rows (the CSV header is not counted).
+   */
+  async importRows(rows, { dryRun, schema, normalize = values => values, keyOf, exists, insert }) {
+    const seen = new Set();
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+      const result = { row: index + 1 };
+      results.push(result);
+      let values;
+      try {
+        values = normalize(validate(schema, row));
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        Object.assign(result, { status: 'invalid', errors: error.fields });
+        continue;
+      }
+
+      const key = keyOf(values);
+      result.key = key;
+      if (seen.has(key) || await exists(values)) {
+        result.status = 'duplicate';
+        continue;
+      }
+      seen.add(key);
+
+      if (dryRun) {
+        result.status = 'valid';
+      } else {
+        result.status = 'created';
+        result.id = (await insert(values))._id;
+      }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    return {
+      dryRun,
+      total: rows.length,
+      valid: count('valid') + count('created'),
+      created: count('created'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      rows: results
+    };
+  }
+
+  /**
+   * Imports a roster of existing members: they join as accepted, verified
+   * members without any emails being sent. Emails are deduplicated
+   * (lowercased) against the file and stored members; an unverified
+   * sign-up with the same email is replaced by the imported member.
+   */
+  async importMembers(input, { dryRun = false } = {}) {
+    const now = new Date();
+    return this.importRows(readImportRows(input), {
+      dryRun,
+      schema: memberImportSchema,
+      keyOf: values => values.email,
+      exists: async ({ email }) => {
+        const existing = await this.storage.members.findOne({ email });
+        return Boolean(existing) && existing.emailVerified !== false;
+      },
+      insert: async ({ joinedAt, ...fields }) => {
+        const unverified = await this.storage.members.findOne({ email: fields.email });
+        if (unverified) {
+          await this.storage.members.delete(unverified._id);
+          await this.storage.notifications.deleteMany({ memberId: String(unverified._id) });
+          await this.logActivity('purge', 'member', { before: unverified });
+        }
+        const member = await this.storage.members.insert({
+          ...fields,
+          role: 'member',
+          applicationStatus: 'accepted',
+          applicationHistory: [{ from: null, to: 'accepted', reviewerId: null, reviewerName: null, note: 'Imported', at: now }],
+          appliedAt: joinedAt || now,
+          statusChangedAt: now,
+          reviewedBy: null,
+          joinedAt: joinedAt || now,
+          emailVerified: true,
+          emailVerifiedAt: now,
+          verificationExpiresAt: null,
+          createdAt: now,
+          updatedAt: now
+        });
+        await this.logActivity('import', 'member', { after: member });
+        return member;
       }
-      
-      return result.value;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL update_member(?, ?, ?, ?, ?)',
-        [memberId, name, email, department, year]
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
+    });
   }
 
-  async deleteMember(memberId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      const result = await db.collection("members").deleteOne({ _id: new ObjectId(memberId) });
-      if (result.deletedCount === 0) {
-        throw new Error('Member not found');
+  /**
+   * Imports events, past ones included. An event with the same title
+   * (ignoring case) at the same time counts as a duplicate.
+   */
+  async importEvents(input, { dryRun = false } = {}) {
+    const keyOf = ({ title, eventDate }) => `${title.toLowerCase()}|${eventDate.toISOString()}`;
+    return this.importRows(readImportRows(input), {
+      dryRun,
+      schema: eventImportSchema,
+      keyOf,
+      exists: async (values) => {
+        const sameTime = await this.storage.events.find({ eventDate: values.eventDate });
+        return sameTime.some(event => keyOf({ ...event, eventDate: new Date(event.eventDate) }) === keyOf(values));
+      },
+      normalize: normalizeEventTimes,
+      insert: async (values) => {
+        const now = new Date();
+        const event = await this.storage.events.insert({ ...values, overrides: [], sequence: 0, createdAt: now, updatedAt: now });
+        await this.logActivity('import', 'event', { after: event });
+        return event;
       }
-      
-      // Also delete related blogs
-      await db.collection("blogs").deleteMany({ authorId: memberId });
-      
-      return { message: 'Member deleted successfully' };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL delete_member(?)', [memberId]);
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
+    });
   }
 
   // ====================================================
-  // EVENT OPERATIONS
+  // TRASH & RESTORE
   // ====================================================
 
-  async addEvent(eventData) {
-    const { title, description, eventDate, location } = eventData;
-    
-    if (!title || !eventDate) {
-      throw new Error('Title and event date are required');
-    }
-    
-    const eventDateObj = new Date(eventDate);
-    if (eventDateObj <= new Date()) {
-      throw new Error('Event date must be in the future');
-    }
-
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      const event = {
-        title: title.trim(),
-        description: description?.trim() || null,
-        eventDate: eventDateObj,
-        location: location?.trim() || null,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("events").insertOne(event);
-      return { ...event, _id: result.insertedId };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL add_event(?, ?, ?, ?)',
-        [title, description, eventDate, location]
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
-  }
-
-  async getEvents(upcomingOnly = false) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      const filter = upcomingOnly ? { eventDate: { $gt: new Date() } } : {};
-      const events = await db.collection("events")
-        .find(filter)
-        .sort({ eventDate: 1 })
-        .toArray();
-      
-      return events;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const procedure = upcomingOnly ? 'list_upcoming_events' : 'list_events';
-      const [rows] = await connection.execute(`CALL ${procedure}()`);
-      return rows[0];
-      */
-      throw new Error('MySQL implementation not enabled');
+  /**
+   * A member, event or blog post, or null when it is missing or in the trash
+   */
+  async findLive(collection, id) {
+    const record = await this.storage[collection].findById(id);
+    return record && !record.deletedAt ? record : null;
+  }
+
+  async findTrashed(collection, id, label) {
+    const record = await this.storage[collection].findById(id);
+    if (!record || !record.deletedAt) {
+      throw new NotFoundError(`${label} not found in trash`);
     }
+    return record;
   }
 
-  async getEventById(eventId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      return await db.collection("events").findOne({ _id: new ObjectId(eventId) });
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_event_by_id(?)', [eventId]);
-      return rows[0][0] || null;
-      */
-      throw new Error('MySQL implementation not enabled');
+  /**
+   * Deleted records of a collection, most recently deleted first, with the
+   * date each is due to be purged
+   */
+  async getTrash(collection, limit = 100, skip = 0) {
+    const retention = trashRetentionMs();
+    const records = await this.storage[collection].find(
+      { deletedAt: { $ne: null } },
+      { sort: { deletedAt: -1 }, limit, skip }
+    );
+    return records.map(record => ({
+      ...(collection === 'members' ? sanitizeMember(record) : record),
+      purgeAt: new Date(new Date(record.deletedAt).getTime() + retention)
+    }));
+  }
+
+  /**
+   * Restores a member and the posts trashed along with them. RSVPs
+   * cancelled when they were deleted stay cancelled.
+   */
+  async restoreMember(memberId) {
+    const member = await this.findTrashed('members', memberId, 'Member');
+
+    const now = new Date();
+    const blogs = await this.storage.blogs.find({ authorId: String(member._id), deletedAt: new Date(member.deletedAt) });
+    for (const blog of blogs) {
+      const restored = await this.storage.blogs.update(blog._id, { deletedAt: null, updatedAt: now });
+      await this.logActivity('restore', 'blog', { before: blog, after: restored, context: { withMemberId: String(member._id) } });
     }
+    const restored = await this.storage.members.update(member._id, { deletedAt: null, updatedAt: now });
+    await this.logActivity('restore', 'member', { before: member, after: restored });
+    return sanitizeMember(restored);
   }
 
-  async updateEvent(eventId, updateData) {
-    const { title, description, eventDate, location } = updateData;
-    
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      const updateFields = {
-        ...(title && { title: title.trim() }),
-        ...(description && { description: description.trim() }),
-        ...(eventDate && { eventDate: new Date(eventDate) }),
-        ...(location && { location: location.trim() }),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("events").findOneAndUpdate(
-        { _id: new ObjectId(eventId) },
-        { $set: updateFields },
-        { returnDocument: 'after' }
-      );
-      
-      if (!result.value) {
-        throw new Error('Event not found');
-      }
-      
-      return result.value;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL update_event(?, ?, ?, ?, ?)',
-        [eventId, title, description, eventDate, location]
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
+  /**
+   * Restores an event with its RSVPs; calendar subscribers get it back
+   * with a new SEQUENCE
+   */
+  async restoreEvent(eventId) {
+    const event = await this.findTrashed('events', eventId, 'Event');
+
+    await this.storage.eventCancellations.deleteMany({ eventId: String(event._id) });
+    const restored = await this.storage.events.update(event._id, {
+      deletedAt: null,
+      sequence: (event.sequence || 0) + 1,
+      updatedAt: new Date()
+    });
+    await this.logActivity('restore', 'event', { before: event, after: restored });
+    return restored;
+  }
+
+  async restoreBlog(blogId) {
+    const blog = await this.findTrashed('blogs', blogId, 'Blog');
+    if (!(await this.findLive('members', blog.authorId))) {
+      throw new ConflictError("The post's author is in the trash; restore them first");
     }
+    const restored = await this.storage.blogs.update(blog._id, { deletedAt: null, updatedAt: new Date() });
+    await this.logActivity('restore', 'blog', { before: blog, after: restored });
+    return restored;
   }
 
-  async deleteEvent(eventId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      const result = await db.collection("events").deleteOne({ _id: new ObjectId(eventId) });
-      if (result.deletedCount === 0) {
-        throw new Error('Event not found');
+  /**
+   * Permanently deletes records that have been in the trash longer than
+   * TRASH_RETENTION_DAYS (30 by default)
+   */
+  async purgeTrash(now = new Date()) {
+    const purge = {
+      members: id => this.purgeMember(id),
+      events: id => this.purgeEvent(id),
+      blogs: id => this.purgeBlog(id)
+    };
+    const deletedAt = { $lte: new Date(now.getTime() - trashRetentionMs()) };
+
+    const purged = {};
+    for (const collection of TRASH_COLLECTIONS) {
+      const expired = await this.storage[collection].find({ deletedAt });
+      for (const record of expired) {
+        await purge[collection](record._id);
       }
-      
-      return { message: 'Event deleted successfully' };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL delete_event(?)', [eventId]);
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
+      purged[collection] = expired.length;
     }
+    return { purged };
   }
 
   // ====================================================
-  // BLOG OPERATIONS
+  // ACTIVITY LOG
   // ====================================================
 
-  async addBlog(blogData) {
-    const { title, content, authorId } = blogData;
-    
-    if (!title || !content || !authorId) {
-      throw new Error('Title, content, and author ID are required');
-    }
-
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      // Check if author exists
-      const author = await db.collection("members").findOne({ _id: new ObjectId(authorId) });
-      if (!author) {
-        throw new Error('Author not found');
-      }
-      
-      const blog = {
-        title: title.trim(),
-        content: content.trim(),
-        authorId: authorId,
-        authorName: author.name,
-        authorEmail: author.email,
-        authorDepartment: author.department,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("blogs").insertOne(blog);
-      return { ...blog, _id: result.insertedId };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL add_blog(?, ?, ?)',
-        [title, content, authorId]
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
-  }
-
-  async getBlogs(limit = 50, skip = 0) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const blogs = await db.collection("blogs")
-        .find({})
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .skip(skip)
-        .toArray();
-      
-      return blogs;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL list_blogs()');
-      return rows[0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
-  }
+  /**
+   * Appends an entry to the activity log (see lib/activity.js). `entity` is
+   * the record the change belongs to and defaults to `after || before`,
+   * the versions diffed. The actor and IP come from the request being
+   * handled; sign-ups and scheduled jobs have no actor. A failure to log
+   * is reported but doesn't fail the change, which has already been made.
+   */
+  async logActivity(action, entityType, { entity, before = null, after = null, context = null } = {}) {
+    const req = currentRequest();
+    const actor = currentActor();
 
-  async getBlogById(blogId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      return await db.collection("blogs").findOne({ _id: new ObjectId(blogId) });
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_blog_by_id(?)', [blogId]);
-      return rows[0][0] || null;
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
-  }
-
-  async getBlogsByAuthor(authorId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const blogs = await db.collection("blogs")
-        .find({ authorId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      
-      return blogs;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_blogs_by_author(?)', [authorId]);
-      return rows[0];
-      */
-      throw new Error('MySQL implementation not enabled');
+    const record = entity || after || before;
+    try {
+      await this.storage.activities.insert({
+        action,
+        entityType,
+        entityId: record?._id ? String(record._id) : null,
+        entityLabel: record?.name || record?.title || record?.eventTitle || null,
+        actorId: actor?.id || null,
+        actorEmail: actor?.email || null,
+        actorRole: actor?.role || null,
+        changes: diffChanges(before, after),
+        context,
+        ip: req ? getClientIp(req) : null,
+        createdAt: new Date()
+      });
+    } catch (error) {
+      console.error('Failed to record activity:', error);
     }
   }
 
-  async updateBlog(blogId, updateData) {
-    const { title, content } = updateData;
-    
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      const updateFields = {
-        ...(title && { title: title.trim() }),
-        ...(content && { content: content.trim() }),
-        updatedAt: new Date()
-      };
-      
-      const result = await db.collection("blogs").findOneAndUpdate(
-        { _id: new ObjectId(blogId) },
-        { $set: updateFields },
-        { returnDocument: 'after' }
-      );
-      
-      if (!result.value) {
-        throw new Error('Blog not found');
+  /**
+   * Activity log entries, newest first, filtered by actor, entity, action
+   * (`operation`) and date range. Returns `{ items, nextCursor }`; pass `nextCursor` back
+   * as `cursor` for the following page.
+   */
+  async getActivityLog(params = {}) {
+    const { actor, entityType, entityId, operation, from, to, limit, cursor } = validate(activityQuerySchema, params);
+
+    const filter = {};
+    if (actor) filter.actorId = actor;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (operation) filter.action = operation;
+    if (from || to) filter.createdAt = dateRange(from, to);
+    if (cursor) {
+      const { createdAt, id } = decodeCursor(cursor);
+      const after = new Date(createdAt);
+      if (Number.isNaN(after.getTime()) || !id) {
+        throw new ValidationError({ cursor: 'Cursor is invalid' });
       }
-      
-      return result.value;
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute(
-        'CALL update_blog(?, ?, ?)',
-        [blogId, title, content]
-      );
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
+      filter.$or = [
+        { createdAt: { $lt: after } },
+        { createdAt: after, _id: { $lt: id } }
+      ];
     }
+
+    const pageSize = limit || DEFAULT_ACTIVITY_PAGE;
+    const entries = await this.storage.activities.find(filter, {
+      sort: { createdAt: -1, _id: -1 },
+      limit: pageSize + 1
+    });
+    const items = entries.slice(0, pageSize);
+    const last = items[items.length - 1];
+    return {
+      items,
+      nextCursor: entries.length > pageSize
+        ? encodeCursor({ createdAt: new Date(last.createdAt).toISOString(), id: String(last._id) })
+        : null
+    };
   }
 
-  async deleteBlog(blogId) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      const { ObjectId } = await import('mongodb');
-      
-      const result = await db.collection("blogs").deleteOne({ _id: new ObjectId(blogId) });
-      if (result.deletedCount === 0) {
-        throw new Error('Blog not found');
+  /**
+   * The homepage feed: joins, published posts, approved comments, new
+   * events, RSVPs and check-ins from the activity log, without actors, IPs
+   * or field values. Entries about records that have since been deleted,
+   * unpublished or hidden are left out. Posts carry their comment count.
+   */
+  async getRecentActivity(limit = 10) {
+    const wanted = Math.min(Math.max(limit || 10, 1), MAX_PUBLIC_ACTIVITY);
+    // Bulk imports are left out up front so a large one can't crowd out the scan
+    const entries = await this.storage.activities.find(
+      { entityType: { $in: PUBLIC_ACTIVITY_TYPES }, action: { $ne: 'import' } },
+      { sort: { createdAt: -1 }, limit: PUBLIC_ACTIVITY_SCAN }
+    );
+    const candidates = entries
+      .map(entry => ({ entry, activity: publicActivity(entry) }))
+      .filter(({ activity }) => activity);
+
+    const idsOf = (type, contextField) => [...new Set(candidates.flatMap(({ entry }) =>
+      entry.entityType === type ? [entry.entityId] : entry.context?.[contextField] ? [entry.context[contextField]] : []
+    ))];
+    const [members, events, blogs, comments] = await Promise.all([
+      this.storage.members.find({ ...NOT_DELETED, _id: { $in: idsOf('member', 'memberId') } }),
+      this.storage.events.find({ ...NOT_DELETED, _id: { $in: idsOf('event', 'eventId') } }),
+      this.storage.blogs.find({ ...liveBlogsFilter(), _id: { $in: idsOf('blog', 'blogId') } }),
+      this.storage.comments.find({ ...VISIBLE_COMMENTS, _id: { $in: idsOf('comment') } })
+    ]);
+    const byId = (records) => new Map(records.map(record => [String(record._id), record]));
+    const [liveMembers, liveEvents, liveBlogs, liveComments] = [byId(members), byId(events), byId(blogs), byId(comments)];
+    const commentCounts = await this.countComments([...liveBlogs.keys()]);
+    const isVisible = ({ entityType, entityId, context }) => {
+      switch (entityType) {
+        case 'member': return liveMembers.has(entityId);
+        case 'event': return liveEvents.has(entityId);
+        case 'blog': return liveBlogs.has(entityId);
+        case 'comment': return liveComments.has(entityId) && liveBlogs.has(context?.blogId);
+        default: return liveMembers.has(context?.memberId) && liveEvents.has(context?.eventId);
       }
-      
-      return { message: 'Blog deleted successfully' };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL delete_blog(?)', [blogId]);
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
+    };
+
+    return candidates
+      .filter(({ entry }) => isVisible(entry))
+      .map(({ entry, activity }) => {
+        const blogId = entry.entityType === 'blog' ? entry.entityId : entry.entityType === 'comment' ? entry.context.blogId : null;
+        if (!blogId) return activity;
+
+        // Scheduled posts show from when they went live
+        const publishAt = entry.entityType === 'blog' && liveBlogs.get(blogId).publishAt;
+        return {
+          ...activity,
+          commentCount: commentCounts.get(blogId) || 0,
+          ...(publishAt && new Date(publishAt) > new Date(entry.createdAt) && { activityDate: publishAt })
+        };
+      })
+      .sort((a, b) => new Date(b.activityDate) - new Date(a.activityDate))
+      .slice(0, wanted);
   }
 
   // ====================================================
   // DASHBOARD & STATISTICS
   // ====================================================
 
-  async getDashboardStats() {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      const now = new Date();
-      const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      
-      const [
-        totalMembers,
-        upcomingEvents,
-        pastEvents,
-        totalBlogs,
-        newMembersToday,
-        newBlogsToday
-      ] = await Promise.all([
-        db.collection("members").countDocuments(),
-        db.collection("events").countDocuments({ eventDate: { $gt: now } }),
-        db.collection("events").countDocuments({ eventDate: { $lte: now } }),
-        db.collection("blogs").countDocuments(),
-        db.collection("members").countDocuments({ joinedAt: { $gte: todayStart } }),
-        db.collection("blogs").countDocuments({ createdAt: { $gte: todayStart } })
-      ]);
-      
-      return {
-        totalMembers,
-        upcomingEvents,
-        pastEvents,
-        totalBlogs,
-        newMembersToday,
-        newBlogsToday
-      };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_dashboard_stats()');
-      return rows[0][0];
-      */
-      throw new Error('MySQL implementation not enabled');
+  /**
+   * Totals plus "today" counts, where today starts at local midnight in `timeZone`
+   */
+  async getDashboardStats({ timeZone } = {}) {
+    const { members, events, blogs, rsvps, checkIns } = this.storage;
+
+    const now = new Date();
+    const todayStart = startOfDay(now, resolveTimeZone(timeZone));
+
+    // A repeating series is upcoming while it has occurrences to come. RSVPs
+    // only count while their event is live, and open ones only until it starts.
+    const liveEvents = await events.find(NOT_DELETED);
+    const liveEventIds = liveEvents.map(event => String(event._id));
+    const upcomingEventIds = liveEvents.filter(event => nextOccurrence(event, now)).map(event => String(event._id));
+    const upcomingSeriesIds = liveEvents.filter(event => event.rrule && upcomingEventIds.includes(String(event._id)))
+      .map(event => String(event._id));
+
+    const [
+      totalMembers,
+      totalBlogs,
+      newMembersToday,
+      newBlogsToday,
+      activeRsvps,
+      totalCheckIns,
+      checkInsToday,
+      pendingApplications,
+      unverifiedSignups,
+      blogsInReview
+    ] = await Promise.all([
+      members.count(ACCEPTED_MEMBERS),
+      blogs.count(liveBlogsFilter(now)),
+      members.count({ ...ACCEPTED_MEMBERS, joinedAt: { $gte: todayStart } }),
+      blogs.count({ ...liveBlogsFilter(now), createdAt: { $gte: todayStart } }),
+      // Members checked in to one session of a series are still going to the next
+      rsvps.count({
+        eventId: { $in: upcomingEventIds },
+        status: 'going',
+        $or: [{ checkedInAt: null }, { eventId: { $in: upcomingSeriesIds } }]
+      }),
+      checkIns.count({ eventId: { $in: liveEventIds } }),
+      checkIns.count({ eventId: { $in: liveEventIds }, checkedInAt: { $gte: todayStart } }),
+      members.count({ ...NOT_DELETED, ...VERIFIED_EMAIL, applicationStatus: { $in: ['pending', 'interview'] } }),
+      members.count({ ...NOT_DELETED, emailVerified: false }),
+      blogs.count({ ...NOT_DELETED, status: 'in-review' })
+    ]);
+
+    return {
+      totalMembers,
+      upcomingEvents: upcomingEventIds.length,
+      pastEvents: liveEventIds.length - upcomingEventIds.length,
+      totalBlogs,
+      newMembersToday,
+      newBlogsToday,
+      activeRsvps,
+      totalCheckIns,
+      checkInsToday,
+      pendingApplications,
+      unverifiedSignups,
+      blogsInReview
+    };
+  }
+
+  // ====================================================
+  // ANALYTICS
+  // ====================================================
+
+  /**
+   * Time series for charting over [from, to): new members (with cumulative
+   * growth), verified sign-ups, published blogs and events, bucketed by
+   * day, week or month in a time zone. Also breaks new members down by
+   * department and reports, per joining cohort, how many members RSVP'd or
+   * published a post within `retentionWeeks` of joining.
+   */
+  async getAnalytics(params = {}) {
+    const fields = validate(analyticsSchema, params);
+    const interval = fields.interval || 'week';
+    const timeZone = resolveTimeZone(fields.timezone);
+    const retentionWeeks = fields.retentionWeeks || DEFAULT_RETENTION_WEEKS;
+    const now = new Date();
+
+    const to = fields.to ? parseRangeDate(fields.to, timeZone, { endOfDay: true }) : now;
+    const from = fields.from ? parseRangeDate(fields.from, timeZone) : to && defaultRangeStart(to, interval, timeZone);
+    const errors = {};
+    if (!to) errors.to = 'To must be a valid date';
+    if (!from) errors.from = 'From must be a valid date';
+    if (from && to && from >= to) errors.from = 'From must be before To';
+    if (Object.keys(errors).length > 0) throw new ValidationError(errors);
+
+    const buckets = bucketRange(from, to, interval, timeZone);
+    if (buckets.length > MAX_ANALYTICS_BUCKETS) {
+      throw new ValidationError({ from: `Range is too long: at most ${MAX_ANALYTICS_BUCKETS} ${interval} buckets` });
+    }
+
+    // Events count once per occurrence, so a weekly series adds one a week
+    const inRange = { $gte: from, $lt: to };
+    const [joined, signups, liveBlogs, occurrences, membersBefore, occurrencesBefore] = await Promise.all([
+      this.storage.members.find({ ...ACCEPTED_MEMBERS, joinedAt: inRange }, { sort: { joinedAt: 1 } }),
+      this.storage.members.find({ ...NOT_DELETED, ...VERIFIED_EMAIL, appliedAt: inRange }),
+      // Legacy posts may lack publishAt, so the range is applied below
+      this.storage.blogs.find({ ...liveBlogsFilter(now), createdAt: { $lt: to } }),
+      this.getOccurrences(from, to),
+      this.storage.members.count({ ...ACCEPTED_MEMBERS, joinedAt: { $lt: from } }),
+      this.getOccurrences(new Date(0), from)
+    ]);
+    // Multi-day events already under way at `from` started before the range
+    const eventDates = occurrences.map(e => new Date(e.eventDate)).filter(date => date >= from);
+
+    const blogDates = liveBlogs.map(blog => new Date(blog.publishAt || blog.createdAt));
+    const series = (dates, base) => {
+      const counts = countByBucket(dates, buckets, interval, timeZone);
+      return { counts, cumulative: cumulative(counts, base) };
+    };
+
+    // New members per department, busiest departments first
+    const byDepartment = new Map();
+    for (const member of joined) {
+      const department = member.department || null;
+      if (!byDepartment.has(department)) byDepartment.set(department, []);
+      byDepartment.get(department).push(member.joinedAt);
     }
+    const departments = [...byDepartment]
+      .map(([department, dates]) => ({
+        department,
+        total: dates.length,
+        counts: countByBucket(dates, buckets, interval, timeZone)
+      }))
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      interval,
+      timezone: timeZone,
+      from,
+      to,
+      buckets,
+      members: series(joined.map(m => m.joinedAt), membersBefore),
+      signups: { counts: countByBucket(signups.map(m => m.appliedAt), buckets, interval, timeZone) },
+      blogs: series(
+        blogDates.filter(date => date >= from && date < to),
+        blogDates.filter(date => date < from).length
+      ),
+      events: series(eventDates, occurrencesBefore.length),
+      departments,
+      retention: {
+        weeks: retentionWeeks,
+        cohorts: await this.getRetentionCohorts(joined, retentionWeeks, { interval, timeZone, now })
+      }
+    };
   }
 
-  async getRecentActivity(limit = 10) {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      const memberActivities = await db.collection("members")
-        .find({})
-        .sort({ joinedAt: -1 })
-        .limit(5)
-        .toArray();
-      
-      const blogActivities = await db.collection("blogs")
-        .find({})
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .toArray();
-      
-      const eventActivities = await db.collection("events")
-        .find({})
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .toArray();
-      
-      const activities = [
-        ...memberActivities.map(m => ({
-          activityType: 'member_joined',
-          description: `${m.name} joined the club`,
-          activityDate: m.joinedAt
-        })),
-        ...blogActivities.map(b => ({
-          activityType: 'blog_published',
-          description: `New blog: ${b.title}`,
-          activityDate: b.createdAt
-        })),
-        ...eventActivities.map(e => ({
-          activityType: 'event_created',
-          description: `Event scheduled: ${e.title}`,
-          activityDate: e.createdAt
-        }))
-      ];
-      
-      return activities
-        .sort((a, b) => b.activityDate - a.activityDate)
-        .slice(0, limit);
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_recent_activity()');
-      return rows[0];
-      */
-      throw new Error('MySQL implementation not enabled');
+  /**
+   * Groups members by the bucket they joined in and counts those who
+   * RSVP'd to an event or published a post within `weeks` of joining.
+   * A cohort is complete once every member's window has closed.
+   */
+  async getRetentionCohorts(members, weeks, { interval, timeZone, now = new Date() }) {
+    if (members.length === 0) return [];
+    const windowMs = weeks * 7 * DAY_MS;
+    const memberIds = members.map(m => String(m._id));
+
+    const [rsvps, blogs] = await Promise.all([
+      this.storage.rsvps.find({ memberId: { $in: memberIds } }),
+      this.storage.blogs.find({ ...liveBlogsFilter(now), authorId: { $in: memberIds } })
+    ]);
+
+    const activity = new Map();
+    const record = (memberId, date) => {
+      if (!activity.has(memberId)) activity.set(memberId, []);
+      activity.get(memberId).push(new Date(date));
+    };
+    rsvps.forEach(r => record(r.memberId, r.createdAt || r.respondedAt));
+    blogs.forEach(b => record(b.authorId, b.publishAt || b.createdAt));
+
+    const cohorts = new Map();
+    for (const member of members) {
+      const joinedAt = new Date(member.joinedAt);
+      const windowEnd = joinedAt.getTime() + windowMs;
+      const key = bucketKey(joinedAt, interval, timeZone);
+      if (!cohorts.has(key)) cohorts.set(key, { cohort: key, size: 0, retained: 0, complete: true });
+
+      const cohort = cohorts.get(key);
+      cohort.size++;
+      if ((activity.get(String(member._id)) || []).some(date => date >= joinedAt && date.getTime() <= windowEnd)) {
+        cohort.retained++;
+      }
+      if (windowEnd > now.getTime()) cohort.complete = false;
     }
+
+    return [...cohorts.values()].map(cohort => ({
+      ...cohort,
+      rate: parseFloat((cohort.retained * 100 / cohort.size).toFixed(2))
+    }));
   }
 
   async getMemberStats() {
-    if (this.dbType === 'mongodb') {
-      const { db } = await connectToMongoDB(process.env.MONGODB_URI);
-      
-      const departmentStats = await db.collection("members").aggregate([
-        {
-          $group: {
-            _id: "$department",
-            memberCount: { $sum: 1 }
-          }
-        },
-        {
-          $project: {
-            department: "$_id",
-            memberCount: 1,
-            _id: 0
-          }
-        },
-        {
-          $sort: { memberCount: -1 }
-        }
-      ]).toArray();
-      
-      const yearStats = await db.collection("members").aggregate([
-        {
-          $group: {
-            _id: "$year",
-            memberCount: { $sum: 1 }
-          }
-        },
-        {
-          $project: {
-            year: "$_id",
-            memberCount: 1,
-            _id: 0
-          }
-        }
-      ]).toArray();
-      
-      // Calculate percentages for department stats
-      const totalMembers = await db.collection("members").countDocuments();
-      const departmentStatsWithPercentage = departmentStats.map(stat => ({
-        ...stat,
-        percentage: parseFloat((stat.memberCount * 100 / totalMembers).toFixed(2))
-      }));
-      
-      return {
-        departmentStats: departmentStatsWithPercentage,
-        yearStats
-      };
-      
-    } else if (this.dbType === 'mysql') {
-      /*
-      const connection = await connectToMySQL();
-      const [rows] = await connection.execute('CALL get_member_stats()');
-      return {
-        departmentStats: rows[0],
-        yearStats: rows[1]
-      };
-      */
-      throw new Error('MySQL implementation not enabled');
-    }
+    const [departmentGroups, yearGroups, totalMembers] = await Promise.all([
+      this.storage.stats.countBy('members', 'department', ACCEPTED_MEMBERS),
+      this.storage.stats.countBy('members', 'year', ACCEPTED_MEMBERS),
+      this.storage.members.count(ACCEPTED_MEMBERS)
+    ]);
+
+    // Calculate percentages for department stats
+    const departmentStats = departmentGroups.map(({ value, count }) => ({
+      department: value,
+      memberCount: count,
+      percentage: parseFloat((count * 100 / totalMembers).toFixed(2))
+    }));
+
+    const yearStats = yearGroups.map(({ value, count }) => ({
+      year: value,
+      memberCount: count
+    }));
+
+    return {
+      departmentStats,
+      yearStats
+    };
   }
 }
 
@@ -709,51 +3647,243 @@ const dbService = new DatabaseService();
 // API ENDPOINT HANDLER
 // ====================================================
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sign-in link requests; each one sends an email
+const MAGIC_LINK_LIMITS = {
+  ip: { limit: Number(process.env.MAGIC_LINK_RATE_LIMIT_IP) || 10, windowMs: HOUR_MS },
+  email: { limit: Number(process.env.MAGIC_LINK_RATE_LIMIT_EMAIL) || 5, windowMs: HOUR_MS }
+};
+
+// Password logins; each one is a guess at a password
+const LOGIN_LIMITS = {
+  ip: { limit: Number(process.env.LOGIN_RATE_LIMIT_IP) || 20, windowMs: HOUR_MS },
+  email: { limit: Number(process.env.LOGIN_RATE_LIMIT_EMAIL) || 10, windowMs: HOUR_MS }
+};
+
+const rateLimits = createRateLimitStore();
+
+/**
+ * API entry point. Changes made while handling a request are logged
+ * against its user and IP.
+ */
+export default function handler(req, res) {
+  return runWithRequest(req, () => handleRequest(req, res));
+}
+
+async function handleRequest(req, res) {
+  const originAllowed = applyCors(req, res, {
+    methods: "GET, POST, PUT, DELETE, OPTIONS",
+    headers: "Content-Type, Authorization"
+  });
 
   if (req.method === "OPTIONS") {
-    res.status(200).end();
+    res.status(originAllowed ? 200 : 403).end();
+    return;
+  }
+  if (!originAllowed) {
+    res.status(403).json({ error: 'Origin not allowed' });
     return;
   }
 
   try {
     const { method, query, body } = req;
-    const { action, id } = query;
+    const { action, id, sub } = query;
+    const claims = getRequestUser(req);
+    const user = claims
+      ? await dbService.getTokenUser(claims)
+      : await dbService.getSessionUser(readCookie(req, SESSION_COOKIE));
+    setCurrentActor(user);
 
     // Parse body if it's a string
     let parsedBody = body;
-    if (typeof body === "string") {
-      try { parsedBody = JSON.parse(body); } catch {}
+    if (typeof body === "string" && body !== "") {
+      try {
+        parsedBody = JSON.parse(body);
+      } catch {
+        throw new ApiError('Request body must be valid JSON', 400);
+      }
     }
 
     switch (action) {
+      // ====================================================
+      // AUTH ENDPOINTS
+      // ====================================================
+      case 'auth':
+        if (sub === 'login' && method === 'POST') {
+          await checkRateLimit(rateLimits, `login:ip:${getClientIp(req)}`, LOGIN_LIMITS.ip);
+          if (typeof parsedBody?.email === 'string' && parsedBody.email.trim()) {
+            await checkRateLimit(rateLimits, `login:email:${parsedBody.email.trim().toLowerCase()}`, LOGIN_LIMITS.email);
+          }
+          const member = await dbService.authenticateMember(parsedBody?.email, parsedBody?.password);
+          res.status(200).json({ ok: true, data: { token: issueMemberToken(member), member } });
+        } else if (sub === 'me' && method === 'GET') {
+          if (!user) throw new AuthError('Authentication required');
+          const member = await dbService.getMemberById(user.id);
+          res.status(200).json({ ok: true, data: member });
+        } else if (sub === 'password' && method === 'PUT') {
+          if (!user) throw new AuthError('Authentication required');
+          const targetId = parsedBody?.memberId || user.id;
+          const isSelf = String(targetId) === String(user.id);
+          if (!isSelf && !hasRole(user, 'admin')) {
+            throw new AuthError('Insufficient permissions', 403);
+          }
+          const result = await dbService.setMemberPassword(
+            targetId, parsedBody?.password, isSelf ? (parsedBody?.currentPassword || '') : null, user.sessionId
+          );
+          res.status(200).json({ ok: true, data: result });
+        } else if (sub === 'verify' && method === 'GET') {
+          // Link from the verification email: send the browser back to the site
+          let outcome = 'success';
+          try {
+            await dbService.verifyMemberEmail(query.token);
+          } catch (error) {
+            if (!(error instanceof AuthError)) throw error;
+            outcome = error.message === 'Token expired' ? 'expired' : 'invalid';
+          }
+          res.setHeader('Location', `/?verified=${outcome}#contact`);
+          res.status(302).end();
+        } else if (sub === 'verify' && method === 'POST') {
+          const member = await dbService.verifyMemberEmail(parsedBody?.token);
+          res.status(200).json({ ok: true, data: member });
+        } else if (sub === 'confirm-email' && method === 'GET') {
+          // Link from the email change confirmation: send the browser back to the profile page
+          let outcome = 'changed';
+          try {
+            await dbService.confirmEmailChange(query.token);
+          } catch (error) {
+            if (!(error instanceof AuthError)) throw error;
+            outcome = error.message === 'Token expired' ? 'expired' : 'invalid';
+          }
+          res.setHeader('Location', `/profile?email=${outcome}`);
+          res.status(302).end();
+        } else if (sub === 'confirm-email' && method === 'POST') {
+          const member = await dbService.confirmEmailChange(parsedBody?.token);
+          res.status(200).json({ ok: true, data: member });
+        } else if (sub === 'resend-verification' && method === 'POST') {
+          const result = await dbService.resendVerification(parsedBody?.email);
+          res.status(200).json({ ok: true, data: result });
+        } else if (sub === 'magic-link' && method === 'POST') {
+          await checkRateLimit(rateLimits, `magic-link:ip:${getClientIp(req)}`, MAGIC_LINK_LIMITS.ip);
+          if (typeof parsedBody?.email === 'string' && parsedBody.email.trim()) {
+            await checkRateLimit(rateLimits, `magic-link:email:${parsedBody.email.trim().toLowerCase()}`, MAGIC_LINK_LIMITS.email);
+          }
+          const result = await dbService.requestMagicLink(parsedBody?.email);
+          res.status(200).json({ ok: true, data: result });
+        } else if (sub === 'magic' && method === 'GET') {
+          // Link from the sign-in email. Mail scanners open links too, so opening
+          // it only shows a confirm button on the profile page, which POSTs it back
+          res.setHeader('Location', `/profile?signin=${encodeURIComponent(query.token || '')}`);
+          res.status(302).end();
+        } else if (sub === 'magic' && method === 'POST') {
+          const { token, session, member } = await dbService.redeemMagicLink(parsedBody?.token);
+          setCookie(res, SESSION_COOKIE, token, { maxAge: getSessionTtl() });
+          res.status(200).json({ ok: true, data: { session, member } });
+        } else if (sub === 'logout' && method === 'POST') {
+          if (user?.sessionId) await dbService.revokeSession(user.sessionId);
+          setCookie(res, SESSION_COOKIE, '', { maxAge: 0 });
+          res.status(200).json({ ok: true, data: { message: 'Signed out' } });
+        } else if (sub === 'sessions' && method === 'GET') {
+          if (!user) throw new AuthError('Authentication required');
+          const sessions = await dbService.getSessions(user.id, user.sessionId);
+          res.status(200).json({ ok: true, data: sessions });
+        } else if (sub === 'sessions' && method === 'DELETE') {
+          if (!user) throw new AuthError('Authentication required');
+          const result = await dbService.revokeSessions(user.id);
+          if (user.sessionId) setCookie(res, SESSION_COOKIE, '', { maxAge: 0 });
+          res.status(200).json({ ok: true, data: result });
+        } else if (sub === 'bootstrap' && method === 'POST') {
+          checkBootstrapToken(req);
+          const admin = await dbService.bootstrapAdmin(parsedBody || {});
+          res.status(201).json({ ok: true, data: { token: issueMemberToken(admin), member: admin } });
+        } else {
+          res.status(400).json({ error: 'Invalid auth request' });
+        }
+        break;
+
       // ====================================================
       // MEMBER ENDPOINTS
       // ====================================================
       case 'members':
-        if (method === 'GET') {
+        if (id === 'trash') {
+          if (method === 'GET') {
+            authorize(user, 'members', 'trash');
+            const { limit = 100, skip = 0 } = query;
+            const members = await dbService.getTrash('members', parseInt(limit), parseInt(skip));
+            res.status(200).json({ ok: true, data: members });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'restore') {
+          if (method === 'POST') {
+            authorize(user, 'members', 'restore');
+            const member = await dbService.restoreMember(id);
+            res.status(200).json({ ok: true, data: member });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id === 'export') {
+          if (method === 'GET') {
+            authorize(user, 'members', 'export');
+            sendFile(res, await dbService.exportMembers(query));
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id === 'import') {
+          if (method === 'POST') {
+            authorize(user, 'members', 'import');
+            const dryRun = query.dryRun === 'true' || parsedBody?.dryRun === true;
+            const result = await dbService.importMembers(parsedBody, { dryRun });
+            res.status(dryRun ? 200 : 201).json({ ok: true, data: result });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'profile') {
+          if (method === 'GET') {
+            authorize(user, 'members', 'profile');
+            const profile = await dbService.getPublicProfile(id);
+            res.status(200).json({ ok: true, data: profile });
+          } else if (method === 'PUT') {
+            authorize(user, 'members', 'update', id);
+            const member = await dbService.updateProfile(id, parsedBody);
+            res.status(200).json({ ok: true, data: member });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'notifications') {
+          if (method === 'GET') {
+            authorize(user, 'notifications', 'list', id);
+            const { limit = 50, skip = 0 } = query;
+            const notifications = await dbService.getMemberNotifications(id, parseInt(limit), parseInt(skip));
+            res.status(200).json({ ok: true, data: notifications });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (method === 'GET') {
           if (id) {
+            authorize(user, 'members', 'read', id);
             const member = await dbService.getMemberById(id);
+            if (!member) throw new NotFoundError('Member not found');
             res.status(200).json({ ok: true, data: member });
           } else {
-            const { limit = 100, skip = 0 } = query;
-            const members = await dbService.getMembers(parseInt(limit), parseInt(skip));
-            res.status(200).json({ ok: true, data: members });
+            authorize(user, 'members', 'list');
+            sendPage(res, await dbService.getMembers(query));
           }
         } else if (method === 'POST') {
+          authorize(user, 'members', 'create');
           const member = await dbService.registerMember(parsedBody);
           res.status(201).json({ ok: true, data: member });
         } else if (method === 'PUT') {
-          if (!id) throw new Error('Member ID required');
+          if (!id) throw new ApiError('Member ID required', 400);
+          authorize(user, 'members', 'update', id);
+          if (parsedBody?.role && !hasRole(user, 'admin')) {
+            throw new AuthError('Only admins can change roles', 403);
+          }
           const member = await dbService.updateMember(id, parsedBody);
           res.status(200).json({ ok: true, data: member });
         } else if (method === 'DELETE') {
-          if (!id) throw new Error('Member ID required');
+          if (!id) throw new ApiError('Member ID required', 400);
+          authorize(user, 'members', 'delete');
           const result = await dbService.deleteMember(id);
           res.status(200).json({ ok: true, data: result });
         } else {
@@ -761,28 +3891,157 @@ export default async function handler(req, res) {
         }
         break;
 
+      // ====================================================
+      // APPLICATION ENDPOINTS
+      // ====================================================
+      case 'applications':
+        if (method === 'GET') {
+          if (id) {
+            authorize(user, 'applications', 'read');
+            const application = await dbService.getMemberById(id);
+            if (!application) throw new NotFoundError('Application not found');
+            res.status(200).json({ ok: true, data: application });
+          } else {
+            authorize(user, 'applications', 'list');
+            const { status = 'pending', limit = 100, skip = 0 } = query;
+            const applications = await dbService.getApplications(status, parseInt(limit), parseInt(skip));
+            res.status(200).json({ ok: true, data: applications });
+          }
+        } else if (method === 'PUT') {
+          if (!id) throw new ApiError('Application ID required', 400);
+          authorize(user, 'applications', 'update');
+          const application = await dbService.reviewApplication(id, parsedBody || {}, user);
+          res.status(200).json({ ok: true, data: application });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
       // ====================================================
       // EVENT ENDPOINTS
       // ====================================================
       case 'events':
-        if (method === 'GET') {
+        if (id === 'trash') {
+          if (method === 'GET') {
+            authorize(user, 'events', 'trash');
+            const { limit = 100, skip = 0 } = query;
+            const events = await dbService.getTrash('events', parseInt(limit), parseInt(skip));
+            res.status(200).json({ ok: true, data: events });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'restore') {
+          if (method === 'POST') {
+            authorize(user, 'events', 'restore');
+            const event = await dbService.restoreEvent(id);
+            res.status(200).json({ ok: true, data: event });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id === 'calendar') {
+          if (method === 'GET') {
+            authorize(user, 'events', 'list');
+            const ics = await dbService.getEventsCalendar({ upcoming: query.upcoming === 'true', tag: query.tag });
+            // Served inline so calendar apps can subscribe to the URL
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Cache-Control', 'public, max-age=300');
+            res.status(200).send(ics);
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'ics') {
+          if (method === 'GET') {
+            authorize(user, 'events', 'read');
+            sendFile(res, await dbService.getEventCalendarFile(id));
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id === 'export') {
+          if (method === 'GET') {
+            authorize(user, 'events', 'export');
+            sendFile(res, await dbService.exportEvents(query));
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id === 'import') {
+          if (method === 'POST') {
+            authorize(user, 'events', 'import');
+            const dryRun = query.dryRun === 'true' || parsedBody?.dryRun === true;
+            const result = await dbService.importEvents(parsedBody, { dryRun });
+            res.status(dryRun ? 200 : 201).json({ ok: true, data: result });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'occurrences') {
+          // ?occurrence=20261020T180000Z picks the occurrence, ?scope=this|future
+          const scope = query.scope ?? parsedBody?.scope;
+          if (method === 'PUT') {
+            authorize(user, 'events', 'update');
+            const result = await dbService.updateOccurrence(id, query.occurrence, { ...parsedBody, scope });
+            res.status(200).json({ ok: true, data: result });
+          } else if (method === 'DELETE') {
+            authorize(user, 'events', 'delete');
+            const result = await dbService.cancelOccurrence(id, query.occurrence, scope);
+            res.status(200).json({ ok: true, data: result });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'rsvp') {
+          if (method === 'GET') {
+            authorize(user, 'rsvps', 'read');
+            const rsvp = await dbService.getRsvp(id, user.id);
+            res.status(200).json({ ok: true, data: rsvp });
+          } else if (method === 'POST') {
+            authorize(user, 'rsvps', 'create');
+            const rsvp = await dbService.rsvpToEvent(id, user.id);
+            res.status(201).json({ ok: true, data: rsvp });
+          } else if (method === 'DELETE') {
+            // Organizers may cancel on behalf of a member via ?memberId=
+            const memberId = query.memberId || user?.id;
+            authorize(user, 'rsvps', 'delete', memberId);
+            const rsvp = await dbService.cancelRsvp(id, memberId);
+            res.status(200).json({ ok: true, data: rsvp });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'attendees') {
+          if (method === 'GET') {
+            authorize(user, 'rsvps', 'list');
+            const attendees = await dbService.getEventAttendees(id);
+            res.status(200).json({ ok: true, data: attendees });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'checkin') {
+          if (method === 'POST') {
+            authorize(user, 'rsvps', 'update');
+            const rsvp = await dbService.checkInAttendee(id, parsedBody?.code, parsedBody?.occurrence || query.occurrence);
+            res.status(200).json({ ok: true, data: rsvp });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (method === 'GET') {
           if (id) {
+            authorize(user, 'events', 'read');
             const event = await dbService.getEventById(id);
+            if (!event) throw new NotFoundError('Event not found');
             res.status(200).json({ ok: true, data: event });
           } else {
-            const { upcoming } = query;
-            const events = await dbService.getEvents(upcoming === 'true');
-            res.status(200).json({ ok: true, data: events });
+            authorize(user, 'events', 'list');
+            sendPage(res, await dbService.getEvents(query));
           }
         } else if (method === 'POST') {
+          authorize(user, 'events', 'create');
           const event = await dbService.addEvent(parsedBody);
           res.status(201).json({ ok: true, data: event });
         } else if (method === 'PUT') {
-          if (!id) throw new Error('Event ID required');
+          if (!id) throw new ApiError('Event ID required', 400);
+          authorize(user, 'events', 'update');
           const event = await dbService.updateEvent(id, parsedBody);
           res.status(200).json({ ok: true, data: event });
         } else if (method === 'DELETE') {
-          if (!id) throw new Error('Event ID required');
+          if (!id) throw new ApiError('Event ID required', 400);
+          authorize(user, 'events', 'delete');
           const result = await dbService.deleteEvent(id);
           res.status(200).json({ ok: true, data: result });
         } else {
@@ -793,49 +4052,279 @@ export default async function handler(req, res) {
       // ====================================================
       // BLOG ENDPOINTS
       // ====================================================
-      case 'blogs':
-        if (method === 'GET') {
-          if (id) {
-            const blog = await dbService.getBlogById(id);
-            res.status(200).json({ ok: true, data: blog });
-          } else if (query.author) {
-            const blogs = await dbService.getBlogsByAuthor(query.author);
+      case 'blogs': {
+        // Only core team members can put a post live or take it down
+        const checkPublishing = (fields, currentStatus = null) => {
+          if (PUBLISHING_STATUSES.includes(fields?.status) && fields.status !== currentStatus) {
+            authorize(user, 'blogs', 'publish');
+          }
+        };
+
+        if (id === 'trash') {
+          if (method === 'GET') {
+            authorize(user, 'blogs', 'trash');
+            const { limit = 100, skip = 0 } = query;
+            const blogs = await dbService.getTrash('blogs', parseInt(limit), parseInt(skip));
             res.status(200).json({ ok: true, data: blogs });
           } else {
-            const { limit = 50, skip = 0 } = query;
-            const blogs = await dbService.getBlogs(parseInt(limit), parseInt(skip));
-            res.status(200).json({ ok: true, data: blogs });
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'restore') {
+          if (method === 'POST') {
+            authorize(user, 'blogs', 'restore');
+            const blog = await dbService.restoreBlog(id);
+            res.status(200).json({ ok: true, data: blog });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'comments') {
+          if (method === 'GET') {
+            authorize(user, 'comments', 'list');
+            const comments = await dbService.getComments(id, user);
+            res.status(200).json({ ok: true, data: comments });
+          } else if (method === 'POST') {
+            authorize(user, 'comments', 'create');
+            const comment = await dbService.addComment(id, user, parsedBody);
+            res.status(201).json({ ok: true, data: comment });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'reactions') {
+          if (method === 'GET') {
+            authorize(user, 'reactions', 'list');
+            const reactions = await dbService.getReactions(id, user?.id);
+            res.status(200).json({ ok: true, data: reactions });
+          } else if (method === 'POST') {
+            authorize(user, 'reactions', 'create');
+            const reactions = await dbService.addReaction(id, user.id, parsedBody);
+            res.status(200).json({ ok: true, data: reactions });
+          } else if (method === 'DELETE') {
+            authorize(user, 'reactions', 'delete');
+            const reactions = await dbService.removeReaction(id, user.id, { emoji: query.emoji ?? parsedBody?.emoji });
+            res.status(200).json({ ok: true, data: reactions });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (method === 'GET') {
+          if (id || query.slug) {
+            authorize(user, 'blogs', 'read');
+            const blog = id ? await dbService.getBlogById(id) : await dbService.getBlogBySlug(query.slug);
+            // Drafts and scheduled posts are invisible to everyone but their author and the core team
+            if (!blog || (!isBlogLive(blog) && !can(user, 'blogs', 'drafts', blog.authorId))) {
+              throw new NotFoundError('Blog not found');
+            }
+            res.status(200).json({ ok: true, data: blog });
+          } else {
+            authorize(user, 'blogs', 'list');
+            if (query.status && query.status !== 'published') {
+              authorize(user, 'blogs', 'drafts', query.author);
+            }
+            // An author's own listing includes their drafts and scheduled posts, as
+            // does a status listing for the core team
+            const includeUnpublished = Boolean(query.author || query.status) && can(user, 'blogs', 'drafts', query.author);
+            sendPage(res, await dbService.getBlogs(query, { includeUnpublished }));
           }
         } else if (method === 'POST') {
-          const blog = await dbService.addBlog(parsedBody);
+          // Members post as themselves unless an author is given explicitly
+          const blogData = { ...parsedBody, authorId: parsedBody?.authorId || user?.id };
+          authorize(user, 'blogs', 'create', blogData.authorId);
+          checkPublishing(blogData);
+          const blog = await dbService.addBlog(blogData);
           res.status(201).json({ ok: true, data: blog });
         } else if (method === 'PUT') {
-          if (!id) throw new Error('Blog ID required');
+          if (!id) throw new ApiError('Blog ID required', 400);
+          const existing = await dbService.getBlogById(id);
+          if (!existing) throw new NotFoundError('Blog not found');
+          authorize(user, 'blogs', 'update', existing.authorId);
+          checkPublishing(parsedBody, existing.status || 'published');
           const blog = await dbService.updateBlog(id, parsedBody);
           res.status(200).json({ ok: true, data: blog });
         } else if (method === 'DELETE') {
-          if (!id) throw new Error('Blog ID required');
+          if (!id) throw new ApiError('Blog ID required', 400);
+          const existing = await dbService.getBlogById(id);
+          if (!existing) throw new NotFoundError('Blog not found');
+          authorize(user, 'blogs', 'delete', existing.authorId);
           const result = await dbService.deleteBlog(id);
           res.status(200).json({ ok: true, data: result });
         } else {
           res.status(405).json({ error: 'Method not allowed' });
         }
         break;
+      }
+
+      // ====================================================
+      // COMMENT MODERATION
+      // ====================================================
+      case 'comments':
+        if (!id && method === 'GET') {
+          authorize(user, 'comments', 'moderate');
+          sendPage(res, await dbService.getCommentQueue(query));
+        } else if (id && method === 'PUT') {
+          authorize(user, 'comments', 'moderate');
+          const comment = await dbService.moderateComment(id, parsedBody, user);
+          res.status(200).json({ ok: true, data: comment });
+        } else if (id && method === 'DELETE') {
+          const existing = await dbService.getCommentById(id);
+          if (!existing) throw new NotFoundError('Comment not found');
+          authorize(user, 'comments', 'delete', existing.authorId);
+          const result = await dbService.deleteComment(id);
+          res.status(200).json({ ok: true, data: result });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
+      // ====================================================
+      // PROJECT ENDPOINTS
+      // ====================================================
+      case 'projects':
+        if (method === 'GET') {
+          if (id) {
+            authorize(user, 'projects', 'read');
+            const project = await dbService.getProjectById(id);
+            if (!project) throw new NotFoundError('Project not found');
+            res.status(200).json({ ok: true, data: project });
+          } else {
+            authorize(user, 'projects', 'list');
+            const { limit = 50, skip = 0, tag, track, status, member } = query;
+            const projects = await dbService.getProjects(parseInt(limit), parseInt(skip), {
+              tag,
+              track,
+              status,
+              memberId: member
+            });
+            res.status(200).json({ ok: true, data: projects });
+          }
+        } else if (method === 'POST') {
+          authorize(user, 'projects', 'create');
+          const project = await dbService.addProject(parsedBody, user.id);
+          res.status(201).json({ ok: true, data: project });
+        } else if (method === 'PUT') {
+          if (!id) throw new ApiError('Project ID required', 400);
+          authorize(user, 'projects', 'update');
+          const project = await dbService.updateProject(id, parsedBody);
+          res.status(200).json({ ok: true, data: project });
+        } else if (method === 'DELETE') {
+          if (!id) throw new ApiError('Project ID required', 400);
+          authorize(user, 'projects', 'delete');
+          const result = await dbService.deleteProject(id);
+          res.status(200).json({ ok: true, data: result });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
+      // ====================================================
+      // SPRINT CYCLE ENDPOINTS
+      // ====================================================
+      case 'cycles':
+        if (id && sub === 'teams') {
+          if (method === 'POST') {
+            authorize(user, 'cycles', 'update');
+            const cycle = await dbService.addCycleTeam(id, parsedBody);
+            res.status(201).json({ ok: true, data: cycle });
+          } else if (method === 'PUT') {
+            if (!query.team) throw new ApiError('Team ID required', 400);
+            authorize(user, 'cycles', 'update');
+            const cycle = await dbService.updateCycleTeam(id, query.team, parsedBody);
+            res.status(200).json({ ok: true, data: cycle });
+          } else if (method === 'DELETE') {
+            if (!query.team) throw new ApiError('Team ID required', 400);
+            authorize(user, 'cycles', 'update');
+            const cycle = await dbService.removeCycleTeam(id, query.team);
+            res.status(200).json({ ok: true, data: cycle });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (id && sub === 'deliverables') {
+          if (method === 'POST') {
+            // Team members submit their own team's work
+            if (!user) throw new AuthError('Authentication required');
+            const { team } = await dbService.getCycleTeam(id, parsedBody?.teamId);
+            const onTeam = (team.memberIds || []).includes(String(user.id));
+            authorize(user, 'cycles', 'submit', onTeam ? user.id : null);
+            const cycle = await dbService.submitDeliverable(id, parsedBody, user.id);
+            res.status(200).json({ ok: true, data: cycle });
+          } else if (method === 'PUT') {
+            authorize(user, 'cycles', 'review');
+            const cycle = await dbService.reviewDeliverable(id, parsedBody, user);
+            res.status(200).json({ ok: true, data: cycle });
+          } else {
+            res.status(405).json({ error: 'Method not allowed' });
+          }
+        } else if (method === 'GET') {
+          if (id) {
+            authorize(user, 'cycles', 'read');
+            const cycle = id === 'current'
+              ? await dbService.getCurrentCycle()
+              : await dbService.getCycleById(id);
+            if (!cycle) throw new NotFoundError(id === 'current' ? 'No sprint cycle is scheduled' : 'Cycle not found');
+            res.status(200).json({ ok: true, data: cycle });
+          } else {
+            authorize(user, 'cycles', 'list');
+            const cycles = await dbService.getCycles({ status: query.status });
+            res.status(200).json({ ok: true, data: cycles });
+          }
+        } else if (method === 'POST') {
+          authorize(user, 'cycles', 'create');
+          const cycle = await dbService.addCycle(parsedBody, user.id);
+          res.status(201).json({ ok: true, data: cycle });
+        } else if (method === 'PUT') {
+          if (!id) throw new ApiError('Cycle ID required', 400);
+          authorize(user, 'cycles', 'update');
+          const cycle = await dbService.updateCycle(id, parsedBody);
+          res.status(200).json({ ok: true, data: cycle });
+        } else if (method === 'DELETE') {
+          if (!id) throw new ApiError('Cycle ID required', 400);
+          authorize(user, 'cycles', 'delete');
+          const result = await dbService.deleteCycle(id);
+          res.status(200).json({ ok: true, data: result });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
+      // ====================================================
+      // SEARCH ENDPOINT
+      // ====================================================
+      case 'search':
+        if (method === 'GET') {
+          authorize(user, 'search', 'read');
+          const results = await dbService.search(query, {
+            includeMembers: can(user, 'members', 'list')
+          });
+          res.status(200).json({ ok: true, data: results });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
 
       // ====================================================
       // DASHBOARD & STATS ENDPOINTS
       // ====================================================
       case 'dashboard':
         if (method === 'GET') {
-          const stats = await dbService.getDashboardStats();
+          authorize(user, 'dashboard', 'read');
+          const stats = await dbService.getDashboardStats({ timeZone: query.timezone });
           res.status(200).json({ ok: true, data: stats });
         } else {
           res.status(405).json({ error: 'Method not allowed' });
         }
         break;
 
+      case 'analytics':
+        if (method === 'GET') {
+          authorize(user, 'analytics', 'read');
+          const analytics = await dbService.getAnalytics(query);
+          res.status(200).json({ ok: true, data: analytics });
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
       case 'activity':
         if (method === 'GET') {
+          authorize(user, 'activity', 'read');
           const { limit = 10 } = query;
           const activities = await dbService.getRecentActivity(parseInt(limit));
           res.status(200).json({ ok: true, data: activities });
@@ -844,8 +4333,18 @@ export default async function handler(req, res) {
         }
         break;
 
+      case 'audit':
+        if (method === 'GET') {
+          authorize(user, 'audit', 'read');
+          sendPage(res, await dbService.getActivityLog(query));
+        } else {
+          res.status(405).json({ error: 'Method not allowed' });
+        }
+        break;
+
       case 'stats':
         if (method === 'GET') {
+          authorize(user, 'stats', 'read');
           const stats = await dbService.getMemberStats();
           res.status(200).json({ ok: true, data: stats });
         } else {
@@ -858,10 +4357,18 @@ export default async function handler(req, res) {
     }
 
   } catch (error) {
-    console.error('Database API Error:', error);
-    res.status(500).json({ 
+    // ApiError subclasses carry their status; anything else is a server fault
+    const status = error.status || 500;
+    if (status >= 500) {
+      console.error('Database API Error:', error);
+    }
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    res.status(status).json({ 
       error: error.message || 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      ...(error.fields && { fields: error.fields }),
+      details: process.env.NODE_ENV === 'development' && status >= 500 ? error.stack : undefined
     });
   }
 }
@@ -0,0 +1,51 @@
+-- Atomsmiths club schema: members, events and blogs.
+-- Column names are the snake_case form of the document fields used by the
+-- MongoDB backend (joinedAt -> joined_at), see MySqlRepository in lib/storage/mysql.js.
+
+CREATE TABLE IF NOT EXISTS members (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name          VARCHAR(120)    NOT NULL,
+  email         VARCHAR(255)    NOT NULL,
+  department    VARCHAR(120)    NULL,
+  year          VARCHAR(20)     NULL,
+  interests     TEXT            NULL,
+  role          VARCHAR(20)     NOT NULL DEFAULT 'member',
+  password_hash VARCHAR(255)    NULL,
+  joined_at     DATETIME        NOT NULL,
+  created_at    DATETIME        NOT NULL,
+  updated_at    DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_members_email (email),
+  KEY idx_members_joined_at (joined_at),
+  KEY idx_members_role (role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS events (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  title       VARCHAR(200)    NOT NULL,
+  description TEXT            NULL,
+  event_date  DATETIME        NOT NULL,
+  location    VARCHAR(255)    NULL,
+  created_at  DATETIME        NOT NULL,
+  updated_at  DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_events_event_date (event_date),
+  KEY idx_events_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS blogs (
+  id                BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  title             VARCHAR(255)    NOT NULL,
+  content           MEDIUMTEXT      NOT NULL,
+  author_id         BIGINT UNSIGNED NOT NULL,
+  author_name       VARCHAR(120)    NULL,
+  author_email      VARCHAR(255)    NULL,
+  author_department VARCHAR(120)    NULL,
+  created_at        DATETIME        NOT NULL,
+  updated_at        DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_blogs_author_id (author_id),
+  KEY idx_blogs_created_at (created_at),
+  CONSTRAINT fk_blogs_author FOREIGN KEY (author_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- Event RSVPs with capacity limits, waitlist and check-in codes.
+
+ALTER TABLE events
+  ADD COLUMN capacity INT UNSIGNED NULL AFTER location;
+
+CREATE TABLE IF NOT EXISTS rsvps (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  event_id      BIGINT UNSIGNED NOT NULL,
+  event_title   VARCHAR(200)    NULL,
+  member_id     BIGINT UNSIGNED NOT NULL,
+  member_name   VARCHAR(120)    NULL,
+  status        VARCHAR(20)     NOT NULL,
+  check_in_code VARCHAR(12)     NULL,
+  checked_in_at DATETIME        NULL,
+  responded_at  DATETIME        NOT NULL,
+  created_at    DATETIME        NOT NULL,
+  updated_at    DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_rsvps_event_member (event_id, member_id),
+  KEY idx_rsvps_event_status (event_id, status, responded_at),
+  KEY idx_rsvps_check_in_code (event_id, check_in_code),
+  KEY idx_rsvps_checked_in_at (checked_in_at),
+  CONSTRAINT fk_rsvps_event FOREIGN KEY (event_id)
+    REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rsvps_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,13 @@
+-- Membership applications: pending -> interview -> accepted/rejected/waitlisted.
+-- Members that existed before this migration are treated as accepted.
+
+ALTER TABLE members
+  ADD COLUMN application_status  VARCHAR(20)     NOT NULL DEFAULT 'accepted' AFTER password_hash,
+  ADD COLUMN application_history JSON            NULL AFTER application_status,
+  ADD COLUMN applied_at          DATETIME        NULL AFTER application_history,
+  ADD COLUMN status_changed_at   DATETIME        NULL AFTER applied_at,
+  ADD COLUMN reviewed_by         BIGINT UNSIGNED NULL AFTER status_changed_at,
+  MODIFY COLUMN joined_at        DATETIME        NULL,
+  ADD KEY idx_members_application_status (application_status, applied_at);
+
+UPDATE members SET applied_at = joined_at, status_changed_at = joined_at WHERE applied_at IS NULL;
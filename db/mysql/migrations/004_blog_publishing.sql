@@ -0,0 +1,17 @@
+-- Blog publishing workflow: draft -> in-review -> published -> archived,
+-- scheduled publish dates, slugs, tags, cover images and rendered Markdown.
+-- Posts that existed before this migration are treated as published.
+
+ALTER TABLE blogs
+  ADD COLUMN slug            VARCHAR(100)  NULL AFTER title,
+  ADD COLUMN content_html    MEDIUMTEXT    NULL AFTER content,
+  ADD COLUMN status          VARCHAR(20)   NOT NULL DEFAULT 'published' AFTER content_html,
+  ADD COLUMN publish_at      DATETIME      NULL AFTER status,
+  ADD COLUMN tags            JSON          NULL AFTER publish_at,
+  ADD COLUMN cover_image_url VARCHAR(2048) NULL AFTER tags;
+
+UPDATE blogs SET slug = CONCAT('post-', id), publish_at = created_at WHERE slug IS NULL;
+
+ALTER TABLE blogs
+  ADD UNIQUE KEY uq_blogs_slug (slug),
+  ADD KEY idx_blogs_status_publish_at (status, publish_at);
@@ -0,0 +1,6 @@
+-- Full-text indexes used by ?action=search. Each index must cover exactly
+-- the fields the service searches, see SEARCH_FIELDS in atomsmiths_db_api.js.
+
+ALTER TABLE blogs ADD FULLTEXT KEY ft_blogs_search (title, content);
+ALTER TABLE events ADD FULLTEXT KEY ft_events_search (title, description, location);
+ALTER TABLE members ADD FULLTEXT KEY ft_members_search (name, department, interests);
@@ -0,0 +1,23 @@
+-- Projects shown in the "Hybrid Innovation Tracks" section. Team members are
+-- stored as member IDs plus a name/department snapshot, like blog authors.
+
+CREATE TABLE IF NOT EXISTS projects (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  title       VARCHAR(200)    NOT NULL,
+  track       VARCHAR(100)    NOT NULL,
+  icon        VARCHAR(16)     NULL,
+  description TEXT            NULL,
+  tags        JSON            NULL,
+  status      VARCHAR(20)     NOT NULL DEFAULT 'idea',
+  member_ids  JSON            NULL,
+  team        JSON            NULL,
+  repo_url    VARCHAR(2048)   NULL,
+  demo_url    VARCHAR(2048)   NULL,
+  milestones  JSON            NULL,
+  created_by  BIGINT UNSIGNED NULL,
+  created_at  DATETIME        NOT NULL,
+  updated_at  DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_projects_status_created (status, created_at),
+  KEY idx_projects_track (track)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- 8-week sprint cycles. Teams, their members and phase deliverables are
+-- stored as JSON on the cycle; the current week and phase are computed
+-- from start_date by the API.
+
+CREATE TABLE IF NOT EXISTS cycles (
+  id         BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name       VARCHAR(120)    NOT NULL,
+  start_date DATETIME        NOT NULL,
+  end_date   DATETIME        NOT NULL,
+  teams      JSON            NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME        NOT NULL,
+  updated_at DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_cycles_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
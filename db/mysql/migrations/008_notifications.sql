@@ -0,0 +1,27 @@
+-- Outgoing email queue and per-member delivery log.
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  member_id       BIGINT UNSIGNED NOT NULL,
+  email           VARCHAR(255)    NOT NULL,
+  template        VARCHAR(50)     NOT NULL,
+  subject         VARCHAR(255)    NOT NULL,
+  text            MEDIUMTEXT      NOT NULL,
+  html            MEDIUMTEXT      NOT NULL,
+  dedupe_key      VARCHAR(255)    NULL,
+  status          VARCHAR(20)     NOT NULL,
+  attempts        INT UNSIGNED    NOT NULL DEFAULT 0,
+  last_error      TEXT            NULL,
+  message_id      VARCHAR(255)    NULL,
+  next_attempt_at DATETIME        NULL,
+  sent_at         DATETIME        NULL,
+  created_at      DATETIME        NOT NULL,
+  updated_at      DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_notifications_dedupe_key (dedupe_key),
+  KEY idx_notifications_member (member_id, created_at),
+  KEY idx_notifications_queue (status, next_attempt_at),
+  KEY idx_notifications_template (template, created_at),
+  CONSTRAINT fk_notifications_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
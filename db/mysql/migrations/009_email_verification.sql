@@ -0,0 +1,8 @@
+-- Double opt-in: new sign-ups stay unverified until they follow the emailed
+-- link. Members that existed before this migration are treated as verified.
+
+ALTER TABLE members
+  ADD COLUMN email_verified          TINYINT(1) NOT NULL DEFAULT 1 AFTER email,
+  ADD COLUMN email_verified_at       DATETIME   NULL AFTER email_verified,
+  ADD COLUMN verification_expires_at DATETIME   NULL AFTER email_verified_at,
+  ADD KEY idx_members_verification (email_verified, verification_expires_at);
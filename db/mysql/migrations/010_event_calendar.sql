@@ -0,0 +1,22 @@
+-- iCalendar feed: event tags for filtered feeds, a SEQUENCE counter that
+-- goes up when an event is rescheduled, and tombstones for deleted events
+-- so subscribed calendars receive a cancellation.
+
+ALTER TABLE events
+  ADD COLUMN tags     JSON         NULL AFTER location,
+  ADD COLUMN sequence INT UNSIGNED NOT NULL DEFAULT 0 AFTER tags;
+
+CREATE TABLE IF NOT EXISTS event_cancellations (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  event_id     BIGINT UNSIGNED NOT NULL,
+  title        VARCHAR(200)    NOT NULL,
+  event_date   DATETIME        NOT NULL,
+  location     VARCHAR(255)    NULL,
+  tags         JSON            NULL,
+  sequence     INT UNSIGNED    NOT NULL,
+  cancelled_at DATETIME        NOT NULL,
+  created_at   DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_event_cancellations_event (event_id),
+  KEY idx_event_cancellations_event_date (event_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
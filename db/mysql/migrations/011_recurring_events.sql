@@ -0,0 +1,9 @@
+-- Recurring events: an end time, the zone occurrences keep their wall-clock
+-- time in, the RRULE, cancelled occurrences and per-occurrence changes.
+
+ALTER TABLE events
+  ADD COLUMN end_date   DATETIME     NULL AFTER event_date,
+  ADD COLUMN timezone   VARCHAR(64)  NULL AFTER end_date,
+  ADD COLUMN rrule      VARCHAR(500) NULL AFTER tags,
+  ADD COLUMN exceptions JSON         NULL AFTER rrule,
+  ADD COLUMN overrides  JSON         NULL AFTER exceptions;
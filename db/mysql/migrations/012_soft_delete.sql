@@ -0,0 +1,14 @@
+-- Trash: deleted members, events and blog posts keep a deleted_at date and
+-- stay restorable until the purge job removes them.
+
+ALTER TABLE members
+  ADD COLUMN deleted_at DATETIME NULL AFTER joined_at,
+  ADD KEY idx_members_deleted_at (deleted_at);
+
+ALTER TABLE events
+  ADD COLUMN deleted_at DATETIME NULL AFTER sequence,
+  ADD KEY idx_events_deleted_at (deleted_at);
+
+ALTER TABLE blogs
+  ADD COLUMN deleted_at DATETIME NULL AFTER author_department,
+  ADD KEY idx_blogs_deleted_at (deleted_at);
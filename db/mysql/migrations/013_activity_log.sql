@@ -0,0 +1,21 @@
+-- Activity log: one row per change, never updated. Feeds the audit
+-- endpoint and the public activity feed.
+
+CREATE TABLE IF NOT EXISTS activities (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  action       VARCHAR(40)     NOT NULL,
+  entity_type  VARCHAR(20)     NOT NULL,
+  entity_id    VARCHAR(64)     NULL,
+  entity_label VARCHAR(255)    NULL,
+  actor_id     VARCHAR(64)     NULL,
+  actor_email  VARCHAR(255)    NULL,
+  actor_role   VARCHAR(20)     NULL,
+  changes      JSON            NULL,
+  context      JSON            NULL,
+  ip           VARCHAR(45)     NULL,
+  created_at   DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_activities_created (created_at, id),
+  KEY idx_activities_actor (actor_id, created_at),
+  KEY idx_activities_entity (entity_type, entity_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Member profiles: portfolio fields members edit themselves. Email stays
+-- off the public profile unless the member opts in.
+
+ALTER TABLE members
+  ADD COLUMN bio           TEXT          NULL AFTER joined_at,
+  ADD COLUMN avatar_url    VARCHAR(2048) NULL AFTER bio,
+  ADD COLUMN skills        JSON          NULL AFTER avatar_url,
+  ADD COLUMN github_url    VARCHAR(255)  NULL AFTER skills,
+  ADD COLUMN linkedin_url  VARCHAR(255)  NULL AFTER github_url,
+  ADD COLUMN email_visible TINYINT(1)    NOT NULL DEFAULT 0 AFTER linkedin_url;
@@ -0,0 +1,33 @@
+-- Passwordless sign-in. A login link row lives until its link is redeemed
+-- (deleting the row is what makes a link single-use) or expires. Sessions
+-- back the HTTP-only session cookie; only a hash of the cookie is stored.
+
+CREATE TABLE IF NOT EXISTS login_links (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  member_id   BIGINT UNSIGNED NOT NULL,
+  expires_at  DATETIME        NOT NULL,
+  ip          VARCHAR(45)     NULL,
+  created_at  DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_login_links_expires (expires_at),
+  CONSTRAINT fk_login_links_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  member_id     BIGINT UNSIGNED NOT NULL,
+  token_hash    CHAR(64)        NOT NULL,
+  user_agent    VARCHAR(255)    NULL,
+  ip            VARCHAR(45)     NULL,
+  created_at    DATETIME        NOT NULL,
+  last_seen_at  DATETIME        NOT NULL,
+  expires_at    DATETIME        NOT NULL,
+  revoked_at    DATETIME        NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_sessions_token_hash (token_hash),
+  KEY idx_sessions_member (member_id, created_at),
+  KEY idx_sessions_expires (expires_at),
+  CONSTRAINT fk_sessions_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,42 @@
+-- Blog comments and reactions. Comments thread through parent_id and wait
+-- in the moderation queue while pending; deleted comments that still have
+-- replies stay as placeholders with their content cleared.
+
+CREATE TABLE IF NOT EXISTS comments (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  blog_id       BIGINT UNSIGNED NOT NULL,
+  parent_id     BIGINT UNSIGNED NULL,
+  depth         TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  author_id     BIGINT UNSIGNED NULL,
+  author_name   VARCHAR(120)    NULL,
+  content       TEXT            NULL,
+  status        VARCHAR(20)     NOT NULL DEFAULT 'pending',
+  flags         JSON            NULL,
+  moderated_by  VARCHAR(64)     NULL,
+  moderated_at  DATETIME        NULL,
+  deleted_at    DATETIME        NULL,
+  created_at    DATETIME        NOT NULL,
+  updated_at    DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_comments_blog (blog_id, status, created_at),
+  KEY idx_comments_queue (status, created_at),
+  KEY idx_comments_parent (parent_id),
+  KEY idx_comments_author (author_id),
+  CONSTRAINT fk_comments_blog FOREIGN KEY (blog_id)
+    REFERENCES blogs (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS reactions (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  blog_id     BIGINT UNSIGNED NOT NULL,
+  member_id   BIGINT UNSIGNED NOT NULL,
+  emoji       VARCHAR(16)     NOT NULL,
+  created_at  DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reactions_member_emoji (blog_id, member_id, emoji),
+  KEY idx_reactions_member (member_id),
+  CONSTRAINT fk_reactions_blog FOREIGN KEY (blog_id)
+    REFERENCES blogs (id) ON DELETE CASCADE,
+  CONSTRAINT fk_reactions_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
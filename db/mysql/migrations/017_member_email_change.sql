@@ -0,0 +1,5 @@
+-- Email changes: a new address waits in pending_email until the member
+-- follows the link sent to it.
+
+ALTER TABLE members
+  ADD COLUMN pending_email VARCHAR(255) NULL AFTER email;
@@ -0,0 +1,5 @@
+-- Bearer tokens issued before tokens_revoked_at are refused. Set when a
+-- member revokes their sessions or their password changes.
+
+ALTER TABLE members
+  ADD COLUMN tokens_revoked_at DATETIME NULL AFTER password_hash;
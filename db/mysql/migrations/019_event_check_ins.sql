@@ -0,0 +1,29 @@
+-- Attendance per session: one row per check-in, so members can check in
+-- to every occurrence of a repeating event. occurrence_id is the
+-- occurrence's original start (20261020T180000Z), NULL for one-off events.
+
+CREATE TABLE IF NOT EXISTS check_ins (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  event_id       BIGINT UNSIGNED NOT NULL,
+  rsvp_id        BIGINT UNSIGNED NOT NULL,
+  member_id      BIGINT UNSIGNED NOT NULL,
+  occurrence_id  VARCHAR(16)     NULL,
+  checked_in_at  DATETIME        NOT NULL,
+  created_at     DATETIME        NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_check_ins_rsvp_occurrence (rsvp_id, occurrence_id),
+  KEY idx_check_ins_event (event_id, checked_in_at),
+  KEY idx_check_ins_member (member_id, checked_in_at),
+  CONSTRAINT fk_check_ins_event FOREIGN KEY (event_id)
+    REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_check_ins_rsvp FOREIGN KEY (rsvp_id)
+    REFERENCES rsvps (id) ON DELETE CASCADE,
+  CONSTRAINT fk_check_ins_member FOREIGN KEY (member_id)
+    REFERENCES members (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Check-ins recorded on the RSVP before this table existed
+INSERT INTO check_ins (event_id, rsvp_id, member_id, occurrence_id, checked_in_at, created_at)
+  SELECT event_id, id, member_id, NULL, checked_in_at, checked_in_at
+  FROM rsvps
+  WHERE checked_in_at IS NOT NULL;
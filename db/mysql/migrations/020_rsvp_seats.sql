@@ -0,0 +1,8 @@
+-- When a going RSVP took its seat. Capacity is checked again after a seat
+-- is written, and the earliest seats keep their places.
+
+ALTER TABLE rsvps
+  ADD COLUMN seated_at DATETIME NULL AFTER status,
+  ADD KEY idx_rsvps_event_seats (event_id, status, seated_at);
+
+UPDATE rsvps SET seated_at = responded_at WHERE status = 'going';
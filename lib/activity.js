@@ -0,0 +1,101 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Activity log helpers. Every change DatabaseService makes is appended to
+ * the `activities` collection as an entry that is never updated:
+ *
+ *   action       'create' | 'update' | 'delete' | 'restore' | 'purge' | ...
+ *   entityType   'member' | 'event' | 'rsvp' | 'blog' | 'comment' | 'project' | 'cycle'
+ *   entityId, entityLabel (name or title when the change was made)
+ *   actorId, actorEmail, actorRole (null for sign-ups and scheduled jobs)
+ *   changes      { field: { before, after } } for the fields that changed
+ *   context      extra references, such as the event and member of an RSVP
+ *   ip, createdAt
+ *
+ * The request being handled supplies the IP, and the user the handler
+ * resolved for it (bearer token or session cookie) is the actor. Both are
+ * tracked with AsyncLocalStorage so service methods don't need them passed
+ * through.
+ */
+
+const requestStore = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `req` as the request behind any activity it records
+ */
+export function runWithRequest(req, fn) {
+  return requestStore.run({ req, actor: null }, fn);
+}
+
+export function currentRequest() {
+  return requestStore.getStore()?.req || null;
+}
+
+/**
+ * Records who is making the current request, once the handler knows
+ */
+export function setCurrentActor(user) {
+  const store = requestStore.getStore();
+  if (store) store.actor = user || null;
+}
+
+export function currentActor() {
+  return requestStore.getStore()?.actor || null;
+}
+
+// Recorded as changed, never copied
+const SECRET_FIELDS = new Set(['passwordHash', 'checkInCode']);
+
+// Bookkeeping and derived fields that would only add noise
+const IGNORED_FIELDS = new Set(['_id', 'createdAt', 'updatedAt', 'contentHtml']);
+
+const REDACTED = '[redacted]';
+
+const serialize = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Fields that differ between two versions of a record; `before` is null
+ * for creations and `after` for permanent deletions
+ */
+export function diffChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (serialize(from) === serialize(to)) continue;
+    changes[field] = SECRET_FIELDS.has(field)
+      ? { before: from === null ? null : REDACTED, after: to === null ? null : REDACTED }
+      : { before: from, after: to };
+  }
+  return changes;
+}
+
+/**
+ * What the homepage feed shows for an entry, or null when the entry is not
+ * for public eyes. Only joins, published posts, approved comments, new
+ * events, RSVPs and check-ins are shown, without actors, IPs or field values.
+ * Members added by a roster import already belonged to the club, so their
+ * import is not announced as a join.
+ */
+export function publicActivity(entry) {
+  const { action, entityType, entityLabel, changes = {}, context = {} } = entry;
+  const became = (field, value) => changes[field]?.after === value && changes[field]?.before !== value;
+
+  let activity = null;
+  if (entityType === 'member' && action !== 'import' && became('applicationStatus', 'accepted')) {
+    activity = { activityType: 'member_joined', description: `${entityLabel} joined the club` };
+  } else if (entityType === 'blog' && became('status', 'published')) {
+    activity = { activityType: 'blog_published', description: `New blog: ${entityLabel}` };
+  } else if (entityType === 'comment' && became('status', 'approved')) {
+    activity = { activityType: 'blog_comment', description: `${context.authorName} commented on ${context.blogTitle}` };
+  } else if (entityType === 'event' && action === 'create') {
+    activity = { activityType: 'event_created', description: `Event scheduled: ${entityLabel}` };
+  } else if (entityType === 'rsvp' && became('status', 'going')) {
+    activity = { activityType: 'event_rsvp', description: `${context.memberName} is attending ${entityLabel}` };
+  } else if (entityType === 'rsvp' && action === 'checkin') {
+    activity = { activityType: 'event_checkin', description: `${context.memberName} checked in at ${entityLabel}` };
+  }
+  return activity && { ...activity, activityDate: entry.createdAt };
+}
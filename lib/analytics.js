@@ -0,0 +1,84 @@
+import { zonedParts, zonedMidnight } from "./timezone.js";
+
+/**
+ * Calendar helpers for time-series analytics. Buckets are calendar days,
+ * ISO weeks (starting Monday) or months in a given IANA time zone, keyed as
+ *
+ *   day    '2026-03-14'
+ *   week   '2026-03-09'  (the Monday the week starts on)
+ *   month  '2026-03'
+ *
+ * Keys sort chronologically as strings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Calendar dates are handled as UTC midnights so adding days never hits DST
+function calendarKey(utcDate, interval) {
+  const ymd = `${utcDate.getUTCFullYear()}-${pad(utcDate.getUTCMonth() + 1)}-${pad(utcDate.getUTCDate())}`;
+  return interval === 'month' ? ymd.slice(0, 7) : ymd;
+}
+
+function bucketStart(date, interval, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const calendar = new Date(Date.UTC(year, month - 1, interval === 'month' ? 1 : day));
+  if (interval === 'week') {
+    calendar.setUTCDate(calendar.getUTCDate() - (calendar.getUTCDay() + 6) % 7);
+  }
+  return calendar;
+}
+
+/**
+ * Key of the bucket `date` falls in
+ */
+export function bucketKey(date, interval, timeZone) {
+  return calendarKey(bucketStart(new Date(date), interval, timeZone), interval);
+}
+
+/**
+ * Every bucket key from the one containing `from` to the one containing
+ * the last instant before `to`
+ */
+export function bucketRange(from, to, interval, timeZone) {
+  const last = bucketKey(new Date(to.getTime() - 1), interval, timeZone);
+  const cursor = bucketStart(from, interval, timeZone);
+  const keys = [];
+  for (let key = calendarKey(cursor, interval); key <= last; key = calendarKey(cursor, interval)) {
+    keys.push(key);
+    if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return keys;
+}
+
+/**
+ * Parses a range boundary. Plain dates ('2026-03-14') mean local midnight
+ * in `timeZone`, or the end of that day when `endOfDay` is set; anything
+ * else is parsed as an instant. Returns null for invalid input.
+ */
+export function parseRangeDate(value, timeZone, { endOfDay = false } = {}) {
+  const plain = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (plain) {
+    const [year, month, day] = plain.slice(1).map(Number);
+    const midnight = zonedMidnight(year, month, day + (endOfDay ? 1 : 0), timeZone);
+    return Number.isNaN(midnight.getTime()) ? null : midnight;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Default range start: the start of the bucket 30 days, 12 weeks or
+ * 12 months before `to`
+ */
+export function defaultRangeStart(to, interval, timeZone) {
+  const from = new Date(to);
+  if (interval === 'day') from.setTime(from.getTime() - 30 * DAY_MS);
+  else if (interval === 'week') from.setTime(from.getTime() - 12 * 7 * DAY_MS);
+  else from.setUTCMonth(from.getUTCMonth() - 12);
+
+  const start = bucketStart(from, interval, timeZone);
+  return zonedMidnight(start.getUTCFullYear(), start.getUTCMonth() + 1, start.getUTCDate(), timeZone);
+}
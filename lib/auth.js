@@ -0,0 +1,443 @@
+import crypto from "crypto";
+import { ApiError } from "./errors.js";
+
+// ====================================================
+// ROLES & ACCESS POLICY
+// ====================================================
+
+export const ROLES = ['member', 'core-team', 'admin'];
+
+const ROLE_RANK = { member: 1, 'core-team': 2, admin: 3 };
+
+const PUBLIC = 'public';
+
+/**
+ * Access policy per API action and operation.
+ * `role` is the minimum role required; `owner: true` also lets the
+ * member who owns the record through regardless of role.
+ */
+export const ACCESS_POLICY = {
+  members: {
+    list: { role: 'core-team' },
+    read: { role: 'core-team', owner: true },
+    // The public signs up through api/join.js, which adds the bot checks
+    create: { role: 'core-team' },
+    update: { role: 'admin', owner: true },
+    delete: { role: 'admin' },
+    profile: PUBLIC,
+    export: { role: 'core-team' },
+    import: { role: 'core-team' },
+    trash: { role: 'admin' },
+    restore: { role: 'admin' }
+  },
+  notifications: {
+    list: { role: 'core-team', owner: true }
+  },
+  applications: {
+    list: { role: 'core-team' },
+    read: { role: 'core-team' },
+    update: { role: 'core-team' }
+  },
+  events: {
+    list: PUBLIC,
+    read: PUBLIC,
+    create: { role: 'core-team' },
+    update: { role: 'core-team' },
+    delete: { role: 'core-team' },
+    export: PUBLIC,
+    import: { role: 'core-team' },
+    trash: { role: 'core-team' },
+    restore: { role: 'core-team' }
+  },
+  rsvps: {
+    list: { role: 'core-team' },
+    read: { role: 'member' },
+    create: { role: 'member' },
+    update: { role: 'core-team' },
+    delete: { role: 'core-team', owner: true }
+  },
+  blogs: {
+    list: PUBLIC,
+    read: PUBLIC,
+    drafts: { role: 'core-team', owner: true },
+    create: { role: 'core-team', owner: true },
+    update: { role: 'core-team', owner: true },
+    publish: { role: 'core-team' },
+    delete: { role: 'core-team', owner: true },
+    trash: { role: 'core-team' },
+    restore: { role: 'core-team' }
+  },
+  comments: {
+    list: PUBLIC,
+    create: { role: 'member' },
+    moderate: { role: 'core-team' },
+    delete: { role: 'admin', owner: true }
+  },
+  reactions: {
+    list: PUBLIC,
+    create: { role: 'member' },
+    delete: { role: 'member' }
+  },
+  projects: {
+    list: PUBLIC,
+    read: PUBLIC,
+    create: { role: 'core-team' },
+    update: { role: 'core-team' },
+    delete: { role: 'core-team' }
+  },
+  cycles: {
+    list: PUBLIC,
+    read: PUBLIC,
+    create: { role: 'core-team' },
+    update: { role: 'core-team' },
+    submit: { role: 'core-team', owner: true },
+    review: { role: 'core-team' },
+    delete: { role: 'core-team' }
+  },
+  search: {
+    read: PUBLIC
+  },
+  dashboard: {
+    read: { role: 'core-team' }
+  },
+  analytics: {
+    read: { role: 'core-team' }
+  },
+  activity: {
+    read: PUBLIC
+  },
+  audit: {
+    read: { role: 'admin' }
+  },
+  stats: {
+    read: PUBLIC
+  }
+};
+
+export class AuthError extends ApiError {
+  constructor(message, status = 401) {
+    super(message, status);
+    this.name = 'AuthError';
+  }
+}
+
+export function hasRole(user, role) {
+  if (!user) return false;
+  return (ROLE_RANK[user.role] || 0) >= (ROLE_RANK[role] || Infinity);
+}
+
+/**
+ * Throws an AuthError unless `user` may perform `operation` on `resource`.
+ * `ownerId` is the member ID that owns the target record, if any.
+ */
+export function authorize(user, resource, operation, ownerId = null) {
+  const rule = ACCESS_POLICY[resource]?.[operation];
+  if (!rule) {
+    throw new AuthError('Forbidden', 403);
+  }
+  if (rule === PUBLIC) return;
+
+  if (!user) {
+    throw new AuthError('Authentication required', 401);
+  }
+  if (rule.owner && ownerId && String(ownerId) === String(user.id)) return;
+  if (!hasRole(user, rule.role)) {
+    throw new AuthError('Insufficient permissions', 403);
+  }
+}
+
+/**
+ * Non-throwing form of authorize()
+ */
+export function can(user, resource, operation, ownerId = null) {
+  try {
+    authorize(user, resource, operation, ownerId);
+    return true;
+  } catch (error) {
+    if (error instanceof AuthError) return false;
+    throw error;
+  }
+}
+
+// ====================================================
+// TOKENS (HS256 JWT)
+// ====================================================
+
+const DEFAULT_TOKEN_TTL = 7 * 24 * 60 * 60; // seconds
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export function signToken(payload, ttlSeconds = parseInt(process.env.AUTH_TOKEN_TTL) || DEFAULT_TOKEN_TTL) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+export function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Invalid token');
+  }
+
+  const [header, body, signature] = parts;
+  if (!safeEqual(signature, sign(`${header}.${body}`))) {
+    throw new AuthError('Invalid token');
+  }
+
+  let payload;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') throw new Error();
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch {
+    throw new AuthError('Invalid token');
+  }
+
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new AuthError('Token expired');
+  }
+  return payload;
+}
+
+/**
+ * Issues a token for a member record.
+ */
+export function issueMemberToken(member) {
+  return signToken({
+    sub: String(member._id),
+    email: member.email,
+    role: member.role || 'member'
+  });
+}
+
+/**
+ * Reads the claims of the `Authorization: Bearer <token>` header as
+ * `{ id, email, role, issuedAt }`. Returns null when there is no header. The claims
+ * are only who the token was issued to: DatabaseService.getTokenUser()
+ * checks them against the member record, and session cookies are looked
+ * up by DatabaseService.getSessionUser().
+ */
+export function getRequestUser(req) {
+  const header = req.headers?.authorization || '';
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new AuthError('Invalid authorization header');
+  }
+
+  const payload = verifyToken(token);
+  // Single-purpose tokens (email verification etc.) are not session tokens
+  if (payload.purpose) {
+    throw new AuthError('Invalid token');
+  }
+  return { id: payload.sub, email: payload.email, role: payload.role, issuedAt: payload.iat };
+}
+
+// ====================================================
+// EMAIL VERIFICATION
+// ====================================================
+
+const DEFAULT_VERIFICATION_TTL = 48 * 60 * 60; // seconds
+
+export function getVerificationTtl() {
+  return parseInt(process.env.EMAIL_VERIFICATION_TTL) || DEFAULT_VERIFICATION_TTL;
+}
+
+/**
+ * Issues the signed, expiring token sent in the verification email.
+ * The email is included so a token stops working if the address changes.
+ */
+export function issueVerificationToken(member) {
+  return signToken(
+    { sub: String(member._id), email: member.email, purpose: 'verify-email' },
+    getVerificationTtl()
+  );
+}
+
+/**
+ * Returns `{ memberId, email }` for a valid verification token
+ */
+export function readVerificationToken(token) {
+  if (!token) {
+    throw new AuthError('Verification token is required', 400);
+  }
+  const payload = verifyToken(token);
+  if (payload.purpose !== 'verify-email') {
+    throw new AuthError('Invalid token');
+  }
+  return { memberId: payload.sub, email: payload.email };
+}
+
+/**
+ * Issues the token that confirms a member's staged `pendingEmail`. It
+ * stops working if another change is staged in the meantime.
+ */
+export function issueEmailChangeToken(member) {
+  return signToken(
+    { sub: String(member._id), email: member.pendingEmail, purpose: 'change-email' },
+    getVerificationTtl()
+  );
+}
+
+/**
+ * Returns `{ memberId, email }` (the new address) for a valid email change token
+ */
+export function readEmailChangeToken(token) {
+  if (!token) {
+    throw new AuthError('Confirmation token is required', 400);
+  }
+  const payload = verifyToken(token);
+  if (payload.purpose !== 'change-email') {
+    throw new AuthError('Invalid token');
+  }
+  return { memberId: payload.sub, email: payload.email };
+}
+
+// ====================================================
+// FORM TOKENS
+// ====================================================
+
+const FORM_TOKEN_TTL = 24 * 60 * 60; // seconds
+
+/**
+ * Issues the token a public form is shown with. It records when the form
+ * was shown, so how long it took to fill in is measured by the server
+ * rather than reported by the browser.
+ */
+export function issueFormToken(form) {
+  return signToken({ purpose: 'form', form, shownAt: Date.now() }, FORM_TOKEN_TTL);
+}
+
+/**
+ * Returns when the form behind a valid token was shown (ms since the epoch)
+ */
+export function readFormToken(token, form) {
+  if (!token) {
+    throw new AuthError('Form token is required', 400);
+  }
+  const payload = verifyToken(token);
+  if (payload.purpose !== 'form' || payload.form !== form || !Number.isFinite(payload.shownAt)) {
+    throw new AuthError('Invalid token');
+  }
+  return payload.shownAt;
+}
+
+// ====================================================
+// MAGIC LINKS & SESSIONS
+// ====================================================
+
+const DEFAULT_MAGIC_LINK_TTL = 15 * 60; // seconds
+const DEFAULT_SESSION_TTL = 30 * 24 * 60 * 60; // seconds
+
+export const SESSION_COOKIE = 'atomsmiths_session';
+
+export function getMagicLinkTtl() {
+  return parseInt(process.env.MAGIC_LINK_TTL) || DEFAULT_MAGIC_LINK_TTL;
+}
+
+export function getSessionTtl() {
+  return parseInt(process.env.SESSION_TTL) || DEFAULT_SESSION_TTL;
+}
+
+/**
+ * Issues the signed token in a sign-in email. `linkId` is the stored login
+ * link it redeems; deleting that record is what makes the link single-use.
+ */
+export function issueMagicLinkToken(member, linkId) {
+  return signToken(
+    { sub: String(member._id), email: member.email, purpose: 'magic-link', jti: String(linkId) },
+    getMagicLinkTtl()
+  );
+}
+
+/**
+ * Returns `{ memberId, email, linkId }` for a valid sign-in token
+ */
+export function readMagicLinkToken(token) {
+  if (!token) {
+    throw new AuthError('Sign-in token is required', 400);
+  }
+  const payload = verifyToken(token);
+  if (payload.purpose !== 'magic-link' || !payload.jti) {
+    throw new AuthError('Invalid token');
+  }
+  return { memberId: payload.sub, email: payload.email, linkId: payload.jti };
+}
+
+/**
+ * A new random session cookie value; only its hash is stored
+ */
+export function newSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// ====================================================
+// PASSWORDS & BOOTSTRAP
+// ====================================================
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+/**
+ * Checks the one-time bootstrap secret used to create the first admin.
+ */
+export function checkBootstrapToken(req) {
+  const expected = process.env.AUTH_BOOTSTRAP_TOKEN;
+  if (!expected) {
+    throw new AuthError('Admin bootstrap is disabled', 403);
+  }
+  const provided = req.headers?.['x-bootstrap-token'];
+  if (!provided || !safeEqual(provided, expected)) {
+    throw new AuthError('Invalid bootstrap token', 403);
+  }
+}
+
+/**
+ * Checks the `Authorization: Bearer $CRON_SECRET` header Vercel sends to
+ * scheduled functions.
+ */
+export function checkCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    throw new AuthError('Scheduled jobs are disabled', 403);
+  }
+  if (!safeEqual(req.headers?.authorization || '', `Bearer ${secret}`)) {
+    throw new AuthError('Unauthorized');
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Profile badges. They are worked out from a member's record each time a
+ * profile is read, so they can't go stale or be handed out by hand:
+ *
+ *   role       the member's role
+ *   posts      published blog posts
+ *   attended   events checked in at; each session of a repeating event counts
+ *   projects   project teams they are on (archived ones included)
+ *   sprints    sprint cycle teams they were on
+ */
+
+export const BADGES = [
+  {
+    id: 'core-team',
+    name: 'Core team',
+    description: 'Helps run the club',
+    earned: ({ role }) => role === 'core-team' || role === 'admin'
+  },
+  { id: 'first-post', name: 'First post', description: 'Published a blog post', earned: ({ posts }) => posts >= 1 },
+  { id: 'writer', name: 'Writer', description: 'Published 5 blog posts', earned: ({ posts }) => posts >= 5 },
+  { id: 'first-event', name: 'First event', description: 'Attended an event', earned: ({ attended }) => attended >= 1 },
+  { id: 'regular', name: 'Regular', description: 'Attended 10 events', earned: ({ attended }) => attended >= 10 },
+  { id: 'builder', name: 'Builder', description: 'Joined a project team', earned: ({ projects }) => projects >= 1 },
+  { id: 'sprinter', name: 'Sprinter', description: 'Took part in a sprint cycle', earned: ({ sprints }) => sprints >= 1 }
+];
+
+/**
+ * Badges earned with the given counts, in the order above
+ */
+export function earnedBadges(stats) {
+  return BADGES
+    .filter(badge => badge.earned(stats))
+    .map(({ id, name, description }) => ({ id, name, description }));
+}
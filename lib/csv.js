@@ -0,0 +1,73 @@
+/**
+ * CSV (RFC 4180) for spreadsheet exports and roster imports.
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : Array.isArray(value) ? value.join('; ')
+    : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes `rows` with one column per entry of `fields`, header first
+ */
+export function toCsv(rows, fields) {
+  const lines = [fields.map(formatCell).join(',')];
+  for (const row of rows) {
+    lines.push(fields.map(field => formatCell(row[field])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses CSV text into objects keyed by the (trimmed) header row.
+ * Quoted cells may contain commas, quotes ("") and line breaks.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...data] = records.filter(r => r.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+  return data.map(values => Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ''])));
+}
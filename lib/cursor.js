@@ -0,0 +1,120 @@
+import { ValidationError } from "./errors.js";
+
+/**
+ * Opaque pagination cursors: the sort values of the last item of a page,
+ * as base64url JSON. Clients pass them back unchanged to get the next page.
+ */
+
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Reads a cursor back; throws a ValidationError when it was tampered with
+ */
+export function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (values && typeof values === 'object' && !Array.isArray(values)) return values;
+  } catch {
+    // Falls through to the error below
+  }
+  throw new ValidationError({ cursor: 'Cursor is invalid' });
+}
+
+// ====================================================
+// KEYSET PAGES
+// ====================================================
+
+/**
+ * Sort keys (`[field, direction]`) for a storage sort, with `tiebreakers`
+ * appended so items with equal sort values still have one fixed place.
+ * Tiebreakers follow the direction of the last sort field.
+ */
+export function sortKeys(sort, tiebreakers = ['_id']) {
+  const keys = Object.entries(sort);
+  const direction = keys.length ? keys[keys.length - 1][1] : 1;
+  for (const field of tiebreakers) {
+    if (!sort[field]) keys.push([field, direction]);
+  }
+  return keys;
+}
+
+// Names the sort a cursor was made for, so it can't be replayed on another
+const signature = (keys) => keys.map(([field, direction]) => direction < 0 ? `-${field}` : field).join(',');
+
+function sortValue(item, field) {
+  const value = item[field];
+  if (value === null || value === undefined) return null;
+  // Adapters return IDs as strings or ObjectIds
+  return field === '_id' ? String(value) : value;
+}
+
+/**
+ * Cursor pointing just past `item` in the order given by `keys`
+ */
+export function pageCursor(item, keys) {
+  return encodeCursor({
+    sort: signature(keys),
+    values: keys.map(([field]) => {
+      const value = sortValue(item, field);
+      return value instanceof Date ? { date: value.toISOString() } : value;
+    })
+  });
+}
+
+/**
+ * Sort values a cursor points past. Throws a ValidationError when the
+ * cursor is invalid or was made for a different sort.
+ */
+export function readPageCursor(cursor, keys) {
+  const { sort, values } = decodeCursor(cursor);
+  if (sort !== signature(keys) || !Array.isArray(values) || values.length !== keys.length) {
+    throw new ValidationError({ cursor: 'Cursor does not match this listing or sort' });
+  }
+  return values.map(value => {
+    if (value && typeof value === 'object') {
+      const date = new Date(value.date);
+      if (Number.isNaN(date.getTime())) throw new ValidationError({ cursor: 'Cursor is invalid' });
+      return date;
+    }
+    return value;
+  });
+}
+
+/**
+ * Storage filter for the items after `values` in the order given by `keys`.
+ * Missing values sort first ascending, as every adapter orders them.
+ */
+export function afterFilter(keys, values) {
+  const branches = [];
+  keys.forEach(([field, direction], index) => {
+    const equal = Object.fromEntries(keys.slice(0, index).map(([f], i) => [f, values[i]]));
+    const value = values[index];
+    if (direction > 0) {
+      branches.push({ ...equal, [field]: value === null ? { $ne: null } : { $gt: value } });
+    } else if (value !== null) {
+      branches.push({ ...equal, [field]: { $lt: value } }, { ...equal, [field]: null });
+    }
+  });
+  return { $or: branches };
+}
+
+/**
+ * Compares items in the order given by `keys`, for pages built in memory
+ */
+export function compareKeys(keys) {
+  return (a, b) => {
+    for (const [field, direction] of keys) {
+      const x = sortValue(a, field);
+      const y = sortValue(b, field);
+      const xv = x instanceof Date ? x.getTime() : x;
+      const yv = y instanceof Date ? y.getTime() : y;
+      if (xv === yv) continue;
+      if (xv === null) return -direction;
+      if (yv === null) return direction;
+      return (xv < yv ? -1 : 1) * direction;
+    }
+    return 0;
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Error carrying the HTTP status the API handler should respond with
+ */
+export class ApiError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Invalid input. `fields` maps field names to messages the front-end can
+ * show next to each input.
+ */
+export class ValidationError extends ApiError {
+  constructor(fields = {}, message = 'Please correct the highlighted fields') {
+    super(message, 400);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'Not found') {
+    super(message, 404);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The request clashes with existing data or the record's current state.
+ * Pass `field` when the clash belongs to a single input (e.g. a taken email).
+ */
+export class ConflictError extends ApiError {
+  constructor(message, field = null) {
+    super(message, 409);
+    this.name = 'ConflictError';
+    if (field) this.fields = { [field]: message };
+  }
+}
+
+/**
+ * Too many requests. `retryAfter` is the number of seconds until the
+ * client may try again; handlers send it as the Retry-After header.
+ */
+export class RateLimitError extends ApiError {
+  constructor(retryAfter, message = 'Too many requests, please try again later') {
+    super(message, 429);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
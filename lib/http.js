@@ -0,0 +1,130 @@
+import { ApiError } from "./errors.js";
+
+/**
+ * Request helpers shared by the serverless handlers in api/.
+ */
+
+/**
+ * Origins allowed to call the API from a browser: ALLOWED_ORIGINS
+ * (comma-separated), else the origin of SITE_URL. With neither set (local
+ * development) every origin is allowed.
+ */
+export function allowedOrigins() {
+  const configured = process.env.ALLOWED_ORIGINS || process.env.SITE_URL || '';
+  return configured
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+    .map(origin => {
+      try { return new URL(origin).origin; } catch { return origin; }
+    });
+}
+
+export function isAllowedOrigin(origin) {
+  if (!origin) return true;  // Same-origin requests and non-browser clients
+  const allowed = allowedOrigins();
+  return allowed.length === 0 || allowed.includes(origin);
+}
+
+/**
+ * Sets the CORS headers, reflecting the request's Origin only when it is
+ * on the allowlist. Returns whether the origin is allowed.
+ */
+export function applyCors(req, res, { methods, headers = 'Content-Type' }) {
+  const origin = req.headers.origin;
+  const allowed = isAllowedOrigin(origin);
+  res.setHeader("Vary", "Origin");
+  if (allowed) {
+    res.setHeader("Access-Control-Allow-Origin", origin || "*");
+    res.setHeader("Access-Control-Allow-Methods", methods);
+    res.setHeader("Access-Control-Allow-Headers", headers);
+  }
+  return allowed;
+}
+
+/**
+ * Client IP as seen by the first proxy (Vercel sets x-forwarded-for)
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Value of the cookie `name` on the request, or null
+ */
+export function readCookie(req, name) {
+  for (const part of String(req.headers?.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1 || part.slice(0, index).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Sets an HTTP-only cookie for the whole site; a `maxAge` of 0 clears it.
+ * SameSite=Lax keeps it off cross-site form posts and fetches. It is
+ * marked Secure unless SITE_URL is plain http (local development).
+ */
+export function setCookie(res, name, value, { maxAge }) {
+  const secure = !String(process.env.SITE_URL || '').startsWith('http://');
+  res.setHeader('Set-Cookie', [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : [])
+  ].join('; '));
+}
+
+/**
+ * Sends `body` as a download named `filename`
+ */
+export function sendFile(res, { filename, contentType, body }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(body);
+}
+
+/**
+ * Sends one page of a listing: `data`, the `nextCursor` to pass back as
+ * `?cursor=` (null on the last page) and `total` when it was asked for
+ */
+export function sendPage(res, { items, nextCursor, total }) {
+  res.status(200).json({ ok: true, data: items, nextCursor, ...(total !== undefined && { total }) });
+}
+
+/**
+ * Parses the request's JSON body, rejecting bodies over `maxBytes` with a
+ * 413. Vercel has already read the body, so both the declared
+ * Content-Length and the actual size are checked.
+ */
+export function readJsonBody(req, maxBytes) {
+  const tooLarge = () => new ApiError('Request body is too large', 413);
+  if (Number(req.headers['content-length']) > maxBytes) throw tooLarge();
+
+  let body = req.body;
+  if (body === undefined || body === null || body === '') return {};
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+  if (typeof body === 'string') {
+    if (Buffer.byteLength(body) > maxBytes) throw tooLarge();
+    try {
+      body = JSON.parse(body);
+    } catch {
+      throw new ApiError('Request body must be valid JSON', 400);
+    }
+  } else if (Buffer.byteLength(JSON.stringify(body)) > maxBytes) {
+    throw tooLarge();
+  }
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError('Request body must be a JSON object', 400);
+  }
+  return body;
+}
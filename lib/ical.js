@@ -0,0 +1,119 @@
+/**
+ * iCalendar (RFC 5545) and shared helpers for the line-based text formats
+ * we export (iCalendar and vCard share escaping and line folding).
+ *
+ * Times are written in UTC ("Z"), which every calendar client converts to
+ * the viewer's zone, so no VTIMEZONE definitions are needed. UIDs come from
+ * the event `_id` and SEQUENCE from the event's `sequence`, which goes up
+ * whenever the event is rescheduled or cancelled.
+ *
+ * Repeating events are written as one VEVENT per occurrence (the service
+ * expands them), each with its own UID, rather than as an RRULE.
+ */
+
+const siteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Events without an end time show in calendars as this long
+const DEFAULT_EVENT_DURATION = 'PT2H';
+
+/**
+ * Escapes a TEXT value: backslashes, commas, semicolons and newlines
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/[,;]/g, c => `\\${c}`)
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets, continuing with a space.
+ * Never splits a multi-byte character.
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the 75
+    if (octets + size > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Joins content lines with CRLF, folding each
+ */
+export function contentLines(lines) {
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * UTC DATE-TIME value: 20260314T180000Z
+ */
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function uidDomain() {
+  try {
+    return new URL(siteUrl()).hostname;
+  } catch {
+    return 'atomsmiths.club';
+  }
+}
+
+/**
+ * Stable UID of an event, or of one occurrence of a repeating event
+ */
+export function eventUid(eventId, occurrenceId = null) {
+  return `event-${eventId}${occurrenceId ? `-${occurrenceId}` : ''}@${uidDomain()}`;
+}
+
+/**
+ * VEVENT lines; events flagged `cancelled` are marked STATUS:CANCELLED so
+ * subscribed calendars remove them
+ */
+function eventLines(event, now) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event._id, event.occurrenceId)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    event.createdAt && `CREATED:${formatDateTime(event.createdAt)}`,
+    event.updatedAt && `LAST-MODIFIED:${formatDateTime(event.updatedAt)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `DTSTART:${formatDateTime(event.eventDate)}`,
+    event.endDate ? `DTEND:${formatDateTime(event.endDate)}` : `DURATION:${DEFAULT_EVENT_DURATION}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.tags?.length && `CATEGORIES:${event.tags.map(escapeText).join(',')}`,
+    `URL:${siteUrl()}/#timeline`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * A VCALENDAR with one VEVENT per event
+ */
+export function eventsToIcs(events, { name = 'Atomsmiths events', now = new Date() } = {}) {
+  return contentLines([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Atomsmiths Club//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => eventLines(event, now)),
+    'END:VCALENDAR'
+  ]);
+}
@@ -0,0 +1,24 @@
+import { createSmtpTransport } from "./smtp.js";
+import { createOutboxTransport } from "./outbox.js";
+
+/**
+ * Mail transports
+ *
+ * Every transport exposes `send({ from, to, subject, text, html })`, which
+ * resolves to `{ messageId }` or throws when delivery fails.
+ */
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+export function createMailer(type = process.env.MAIL_TRANSPORT || 'outbox', options = {}) {
+  const factory = TRANSPORTS[type];
+  if (!factory) {
+    throw new Error(`Unsupported MAIL_TRANSPORT "${type}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+export { createSmtpTransport, createOutboxTransport };
+export { renderTemplate, TEMPLATES } from "./templates.js";
@@ -0,0 +1,24 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * File-based mail transport for local development and tests. Every message
+ * is written as a JSON file to `dir` (MAIL_OUTBOX_DIR, default ./.outbox)
+ * instead of being sent.
+ */
+export function createOutboxTransport({ dir = process.env.MAIL_OUTBOX_DIR || '.outbox' } = {}) {
+  return {
+    type: 'outbox',
+    dir,
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ messageId, ...message, queuedAt: new Date() }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+}
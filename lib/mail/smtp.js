@@ -0,0 +1,34 @@
+import nodemailer from "nodemailer";
+
+// SMTP transport caching, like the database connections
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * SMTP mail transport (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ */
+export function createSmtpTransport() {
+  return {
+    type: 'smtp',
+    async send(message) {
+      const info = await getTransporter().sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,159 @@
+import { plainText } from "../search.js";
+
+/**
+ * Email templates. Each template takes the data it needs and returns
+ * `{ subject, text, html }`; values are escaped in the HTML version.
+ */
+
+const siteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+function formatDate(date) {
+  return new Intl.DateTimeFormat('en-GB', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: process.env.MAIL_TIMEZONE || 'UTC'
+  }).format(new Date(date));
+}
+
+/**
+ * Wraps paragraphs (already escaped HTML) in the shared email layout
+ */
+function layout(paragraphs) {
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1a1a2e; max-width: 560px; margin: 0 auto; padding: 24px;">
+  ${paragraphs.map(p => `<p style="line-height: 1.5;">${p}</p>`).join('\n  ')}
+  <p style="color: #888; font-size: 12px;">Atomsmiths Club &middot; <a href="${escapeHtml(siteUrl())}">${escapeHtml(siteUrl())}</a></p>
+</body>
+</html>`;
+}
+
+export const TEMPLATES = {
+  verifyEmail: ({ member, token, expiresAt }) => {
+    const link = `${siteUrl()}/api/auth/verify?token=${encodeURIComponent(token)}`;
+    return {
+      subject: 'Confirm your email for Atomsmiths',
+      text: `Hi ${member.name},\n\nPlease confirm your email address to complete your Atomsmiths application:\n${link}\n\nThis link expires ${formatDate(expiresAt)}. If you didn't sign up, you can ignore this email.\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        'Please confirm your email address to complete your Atomsmiths application:',
+        `<a href="${escapeHtml(link)}">Confirm my email</a>`,
+        `This link expires ${escapeHtml(formatDate(expiresAt))}. If you didn't sign up, you can ignore this email.`
+      ])
+    };
+  },
+
+  confirmEmailChange: ({ member, token, expiresAt }) => {
+    const link = `${siteUrl()}/api/auth/confirm-email?token=${encodeURIComponent(token)}`;
+    return {
+      subject: 'Confirm your new email for Atomsmiths',
+      text: `Hi ${member.name},\n\nPlease confirm that you want to use this address for your Atomsmiths account:\n${link}\n\nUntil you do, emails keep going to your old address. This link expires ${formatDate(expiresAt)}. If you didn't ask for this change, you can ignore this email.\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        'Please confirm that you want to use this address for your Atomsmiths account:',
+        `<a href="${escapeHtml(link)}">Confirm my new email</a>`,
+        `Until you do, emails keep going to your old address. This link expires ${escapeHtml(formatDate(expiresAt))}. If you didn't ask for this change, you can ignore this email.`
+      ])
+    };
+  },
+
+  magicLink: ({ member, token, expiresAt }) => {
+    const link = `${siteUrl()}/api/auth/magic?token=${encodeURIComponent(token)}`;
+    return {
+      subject: 'Your Atomsmiths sign-in link',
+      text: `Hi ${member.name},\n\nUse this link to sign in to Atomsmiths:\n${link}\n\nIt works once and expires ${formatDate(expiresAt)}. If you didn't ask to sign in, you can ignore this email.\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        'Use this link to sign in to Atomsmiths:',
+        `<a href="${escapeHtml(link)}">Sign in</a>`,
+        `It works once and expires ${escapeHtml(formatDate(expiresAt))}. If you didn't ask to sign in, you can ignore this email.`
+      ])
+    };
+  },
+
+  applicationReceived: ({ member }) => ({
+    subject: 'We received your Atomsmiths application',
+    text: `Hi ${member.name},\n\nThanks for applying to join Atomsmiths! The core team reviews applications every week and will get back to you soon.\n\nAtomsmiths Club`,
+    html: layout([
+      `Hi ${escapeHtml(member.name)},`,
+      'Thanks for applying to join Atomsmiths! The core team reviews applications every week and will get back to you soon.'
+    ])
+  }),
+
+  applicationAccepted: ({ member }) => ({
+    subject: 'Welcome to Atomsmiths!',
+    text: `Hi ${member.name},\n\nGreat news: your application has been accepted. Welcome to the club!\nSee what's coming up at ${siteUrl()}/#timeline\n\nAtomsmiths Club`,
+    html: layout([
+      `Hi ${escapeHtml(member.name)},`,
+      'Great news: your application has been accepted. Welcome to the club!',
+      `<a href="${escapeHtml(siteUrl())}/#timeline">See what's coming up</a>`
+    ])
+  }),
+
+  rsvpConfirmation: ({ member, event, rsvp }) => {
+    const going = rsvp.status === 'going';
+    const details = `${event.title}\n${formatDate(event.eventDate)}${event.location ? `\n${event.location}` : ''}`;
+    const status = going
+      ? `You're in! Show this check-in code at the door: ${rsvp.checkInCode}`
+      : `The event is full, so you're on the waitlist. We'll email you if a spot opens up.`;
+    return {
+      subject: going ? `You're going to ${event.title}` : `You're on the waitlist for ${event.title}`,
+      text: `Hi ${member.name},\n\n${status}\n\n${details}\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        going
+          ? `You're in! Show this check-in code at the door: <strong>${escapeHtml(rsvp.checkInCode)}</strong>`
+          : escapeHtml(status),
+        escapeHtml(details).replace(/\n/g, '<br>')
+      ])
+    };
+  },
+
+  eventReminder: ({ member, event, rsvp }) => {
+    const details = `${formatDate(event.eventDate)}${event.location ? ` at ${event.location}` : ''}`;
+    return {
+      subject: `Reminder: ${event.title} is coming up`,
+      text: `Hi ${member.name},\n\n${event.title} starts ${details}.\nYour check-in code: ${rsvp.checkInCode}\n\nCan't make it? Cancel your RSVP so someone on the waitlist can go.\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        `<strong>${escapeHtml(event.title)}</strong> starts ${escapeHtml(details)}.`,
+        `Your check-in code: <strong>${escapeHtml(rsvp.checkInCode)}</strong>`,
+        "Can't make it? Cancel your RSVP so someone on the waitlist can go."
+      ])
+    };
+  },
+
+  blogDigest: ({ member, blogs }) => {
+    const excerpt = (blog) => {
+      const text = plainText(blog.content);
+      return text.length > 160 ? `${text.slice(0, 160)}…` : text;
+    };
+    return {
+      subject: `${blogs.length} new post${blogs.length === 1 ? '' : 's'} on the Atomsmiths blog`,
+      text: `Hi ${member.name},\n\nHere's what the club has been writing about:\n\n${
+        blogs.map(b => `- ${b.title} by ${b.authorName}\n  ${excerpt(b)}`).join('\n')
+      }\n\nAtomsmiths Club`,
+      html: layout([
+        `Hi ${escapeHtml(member.name)},`,
+        "Here's what the club has been writing about:",
+        ...blogs.map(b =>
+          `<strong>${escapeHtml(b.title)}</strong> by ${escapeHtml(b.authorName)}<br>${escapeHtml(excerpt(b))}`
+        )
+      ])
+    };
+  }
+};
+
+export function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+}
@@ -0,0 +1,33 @@
+import MarkdownIt from "markdown-it";
+
+/**
+ * Markdown renderer for blog content. Raw HTML in the source is escaped
+ * rather than passed through, and markdown-it's link validation drops
+ * javascript:, vbscript: and file: URLs, so the output is safe to embed.
+ */
+const md = new MarkdownIt({ html: false, linkify: true, typographer: true });
+
+// Member-written links should not pass on reputation or window access
+const defaultLinkOpen = md.renderer.rules.link_open
+  || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  tokens[idx].attrSet('rel', 'nofollow noopener noreferrer');
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+export function renderMarkdown(source) {
+  return md.render(source || '');
+}
+
+/**
+ * Builds a URL slug from a title: "Nano + IoT Sensors!" -> "nano-iot-sensors"
+ */
+export function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'post';
+}
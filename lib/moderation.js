@@ -0,0 +1,53 @@
+/**
+ * Comment filtering. A comment that trips a check is held in the
+ * moderation queue rather than rejected, so a false positive only delays it:
+ *
+ *   profanity  a blocklisted word (extend with COMMENT_BLOCKLIST, comma-separated)
+ *   link       a URL or bare domain, the usual shape of spam
+ */
+
+const BLOCKLIST = [
+  'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock', 'cunt', 'dick', 'dickhead',
+  'fag', 'faggot', 'fuck', 'motherfucker', 'nigger', 'piss', 'prick', 'pussy', 'retard', 'shit',
+  'slut', 'twat', 'wanker', 'whore'
+];
+
+// Endings a blocklisted word may carry ("fucking", "bitches")
+const SUFFIXES = '(?:s|es|ed|er|ers|ing|y)?';
+
+// Digits and symbols used to dodge word filters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|org|io|co|ru|xyz|info|biz|me|ly|gg|app|dev|link|site|online|shop|top)\b/i;
+
+let blockedPattern = null;
+let blockedSource = null;
+
+function blocklistPattern() {
+  const extra = process.env.COMMENT_BLOCKLIST || '';
+  if (blockedSource !== extra) {
+    const words = [...BLOCKLIST, ...extra.split(',').map(word => word.trim().toLowerCase()).filter(Boolean)]
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    blockedPattern = new RegExp(`\\b(?:${words.join('|')})${SUFFIXES}\\b`, 'i');
+    blockedSource = extra;
+  }
+  return blockedPattern;
+}
+
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013457@$]/g, c => LOOKALIKES[c]);
+}
+
+/**
+ * The checks `text` trips, in the order above; empty when it is clean
+ */
+export function commentFlags(text) {
+  const flags = [];
+  if (blocklistPattern().test(normalize(text))) flags.push('profanity');
+  if (LINK_PATTERN.test(String(text ?? ''))) flags.push('link');
+  return flags;
+}
@@ -0,0 +1,91 @@
+import { RateLimitError } from "./errors.js";
+import { connectToMongoDB } from "./storage/mongo.js";
+
+/**
+ * Fixed-window rate limiting. Each store counts hits per key in windows of
+ * `windowMs` aligned to the epoch, so every instance agrees on when a
+ * window resets.
+ *
+ *   memory   - per process; fine locally, but each serverless instance has its own
+ *   mongodb  - shared `rate_limits` collection; expired windows are removed by a TTL index
+ *
+ * The store defaults to mongodb when DB_TYPE is mongodb (override with
+ * RATE_LIMIT_STORE).
+ */
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async hit(key, windowMs, now = Date.now()) {
+    const resetAt = (Math.floor(now / windowMs) + 1) * windowMs;
+    const id = `${key}:${resetAt}`;
+    const count = (this.windows.get(id)?.count || 0) + 1;
+    this.windows.set(id, { count, resetAt });
+
+    // Drop finished windows so long-running dev servers don't grow forever
+    if (this.windows.size > 10000) {
+      for (const [windowId, entry] of this.windows) {
+        if (entry.resetAt <= now) this.windows.delete(windowId);
+      }
+    }
+    return { count, resetAt: new Date(resetAt) };
+  }
+}
+
+export class MongoRateLimitStore {
+  constructor(collectionName = 'rate_limits') {
+    this.collectionName = collectionName;
+    this.indexed = null;
+  }
+
+  async collection() {
+    const { db } = await connectToMongoDB();
+    const collection = db.collection(this.collectionName);
+    if (!this.indexed) {
+      this.indexed = collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch(err => {
+          this.indexed = null;
+          throw err;
+        });
+    }
+    await this.indexed;
+    return collection;
+  }
+
+  async hit(key, windowMs, now = Date.now()) {
+    const collection = await this.collection();
+    const resetAt = new Date((Math.floor(now / windowMs) + 1) * windowMs);
+    const doc = await collection.findOneAndUpdate(
+      { _id: `${key}:${resetAt.getTime()}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { count: doc.count, resetAt };
+  }
+}
+
+export function createRateLimitStore(
+  type = process.env.RATE_LIMIT_STORE || (process.env.DB_TYPE === 'mongodb' ? 'mongodb' : 'memory')
+) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'mongodb':
+      return new MongoRateLimitStore();
+    default:
+      throw new Error(`Unsupported rate limit store "${type}". Use "memory" or "mongodb".`);
+  }
+}
+
+/**
+ * Counts a hit for `key` and throws a RateLimitError once more than
+ * `limit` hits land in the current window.
+ */
+export async function checkRateLimit(store, key, { limit, windowMs }, now = Date.now()) {
+  const { count, resetAt } = await store.hit(key, windowMs, now);
+  if (count > limit) {
+    throw new RateLimitError(Math.max(1, Math.ceil((resetAt.getTime() - now) / 1000)));
+  }
+}
@@ -0,0 +1,166 @@
+import { formatDateTime } from "./ical.js";
+import { zonedParts, zonedDateTime } from "./timezone.js";
+
+/**
+ * Recurrence rules for repeating events: the subset of RFC 5545 RRULE the
+ * club needs.
+ *
+ *   FREQ        DAILY | WEEKLY | MONTHLY (required)
+ *   INTERVAL    every n-th day/week/month
+ *   COUNT       number of occurrences, or
+ *   UNTIL       last possible start (20261231T235959Z or 20261231)
+ *   BYDAY       weekdays for WEEKLY rules (MO,WE,FR)
+ *   BYMONTHDAY  days of the month for MONTHLY rules (1,15)
+ *
+ * Occurrences keep the series' wall-clock time in its time zone, so a
+ * 6pm weekly session stays at 6pm across daylight saving changes.
+ */
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Shorthands accepted wherever a rule is
+export const SHORTHAND_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY'
+};
+
+const DAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNT = 1000;
+
+// Bounds the expansion loop for rules with no end
+const MAX_PERIODS = 10000;
+
+function positiveInteger(value, name, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+}
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) throw new Error('UNTIL must look like 20261231 or 20261231T235959Z');
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  // A plain date includes the whole day
+  return match[4] === undefined
+    ? new Date(Date.UTC(year, month - 1, day + 1) - 1000)
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Parses a rule ("weekly", "FREQ=WEEKLY;BYDAY=TU,TH", "RRULE:...").
+ * Throws an Error with a user-facing message when it isn't supported.
+ */
+export function parseRRule(text) {
+  const source = String(text).trim();
+  const expanded = SHORTHAND_RULES[source.toLowerCase()] || source.replace(/^RRULE:/i, '');
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: null, byMonthDay: null };
+
+  for (const part of expanded.split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=').map(s => s.trim().toUpperCase());
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInteger(value, 'INTERVAL', 365);
+        break;
+      case 'COUNT':
+        rule.count = positiveInteger(value, 'COUNT', MAX_COUNT);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',');
+        if (rule.byDay.some(day => !DAY_CODES.includes(day))) {
+          throw new Error(`BYDAY takes weekdays from ${DAY_CODES.join(', ')}`);
+        }
+        rule.byDay.sort((a, b) => DAY_CODES.indexOf(a) - DAY_CODES.indexOf(b));
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => positiveInteger(day, 'BYMONTHDAY', 31)).sort((a, b) => a - b);
+        break;
+      case 'WKST':
+        if (value !== 'MO') throw new Error('Weeks always start on Monday (WKST=MO)');
+        break;
+      default:
+        throw new Error(`${key || part} is not supported`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+  if (rule.byDay && rule.freq !== 'WEEKLY') throw new Error('BYDAY is only supported for WEEKLY rules');
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') throw new Error('BYMONTHDAY is only supported for MONTHLY rules');
+  return rule;
+}
+
+/**
+ * Normalized RRULE text for a parsed rule
+ */
+export function formatRRule(rule) {
+  return [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay && `BYDAY=${rule.byDay.join(',')}`,
+    rule.byMonthDay && `BYMONTHDAY=${rule.byMonthDay.join(',')}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${formatDateTime(rule.until)}`
+  ].filter(Boolean).join(';');
+}
+
+/**
+ * Calendar days (as UTC midnights) a rule allows in its `period`-th
+ * day/week/month after the series start, in order
+ */
+function candidateDays(rule, startDay, period) {
+  const start = new Date(startDay);
+  switch (rule.freq) {
+    case 'DAILY':
+      return [startDay + period * rule.interval * DAY_MS];
+    case 'WEEKLY': {
+      const monday = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+      const weekStart = monday + period * rule.interval * 7 * DAY_MS;
+      const days = rule.byDay || [DAY_CODES[(start.getUTCDay() + 6) % 7]];
+      return days.map(day => weekStart + DAY_CODES.indexOf(day) * DAY_MS);
+    }
+    default: {
+      const month = start.getUTCMonth() + period * rule.interval;
+      return (rule.byMonthDay || [start.getUTCDate()])
+        .map(day => Date.UTC(start.getUTCFullYear(), month, day))
+        // Months without that day are skipped, as RFC 5545 requires
+        .filter(day => new Date(day).getUTCMonth() === ((month % 12) + 12) % 12);
+    }
+  }
+}
+
+/**
+ * Start times of a series beginning at `start`, in order, before `to`
+ */
+export function expandStarts(start, rule, timeZone, { to }) {
+  const local = zonedParts(new Date(start), timeZone);
+  const startDay = Date.UTC(local.year, local.month - 1, local.day);
+  const starts = [];
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of candidateDays(rule, startDay, period)) {
+      if (day < startDay) continue;
+      const date = new Date(day);
+      const instant = zonedDateTime(
+        date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+        local.hour, local.minute, local.second, timeZone
+      );
+      if ((rule.until && instant > rule.until) || (rule.count && starts.length >= rule.count) || instant >= to) {
+        return starts;
+      }
+      starts.push(instant);
+    }
+  }
+  return starts;
+}
@@ -0,0 +1,105 @@
+/**
+ * Text search helpers shared by the storage adapters (matching) and the
+ * service (ranking and highlighted snippets).
+ */
+
+const SNIPPET_LENGTH = 160;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+function fold(text) {
+  return String(text ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Splits text into unique lowercase search terms
+ */
+export function tokenize(text) {
+  return [...new Set(fold(text).match(/[a-z0-9]+/g) || [])];
+}
+
+/**
+ * Flattens a field value (string, array, null) to searchable text
+ */
+export function fieldText(value) {
+  if (Array.isArray(value)) return value.join(' ');
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Strips the Markdown syntax that would otherwise clutter a snippet
+ */
+export function plainText(markdown) {
+  return fieldText(markdown)
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#*_>`~|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Counts how many words in `text` start with one of `terms`
+ */
+function countMatches(text, terms) {
+  const words = fold(text).match(/[a-z0-9]+/g) || [];
+  return words.filter(word => terms.some(term => word.startsWith(term))).length;
+}
+
+/**
+ * True when any word of the given fields starts with any of the terms
+ */
+export function matchesText(doc, fields, terms) {
+  return fields.some(field => countMatches(fieldText(doc[field]), terms) > 0);
+}
+
+/**
+ * Relevance of a document: weighted term hits per field, with a bonus
+ * when the whole query appears in a field as typed.
+ */
+export function scoreDocument(doc, weights, query) {
+  const terms = tokenize(query);
+  const phrase = fold(query).trim();
+  let score = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    const text = fieldText(doc[field]);
+    const hits = countMatches(text, terms);
+    if (hits === 0) continue;
+    score += weight * (1 + Math.log(hits));
+    if (terms.length > 1 && fold(text).includes(phrase)) score += weight * 2;
+  }
+  return Number(score.toFixed(4));
+}
+
+/**
+ * HTML-escaped excerpt of `text` around the first match, with matched
+ * words wrapped in <mark>.
+ */
+export function highlight(text, query, maxLength = SNIPPET_LENGTH) {
+  const source = fieldText(text);
+  const terms = tokenize(query);
+  const folded = fold(source);
+
+  // Folding can change the length of exotic characters; only window when it doesn't
+  let start = 0;
+  if (folded.length === source.length && source.length > maxLength) {
+    const first = terms
+      .map(term => folded.search(new RegExp(`(^|[^a-z0-9])${term}`)))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0] ?? 0;
+    start = Math.max(0, Math.min(first - Math.floor(maxLength / 4), source.length - maxLength));
+    // Don't cut a word in half
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+  }
+
+  const excerpt = source.slice(start, start + maxLength);
+  const marked = excerpt.replace(/[\p{L}\p{N}]+/gu, word =>
+    terms.some(term => fold(word).startsWith(term)) ? `\u0000${word}\u0001` : word
+  );
+  const html = escapeHtml(marked).replace(/\u0000/g, '<mark>').replace(/\u0001/g, '</mark>');
+
+  return `${start > 0 ? '…' : ''}${html}${start + maxLength < source.length ? '…' : ''}`;
+}
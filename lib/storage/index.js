@@ -0,0 +1,38 @@
+import { createMongoStorage } from "./mongo.js";
+import { createMySqlStorage } from "./mysql.js";
+import { createMemoryStorage } from "./memory.js";
+
+/**
+ * Storage adapters
+ *
+ * Every adapter exposes the same shape:
+ *
+ *   members, events, eventCancellations, blogs, comments, reactions, rsvps,
+ *   checkIns, projects, cycles, notifications, activities, loginLinks, sessions - repositories with
+ *     insert(doc), findById(id), findOne(filter), find(filter, { sort, limit, skip }),
+ *     count(filter), update(id, fields), delete(id), deleteMany(filter),
+ *     search(text, { fields, filter, limit }) - documents where any word of the
+ *       given fields (`{ field: weight }`) matches a query term, best first
+ *   stats - aggregations: countBy(entity, field, filter)
+ *
+ * Filters use a MongoDB-style subset: `{ field: value }` equality (array
+ * fields match when they contain the value), `null` for missing values,
+ * the operators $gt, $gte, $lt, $lte, $ne, $in, $nin, and $or / $and
+ * (arrays of filters, which may nest).
+ * Sorts are `{ field: 1 | -1 }`. IDs are returned as `_id`.
+ */
+const ADAPTERS = {
+  mongodb: createMongoStorage,
+  mysql: createMySqlStorage,
+  memory: createMemoryStorage
+};
+
+export function createStorage(type = process.env.DB_TYPE || 'mongodb', options = {}) {
+  const factory = ADAPTERS[type];
+  if (!factory) {
+    throw new Error(`Unsupported DB_TYPE "${type}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+export { createMongoStorage, createMySqlStorage, createMemoryStorage };
@@ -0,0 +1,213 @@
+import crypto from "crypto";
+import fs from "fs";
+import { tokenize, matchesText, scoreDocument } from "../search.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  return comparable(a) === comparable(b);
+}
+
+function matchesValue(value, condition) {
+  // Array fields match when any element matches, as in MongoDB
+  if (Array.isArray(value) && !Array.isArray(condition)) {
+    return value.some(item => equals(item, condition));
+  }
+  return equals(value, condition);
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return matchesValue(value, condition);
+
+  return Object.entries(condition).every(([op, operand]) => {
+    const a = comparable(value);
+    const b = comparable(operand);
+    switch (op) {
+      case '$gt': return value != null && a > b;
+      case '$gte': return value != null && a >= b;
+      case '$lt': return value != null && a < b;
+      case '$lte': return value != null && a <= b;
+      case '$ne': return !matchesValue(value, operand);
+      case '$in': return operand.some(item => matchesValue(value, item));
+      case '$nin': return !operand.some(item => matchesValue(value, item));
+      default: throw new Error(`Unsupported filter operator ${op}`);
+    }
+  });
+}
+
+/**
+ * Evaluates the shared filter syntax (see lib/storage/index.js) in memory
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(sub => matches(doc, sub));
+    if (field === '$and') return condition.every(sub => matches(doc, sub));
+    return matchesCondition(doc[field], condition);
+  });
+}
+
+function compareBy(sort) {
+  const keys = Object.entries(sort || {});
+  return (a, b) => {
+    for (const [field, dir] of keys) {
+      const x = comparable(a[field]);
+      const y = comparable(b[field]);
+      if (x === y) continue;
+      // Missing values sort first ascending, like MongoDB
+      if (x === null || x === undefined) return -dir;
+      if (y === null || y === undefined) return dir;
+      return x < y ? -dir : dir;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Repository over an in-memory array of documents
+ */
+class MemoryRepository {
+  constructor(store, collectionName) {
+    this.store = store;
+    this.collectionName = collectionName;
+  }
+
+  get docs() {
+    return this.store.collection(this.collectionName);
+  }
+
+  async insert(doc) {
+    const record = { ...doc, _id: crypto.randomBytes(12).toString('hex') };
+    this.docs.push(structuredClone(record));
+    this.store.persist();
+    return record;
+  }
+
+  async findById(id) {
+    return await this.findOne({ _id: String(id) });
+  }
+
+  async findOne(filter) {
+    const doc = this.docs.find(d => matches(d, filter));
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async find(filter = {}, { sort, limit, skip = 0 } = {}) {
+    let results = this.docs.filter(d => matches(d, filter));
+    if (sort) results = results.sort(compareBy(sort));
+    results = results.slice(skip, limit ? skip + limit : undefined);
+    return results.map(d => structuredClone(d));
+  }
+
+  async count(filter = {}) {
+    return this.docs.filter(d => matches(d, filter)).length;
+  }
+
+  async search(text, { fields, filter = {}, limit } = {}) {
+    const terms = tokenize(text);
+    if (!terms.length) return [];
+    const results = this.docs
+      .filter(d => matches(d, filter) && matchesText(d, Object.keys(fields), terms))
+      .map(d => ({ doc: d, score: scoreDocument(d, fields, text) }))
+      .sort((a, b) => b.score - a.score);
+    return results.slice(0, limit || undefined).map(({ doc }) => structuredClone(doc));
+  }
+
+  async update(id, fields) {
+    const doc = this.docs.find(d => d._id === String(id));
+    if (!doc) return null;
+    Object.assign(doc, structuredClone(fields));
+    this.store.persist();
+    return structuredClone(doc);
+  }
+
+  async delete(id) {
+    const index = this.docs.findIndex(d => d._id === String(id));
+    if (index === -1) return false;
+    this.docs.splice(index, 1);
+    this.store.persist();
+    return true;
+  }
+
+  async deleteMany(filter) {
+    const docs = this.docs;
+    const remaining = docs.filter(d => !matches(d, filter));
+    const deleted = docs.length - remaining.length;
+    docs.splice(0, docs.length, ...remaining);
+    if (deleted > 0) this.store.persist();
+    return deleted;
+  }
+}
+
+/**
+ * Holds the collections, optionally mirrored to a JSON file
+ */
+class MemoryStore {
+  constructor(file = null) {
+    this.file = file;
+    this.data = {};
+    if (file && fs.existsSync(file)) {
+      this.data = JSON.parse(fs.readFileSync(file, 'utf8'), (key, value) =>
+        typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+      );
+    }
+  }
+
+  collection(name) {
+    if (!this.data[name]) this.data[name] = [];
+    return this.data[name];
+  }
+
+  persist() {
+    if (!this.file) return;
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+}
+
+/**
+ * In-memory storage adapter for local development and tests.
+ * Pass `file` (or set DB_FILE) to keep the data in a JSON file between runs.
+ */
+export function createMemoryStorage({ file = process.env.DB_FILE || null } = {}) {
+  const store = new MemoryStore(file);
+  const repositories = {
+    members: new MemoryRepository(store, 'members'),
+    events: new MemoryRepository(store, 'events'),
+    eventCancellations: new MemoryRepository(store, 'eventCancellations'),
+    blogs: new MemoryRepository(store, 'blogs'),
+    rsvps: new MemoryRepository(store, 'rsvps'),
+    checkIns: new MemoryRepository(store, 'checkIns'),
+    projects: new MemoryRepository(store, 'projects'),
+    cycles: new MemoryRepository(store, 'cycles'),
+    notifications: new MemoryRepository(store, 'notifications'),
+    activities: new MemoryRepository(store, 'activities'),
+    loginLinks: new MemoryRepository(store, 'loginLinks'),
+    sessions: new MemoryRepository(store, 'sessions'),
+    comments: new MemoryRepository(store, 'comments'),
+    reactions: new MemoryRepository(store, 'reactions')
+  };
+
+  return {
+    type: 'memory',
+    ...repositories,
+    stats: {
+      async countBy(entity, field, filter = {}) {
+        const counts = new Map();
+        for (const doc of await repositories[entity].find(filter)) {
+          const value = doc[field] ?? null;
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        return [...counts.entries()]
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count);
+      }
+    }
+  };
+}
@@ -0,0 +1,193 @@
+import { MongoClient, ObjectId } from "mongodb";
+
+// Database connection caching for MongoDB
+let cached = global._mongo;
+if (!cached) {
+  cached = global._mongo = { conn: null, promise: null };
+}
+
+/**
+ * MongoDB Connection Handler
+ */
+export async function connectToMongoDB(uri = process.env.MONGODB_URI) {
+  if (cached.conn) return cached.conn;
+  if (!cached.promise) {
+    const client = new MongoClient(uri, {
+      serverSelectionTimeoutMS: 5000,
+      maxPoolSize: 10,
+      minPoolSize: 2
+    });
+    cached.promise = client.connect().then((client) => {
+      return { client, db: client.db(process.env.MONGODB_DB || "atomsmiths") };
+    });
+  }
+  cached.conn = await cached.promise;
+  return cached.conn;
+}
+
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : null;
+}
+
+/**
+ * Converts string IDs in an `_id` condition, including those inside $or
+ * and $and, to ObjectIds. Invalid IDs are left as-is so they simply match
+ * nothing.
+ */
+function normalizeFilter(filter = {}) {
+  for (const op of ['$or', '$and']) {
+    if (Array.isArray(filter[op])) {
+      filter = { ...filter, [op]: filter[op].map(normalizeFilter) };
+    }
+  }
+  if (!('_id' in filter)) return filter;
+
+  const convert = (value) => toObjectId(value) || value;
+  const condition = filter._id;
+  let normalized;
+  if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+    normalized = Object.fromEntries(Object.entries(condition).map(([op, value]) => [
+      op, Array.isArray(value) ? value.map(convert) : convert(value)
+    ]));
+  } else {
+    normalized = convert(condition);
+  }
+  return { ...filter, _id: normalized };
+}
+
+/**
+ * Repository over a single MongoDB collection
+ */
+class MongoRepository {
+  constructor(getDb, collectionName) {
+    this.getDb = getDb;
+    this.collectionName = collectionName;
+  }
+
+  async collection() {
+    const db = await this.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async insert(doc) {
+    const collection = await this.collection();
+    const record = { ...doc };
+    const result = await collection.insertOne(record);
+    return { ...doc, _id: result.insertedId };
+  }
+
+  async findById(id) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const collection = await this.collection();
+    return await collection.findOne({ _id });
+  }
+
+  async findOne(filter) {
+    const collection = await this.collection();
+    return await collection.findOne(normalizeFilter(filter));
+  }
+
+  async find(filter = {}, { sort, limit, skip } = {}) {
+    const collection = await this.collection();
+    let cursor = collection.find(normalizeFilter(filter));
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return await cursor.toArray();
+  }
+
+  async count(filter = {}) {
+    const collection = await this.collection();
+    return await collection.countDocuments(normalizeFilter(filter));
+  }
+
+  /**
+   * Creates the collection's text index on first use. MongoDB allows a
+   * single text index per collection, so `fields` must not change.
+   */
+  async ensureTextIndex(collection, fields) {
+    if (!this.textIndex) {
+      this.textIndex = collection.createIndex(
+        Object.fromEntries(Object.keys(fields).map(field => [field, 'text'])),
+        { name: `${this.collectionName}_text`, weights: fields }
+      ).catch(error => {
+        this.textIndex = null;
+        throw error;
+      });
+    }
+    await this.textIndex;
+  }
+
+  async search(text, { fields, filter = {}, limit } = {}) {
+    const collection = await this.collection();
+    await this.ensureTextIndex(collection, fields);
+    let cursor = collection
+      .find({ ...normalizeFilter(filter), $text: { $search: text } })
+      .sort({ score: { $meta: 'textScore' } });
+    if (limit) cursor = cursor.limit(limit);
+    return await cursor.toArray();
+  }
+
+  async update(id, fields) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const collection = await this.collection();
+    return await collection.findOneAndUpdate(
+      { _id },
+      { $set: fields },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async delete(id) {
+    const _id = toObjectId(id);
+    if (!_id) return false;
+    const collection = await this.collection();
+    const result = await collection.deleteOne({ _id });
+    return result.deletedCount > 0;
+  }
+
+  async deleteMany(filter) {
+    const collection = await this.collection();
+    const result = await collection.deleteMany(normalizeFilter(filter));
+    return result.deletedCount;
+  }
+}
+
+/**
+ * MongoDB storage adapter
+ */
+export function createMongoStorage() {
+  const getDb = async () => (await connectToMongoDB()).db;
+
+  return {
+    type: 'mongodb',
+    members: new MongoRepository(getDb, "members"),
+    events: new MongoRepository(getDb, "events"),
+    eventCancellations: new MongoRepository(getDb, "eventCancellations"),
+    blogs: new MongoRepository(getDb, "blogs"),
+    rsvps: new MongoRepository(getDb, "rsvps"),
+    checkIns: new MongoRepository(getDb, "checkIns"),
+    projects: new MongoRepository(getDb, "projects"),
+    cycles: new MongoRepository(getDb, "cycles"),
+    notifications: new MongoRepository(getDb, "notifications"),
+    activities: new MongoRepository(getDb, "activities"),
+    loginLinks: new MongoRepository(getDb, "loginLinks"),
+    sessions: new MongoRepository(getDb, "sessions"),
+    comments: new MongoRepository(getDb, "comments"),
+    reactions: new MongoRepository(getDb, "reactions"),
+    stats: {
+      async countBy(entity, field, filter = {}) {
+        const db = await getDb();
+        const groups = await db.collection(entity).aggregate([
+          { $match: normalizeFilter(filter) },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]).toArray();
+        return groups.map(group => ({ value: group._id ?? null, count: group.count }));
+      }
+    }
+  };
+}
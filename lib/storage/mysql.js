@@ -0,0 +1,321 @@
+import mysql from "mysql2/promise";
+import { tokenize } from "../search.js";
+
+// Database connection caching for MySQL
+let mysqlPool = null;
+
+/**
+ * MySQL Connection Handler
+ * Apply the files in db/mysql/migrations first (`npm run migrate:mysql`).
+ */
+export async function connectToMySQL() {
+  if (!mysqlPool) {
+    mysqlPool = mysql.createPool({
+      host: process.env.MYSQL_HOST || 'localhost',
+      port: parseInt(process.env.MYSQL_PORT) || 3306,
+      user: process.env.MYSQL_USER || 'root',
+      password: process.env.MYSQL_PASSWORD || '',
+      database: process.env.MYSQL_DATABASE || 'atomsmiths_club',
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0,
+      timezone: 'Z'
+    });
+  }
+  return mysqlPool;
+}
+
+const toSnakeCase = (field) => field.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const COMPARISON_OPERATORS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Repository over a single MySQL table. Documents use the same camelCase
+ * field names as the MongoDB backend; columns are their snake_case form
+ * and `_id` maps to the `id` primary key.
+ */
+class MySqlRepository {
+  /**
+   * @param {string} table
+   * @param {{ columns: string[], json?: string[], boolean?: string[] }} schema - camelCase field names
+   */
+  constructor(table, { columns, json = [], boolean = [] }) {
+    this.table = table;
+    this.columns = new Set(['_id', ...columns]);
+    this.json = new Set(json);
+    this.boolean = new Set(boolean);
+  }
+
+  column(field) {
+    if (!this.columns.has(field)) {
+      throw new Error(`Unknown field "${field}" for table ${this.table}`);
+    }
+    return field === '_id' ? 'id' : toSnakeCase(field);
+  }
+
+  toValue(field, value) {
+    return this.json.has(field) && value !== null && value !== undefined ? JSON.stringify(value) : value;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    const doc = {};
+    for (const [column, value] of Object.entries(row)) {
+      const field = column === 'id' ? '_id' : toCamelCase(column);
+      if (this.json.has(field) && typeof value === 'string') {
+        doc[field] = JSON.parse(value);
+      } else if (this.boolean.has(field) && value !== null) {
+        // TINYINT(1) columns come back as 0/1
+        doc[field] = Boolean(value);
+      } else {
+        doc[field] = value;
+      }
+    }
+    return doc;
+  }
+
+  /**
+   * Compiles the shared filter syntax (see lib/storage/index.js) to SQL
+   */
+  where(filter = {}) {
+    const clauses = [];
+    const values = [];
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field === '$or' || field === '$and') {
+        const parts = condition.map(sub => this.where(sub));
+        clauses.push(`(${parts.map(part => part.sql || 'TRUE').join(field === '$or' ? ' OR ' : ' AND ')})`);
+        parts.forEach(part => values.push(...part.values));
+        continue;
+      }
+
+      const column = this.column(field);
+      if (condition === null || condition === undefined) {
+        clauses.push(`${column} IS NULL`);
+      } else if (isOperatorObject(condition)) {
+        for (const [op, value] of Object.entries(condition)) {
+          if (COMPARISON_OPERATORS[op]) {
+            clauses.push(`${column} ${COMPARISON_OPERATORS[op]} ?`);
+            values.push(value);
+          } else if (op === '$ne') {
+            clauses.push(value === null ? `${column} IS NOT NULL` : `(${column} <> ? OR ${column} IS NULL)`);
+            if (value !== null) values.push(value);
+          } else if (op === '$in' || op === '$nin') {
+            // A null entry matches missing values, as in MongoDB
+            const listed = value.filter(v => v !== null && v !== undefined);
+            const withNull = listed.length < value.length;
+            const list = listed.map(() => '?').join(', ');
+            if (op === '$in') {
+              const parts = listed.length ? [`${column} IN (${list})`] : [];
+              if (withNull) parts.push(`${column} IS NULL`);
+              clauses.push(parts.length ? `(${parts.join(' OR ')})` : 'FALSE');
+            } else {
+              const notIn = listed.length ? `${column} NOT IN (${list})` : 'TRUE';
+              clauses.push(withNull ? `(${notIn} AND ${column} IS NOT NULL)` : `(${notIn} OR ${column} IS NULL)`);
+            }
+            values.push(...listed);
+          } else {
+            throw new Error(`Unsupported filter operator ${op}`);
+          }
+        }
+      } else if (this.json.has(field)) {
+        // Array fields match when they contain the value, as in MongoDB
+        clauses.push(`JSON_CONTAINS(${column}, ?)`);
+        values.push(JSON.stringify(condition));
+      } else {
+        clauses.push(`${column} = ?`);
+        values.push(condition);
+      }
+    }
+
+    return { sql: clauses.join(' AND '), values };
+  }
+
+  orderBy(sort) {
+    if (!sort) return '';
+    const parts = Object.entries(sort).map(([field, dir]) => `${this.column(field)} ${dir < 0 ? 'DESC' : 'ASC'}`);
+    return parts.length ? ` ORDER BY ${parts.join(', ')}` : '';
+  }
+
+  async insert(doc) {
+    const pool = await connectToMySQL();
+    const fields = Object.keys(doc);
+    const [result] = await pool.query(
+      `INSERT INTO ${this.table} (${fields.map(f => this.column(f)).join(', ')})
+       VALUES (${fields.map(() => '?').join(', ')})`,
+      fields.map(f => this.toValue(f, doc[f]))
+    );
+    return { ...doc, _id: result.insertId };
+  }
+
+  async findById(id) {
+    return await this.findOne({ _id: id });
+  }
+
+  async findOne(filter) {
+    const [doc] = await this.find(filter, { limit: 1 });
+    return doc || null;
+  }
+
+  async find(filter = {}, { sort, limit, skip } = {}) {
+    const pool = await connectToMySQL();
+    const { sql, values } = this.where(filter);
+    let query = `SELECT * FROM ${this.table}${sql ? ` WHERE ${sql}` : ''}${this.orderBy(sort)}`;
+    if (limit) {
+      query += ' LIMIT ? OFFSET ?';
+      values.push(Number(limit), Number(skip) || 0);
+    }
+    const [rows] = await pool.query(query, values);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async count(filter = {}) {
+    const pool = await connectToMySQL();
+    const { sql, values } = this.where(filter);
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM ${this.table}${sql ? ` WHERE ${sql}` : ''}`,
+      values
+    );
+    return Number(total);
+  }
+
+  /**
+   * Full-text search; needs a FULLTEXT index over exactly the given fields
+   * (see db/mysql/migrations/005_search_indexes.sql)
+   */
+  async search(text, { fields, filter = {}, limit } = {}) {
+    const terms = tokenize(text);
+    if (!terms.length) return [];
+    const pool = await connectToMySQL();
+    const match = `MATCH(${Object.keys(fields).map(f => this.column(f)).join(', ')}) AGAINST (? IN BOOLEAN MODE)`;
+    const against = terms.map(term => `${term}*`).join(' ');
+    const { sql, values } = this.where(filter);
+    let query = `SELECT * FROM ${this.table} WHERE ${match}${sql ? ` AND ${sql}` : ''} ORDER BY ${match} DESC`;
+    const params = [against, ...values, against];
+    if (limit) {
+      query += ' LIMIT ?';
+      params.push(Number(limit));
+    }
+    const [rows] = await pool.query(query, params);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async countBy(field, filter = {}) {
+    const pool = await connectToMySQL();
+    const column = this.column(field);
+    const { sql, values } = this.where(filter);
+    const [rows] = await pool.query(
+      `SELECT ${column} AS value, COUNT(*) AS count FROM ${this.table}${sql ? ` WHERE ${sql}` : ''}
+       GROUP BY ${column} ORDER BY count DESC`,
+      values
+    );
+    return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+  }
+
+  async update(id, fields) {
+    const pool = await connectToMySQL();
+    const entries = Object.entries(fields);
+    const [result] = await pool.query(
+      `UPDATE ${this.table} SET ${entries.map(([f]) => `${this.column(f)} = ?`).join(', ')} WHERE id = ?`,
+      [...entries.map(([f, value]) => this.toValue(f, value)), id]
+    );
+    if (result.affectedRows === 0) return null;
+    return await this.findById(id);
+  }
+
+  async delete(id) {
+    const pool = await connectToMySQL();
+    const [result] = await pool.query(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+    return result.affectedRows > 0;
+  }
+
+  async deleteMany(filter) {
+    const pool = await connectToMySQL();
+    const { sql, values } = this.where(filter);
+    const [result] = await pool.query(`DELETE FROM ${this.table}${sql ? ` WHERE ${sql}` : ''}`, values);
+    return result.affectedRows;
+  }
+}
+
+/**
+ * MySQL storage adapter
+ */
+export function createMySqlStorage() {
+  const repositories = {
+    members: new MySqlRepository('members', {
+      columns: ['name', 'email', 'pendingEmail', 'emailVerified', 'emailVerifiedAt', 'verificationExpiresAt', 'department',
+        'year', 'interests', 'role', 'passwordHash', 'tokensRevokedAt', 'applicationStatus', 'applicationHistory', 'appliedAt',
+        'statusChangedAt', 'reviewedBy', 'joinedAt', 'bio', 'avatarUrl', 'skills', 'githubUrl', 'linkedinUrl',
+        'emailVisible', 'deletedAt', 'createdAt', 'updatedAt'],
+      json: ['applicationHistory', 'skills'],
+      boolean: ['emailVerified', 'emailVisible']
+    }),
+    events: new MySqlRepository('events', {
+      columns: ['title', 'description', 'eventDate', 'endDate', 'timezone', 'location', 'capacity', 'tags',
+        'rrule', 'exceptions', 'overrides', 'sequence', 'deletedAt', 'createdAt', 'updatedAt'],
+      json: ['tags', 'exceptions', 'overrides']
+    }),
+    eventCancellations: new MySqlRepository('event_cancellations', {
+      columns: ['eventId', 'title', 'eventDate', 'location', 'tags', 'sequence', 'cancelledAt', 'createdAt'],
+      json: ['tags']
+    }),
+    blogs: new MySqlRepository('blogs', {
+      columns: ['title', 'slug', 'content', 'contentHtml', 'status', 'publishAt', 'tags', 'coverImageUrl',
+        'authorId', 'authorName', 'authorEmail', 'authorDepartment', 'deletedAt', 'createdAt', 'updatedAt'],
+      json: ['tags']
+    }),
+    rsvps: new MySqlRepository('rsvps', {
+      columns: ['eventId', 'eventTitle', 'memberId', 'memberName', 'status', 'seatedAt', 'checkInCode',
+        'checkedInAt', 'respondedAt', 'createdAt', 'updatedAt']
+    }),
+    checkIns: new MySqlRepository('check_ins', {
+      columns: ['eventId', 'rsvpId', 'memberId', 'occurrenceId', 'checkedInAt', 'createdAt']
+    }),
+    projects: new MySqlRepository('projects', {
+      columns: ['title', 'track', 'icon', 'description', 'tags', 'status', 'memberIds', 'team',
+        'repoUrl', 'demoUrl', 'milestones', 'createdBy', 'createdAt', 'updatedAt'],
+      json: ['tags', 'memberIds', 'team', 'milestones']
+    }),
+    cycles: new MySqlRepository('cycles', {
+      columns: ['name', 'startDate', 'endDate', 'teams', 'createdBy', 'createdAt', 'updatedAt'],
+      json: ['teams']
+    }),
+    notifications: new MySqlRepository('notifications', {
+      columns: ['memberId', 'email', 'template', 'subject', 'text', 'html', 'dedupeKey', 'status',
+        'attempts', 'lastError', 'messageId', 'nextAttemptAt', 'sentAt', 'createdAt', 'updatedAt']
+    }),
+    activities: new MySqlRepository('activities', {
+      columns: ['action', 'entityType', 'entityId', 'entityLabel', 'actorId', 'actorEmail', 'actorRole',
+        'changes', 'context', 'ip', 'createdAt'],
+      json: ['changes', 'context']
+    }),
+    loginLinks: new MySqlRepository('login_links', {
+      columns: ['memberId', 'expiresAt', 'ip', 'createdAt']
+    }),
+    sessions: new MySqlRepository('sessions', {
+      columns: ['memberId', 'tokenHash', 'userAgent', 'ip', 'createdAt', 'lastSeenAt', 'expiresAt', 'revokedAt']
+    }),
+    comments: new MySqlRepository('comments', {
+      columns: ['blogId', 'parentId', 'depth', 'authorId', 'authorName', 'content', 'status', 'flags',
+        'moderatedBy', 'moderatedAt', 'deletedAt', 'createdAt', 'updatedAt'],
+      json: ['flags']
+    }),
+    reactions: new MySqlRepository('reactions', {
+      columns: ['blogId', 'memberId', 'emoji', 'createdAt']
+    })
+  };
+
+  return {
+    type: 'mysql',
+    ...repositories,
+    stats: {
+      async countBy(entity, field, filter = {}) {
+        return await repositories[entity].countBy(field, filter);
+      }
+    }
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Wall-clock time in IANA time zones, built on Intl so no tz database
+ * needs to be bundled.
+ */
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of `date` in `timeZone`: { year, month, day, hour, minute, second }
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in `timeZone`. Out-of-range parts
+ * roll over like Date.UTC (day 32 is the 1st of the next month).
+ */
+export function zonedDateTime(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Correct once more in case the offset changes between the guess and the result (DST)
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+}
+
+/**
+ * The instant local midnight starts on the given calendar date in `timeZone`
+ */
+export function zonedMidnight(year, month, day, timeZone) {
+  return zonedDateTime(year, month, day, 0, 0, 0, timeZone);
+}
+
+/**
+ * Start of the local day containing `date`
+ */
+export function startOfDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return zonedMidnight(year, month, day, timeZone);
+}
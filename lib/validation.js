@@ -0,0 +1,464 @@
+import { ValidationError } from "./errors.js";
+import { ROLES } from "./auth.js";
+
+// ====================================================
+// ALLOWED VALUES
+// ====================================================
+
+// Must match the options of the join form's #year select and YEARS in admin.html
+export const YEARS = ['1st Year', '2nd Year', '3rd Year', '4th Year', 'Other'];
+
+// Must match the options of the join form's #department select and DEPARTMENTS in admin.html
+export const DEPARTMENTS = [
+  'Nanotechnology',
+  'Computer Science',
+  'Information Technology',
+  'Electronics & Communication',
+  'Electrical & Electronics',
+  'Mechanical',
+  'Civil',
+  'Chemical',
+  'Biotechnology',
+  'Biomedical',
+  'Physics',
+  'Chemistry',
+  'Other'
+];
+
+export const APPLICATION_STATUSES = ['pending', 'interview', 'accepted', 'rejected', 'waitlisted'];
+
+export const BLOG_STATUSES = ['draft', 'in-review', 'published', 'archived'];
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'hidden'];
+
+export const REACTION_EMOJI = ['👍', '❤️', '🎉', '😂', '🤔', '🚀'];
+
+export const PROJECT_STATUSES = ['idea', 'active', 'completed', 'archived'];
+
+export const SPRINT_PHASES = ['discovery', 'brainstorm', 'build', 'demo'];
+
+export const DELIVERABLE_REVIEW_STATUSES = ['approved', 'changes-requested'];
+
+export const SEARCH_TYPES = ['blogs', 'events', 'members'];
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+export const MEMBER_EXPORT_FORMATS = ['csv', 'json', 'vcf'];
+export const EVENT_EXPORT_FORMATS = ['csv', 'json', 'ics'];
+
+// Columns available to CSV/JSON exports; credentials are never exportable
+export const MEMBER_EXPORT_FIELDS = [
+  'name', 'email', 'department', 'year', 'interests', 'role', 'applicationStatus', 'appliedAt', 'joinedAt'
+];
+export const EVENT_EXPORT_FIELDS = ['title', 'description', 'eventDate', 'location', 'capacity', 'tags', 'createdAt'];
+
+// Largest page any list endpoint returns
+export const MAX_PAGE_SIZE = 100;
+
+export const ACTIVITY_ENTITY_TYPES = ['member', 'event', 'rsvp', 'blog', 'comment', 'project', 'cycle'];
+
+// ====================================================
+// SCHEMAS
+// ====================================================
+
+/**
+ * Field rules:
+ *   type       'string' | 'email' | 'url' | 'date' | 'integer' | 'boolean' | 'array' | 'object'
+ *   required   must be present and non-empty
+ *   label      name used in messages (defaults to the field name)
+ *   minLength / maxLength, min / max, enum, future (dates), lowercase,
+ *   pattern / patternMessage (strings),
+ *   items / maxItems (arrays; `items` is a rule for each element),
+ *   schema (objects; validated like a top-level payload)
+ * Empty optional values are normalized to null.
+ */
+export const memberSchema = {
+  name: { type: 'string', required: true, label: 'Name', minLength: 2, maxLength: 120 },
+  email: { type: 'email', required: true, label: 'Email', maxLength: 255, lowercase: true },
+  department: { type: 'string', label: 'Department', enum: DEPARTMENTS },
+  year: { type: 'string', label: 'Year', enum: YEARS },
+  interests: { type: 'string', label: 'Interests', maxLength: 1000 }
+};
+
+export const memberUpdateSchema = {
+  ...memberSchema,
+  role: { type: 'string', required: true, label: 'Role', enum: ROLES }
+};
+
+// Portfolio fields members edit on their own profile
+export const profileSchema = {
+  bio: { type: 'string', label: 'Bio', maxLength: 2000 },
+  avatarUrl: { type: 'url', label: 'Avatar URL', maxLength: 2048 },
+  skills: {
+    type: 'array', label: 'Skills', maxItems: 20,
+    items: { type: 'string', label: 'Each skill', maxLength: 40 }
+  },
+  githubUrl: {
+    type: 'url', label: 'GitHub profile', maxLength: 255,
+    pattern: /^https:\/\/(www\.)?github\.com\/[\w-]+\/?$/i,
+    patternMessage: 'GitHub profile must look like https://github.com/username'
+  },
+  linkedinUrl: {
+    type: 'url', label: 'LinkedIn profile', maxLength: 255,
+    pattern: /^https:\/\/([a-z]{2,3}\.)?linkedin\.com\/in\/[^/?#\s]+\/?$/i,
+    patternMessage: 'LinkedIn profile must look like https://www.linkedin.com/in/username'
+  },
+  emailVisible: { type: 'boolean', label: 'Show email on profile' }
+};
+
+export const applicationReviewSchema = {
+  status: { type: 'string', label: 'Status', enum: APPLICATION_STATUSES },
+  note: { type: 'string', label: 'Note', maxLength: 2000 }
+};
+
+export const passwordSchema = {
+  password: { type: 'string', required: true, label: 'Password', minLength: 8, maxLength: 200, trim: false }
+};
+
+export const eventSchema = {
+  title: { type: 'string', required: true, label: 'Title', minLength: 3, maxLength: 200 },
+  description: { type: 'string', label: 'Description', maxLength: 5000 },
+  eventDate: { type: 'date', required: true, label: 'Event date', future: true },
+  location: { type: 'string', label: 'Location', maxLength: 255 },
+  capacity: { type: 'integer', label: 'Capacity', min: 1, max: 100000 },
+  tags: {
+    type: 'array', label: 'Tags', maxItems: 10,
+    items: { type: 'string', label: 'Each tag', maxLength: 30, lowercase: true }
+  },
+  endDate: { type: 'date', label: 'End' },
+  timezone: { type: 'string', label: 'Time zone', maxLength: 64 },
+  // 'weekly', 'biweekly' or an RRULE, see lib/recurrence.js
+  recurrence: { type: 'string', label: 'Repeats', maxLength: 500 },
+  recurrenceEnd: { type: 'date', label: 'Repeat until' },
+  exceptions: {
+    type: 'array', label: 'Cancelled occurrences', maxItems: 500,
+    items: { type: 'date', label: 'Each cancelled occurrence' }
+  }
+};
+
+export const OCCURRENCE_SCOPES = ['this', 'future'];
+
+// Changes to one occurrence of a repeating event (or to it and all later ones)
+export const occurrenceSchema = {
+  scope: { type: 'string', label: 'Scope', enum: OCCURRENCE_SCOPES },
+  title: eventSchema.title,
+  description: eventSchema.description,
+  eventDate: eventSchema.eventDate,
+  endDate: eventSchema.endDate,
+  location: eventSchema.location
+};
+
+export const blogSchema = {
+  title: { type: 'string', required: true, label: 'Title', minLength: 3, maxLength: 200 },
+  content: { type: 'string', required: true, label: 'Content', maxLength: 100000 },
+  authorId: { type: 'string', required: true, label: 'Author' },
+  status: { type: 'string', label: 'Status', enum: BLOG_STATUSES },
+  publishAt: { type: 'date', label: 'Publish date' },
+  slug: {
+    type: 'string', label: 'Slug', maxLength: 80, lowercase: true,
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    patternMessage: 'Slug may only contain lowercase letters, numbers and single hyphens'
+  },
+  tags: {
+    type: 'array', label: 'Tags', maxItems: 10,
+    items: { type: 'string', label: 'Each tag', maxLength: 30, lowercase: true }
+  },
+  coverImageUrl: { type: 'url', label: 'Cover image URL', maxLength: 2048 }
+};
+
+// Authors are fixed once a post exists
+export const blogUpdateSchema = Object.fromEntries(
+  Object.entries(blogSchema).filter(([field]) => field !== 'authorId')
+);
+
+export const commentSchema = {
+  content: { type: 'string', required: true, label: 'Comment', maxLength: 2000 },
+  parentId: { type: 'string', label: 'Reply to', maxLength: 64 }
+};
+
+export const commentModerationSchema = {
+  status: { type: 'string', required: true, label: 'Status', enum: COMMENT_STATUSES }
+};
+
+export const reactionSchema = {
+  emoji: { type: 'string', required: true, label: 'Reaction', enum: REACTION_EMOJI }
+};
+
+export const milestoneSchema = {
+  title: { type: 'string', required: true, label: 'Milestone title', minLength: 2, maxLength: 200 },
+  dueDate: { type: 'date', label: 'Milestone due date' },
+  completed: { type: 'boolean', label: 'Milestone completed' }
+};
+
+export const projectSchema = {
+  title: { type: 'string', required: true, label: 'Title', minLength: 3, maxLength: 200 },
+  track: { type: 'string', required: true, label: 'Track', minLength: 2, maxLength: 100 },
+  icon: { type: 'string', label: 'Icon', maxLength: 16 },
+  description: { type: 'string', label: 'Description', maxLength: 5000 },
+  tags: {
+    type: 'array', label: 'Tags', maxItems: 10,
+    items: { type: 'string', label: 'Each tag', maxLength: 30 }
+  },
+  status: { type: 'string', label: 'Status', enum: PROJECT_STATUSES },
+  memberIds: {
+    type: 'array', label: 'Team members', maxItems: 20,
+    items: { type: 'string', label: 'Each team member' }
+  },
+  repoUrl: { type: 'url', label: 'Repository URL', maxLength: 2048 },
+  demoUrl: { type: 'url', label: 'Demo URL', maxLength: 2048 },
+  milestones: {
+    type: 'array', label: 'Milestones', maxItems: 30,
+    items: { type: 'object', label: 'Each milestone', schema: milestoneSchema }
+  }
+};
+
+export const cycleSchema = {
+  name: { type: 'string', required: true, label: 'Name', minLength: 3, maxLength: 120 },
+  startDate: { type: 'date', required: true, label: 'Start date' }
+};
+
+export const cycleTeamSchema = {
+  name: { type: 'string', required: true, label: 'Team name', minLength: 2, maxLength: 120 },
+  projectId: { type: 'string', label: 'Project' },
+  memberIds: projectSchema.memberIds
+};
+
+export const deliverableSubmissionSchema = {
+  teamId: { type: 'string', required: true, label: 'Team' },
+  phase: { type: 'string', required: true, label: 'Phase', enum: SPRINT_PHASES },
+  url: { type: 'url', label: 'Deliverable URL', maxLength: 2048 },
+  note: { type: 'string', label: 'Note', maxLength: 2000 }
+};
+
+export const deliverableReviewSchema = {
+  teamId: deliverableSubmissionSchema.teamId,
+  phase: deliverableSubmissionSchema.phase,
+  status: { type: 'string', required: true, label: 'Status', enum: DELIVERABLE_REVIEW_STATUSES },
+  feedback: { type: 'string', label: 'Feedback', maxLength: 2000 }
+};
+
+export const searchSchema = {
+  q: { type: 'string', required: true, label: 'Search query', minLength: 2, maxLength: 200 },
+  types: { type: 'array', label: 'Types', items: { type: 'string', label: 'Each type', enum: SEARCH_TYPES } },
+  limit: { type: 'integer', label: 'Limit', min: 1, max: 50 },
+  skip: { type: 'integer', label: 'Skip', min: 0, max: 1000 }
+};
+
+// Range boundaries stay strings: plain dates are read in the requested time zone
+export const analyticsSchema = {
+  from: { type: 'string', label: 'From', maxLength: 40 },
+  to: { type: 'string', label: 'To', maxLength: 40 },
+  interval: { type: 'string', label: 'Interval', enum: ANALYTICS_INTERVALS },
+  timezone: { type: 'string', label: 'Time zone', maxLength: 64 },
+  retentionWeeks: { type: 'integer', label: 'Retention window', min: 1, max: 52 }
+};
+
+export const memberExportSchema = {
+  format: { type: 'string', label: 'Format', enum: MEMBER_EXPORT_FORMATS },
+  fields: { type: 'array', label: 'Fields', items: { type: 'string', label: 'Each field', enum: MEMBER_EXPORT_FIELDS } },
+  department: memberSchema.department,
+  year: memberSchema.year,
+  status: { type: 'string', label: 'Status', enum: APPLICATION_STATUSES }
+};
+
+export const eventExportSchema = {
+  format: { type: 'string', label: 'Format', enum: EVENT_EXPORT_FORMATS },
+  fields: { type: 'array', label: 'Fields', items: { type: 'string', label: 'Each field', enum: EVENT_EXPORT_FIELDS } },
+  from: { type: 'date', label: 'From' },
+  to: { type: 'date', label: 'To' },
+  upcoming: { type: 'boolean', label: 'Upcoming' }
+};
+
+// Paging shared by the member, event and blog listings. `from`/`to` range
+// over each listing's main date: joined, event start, publish date.
+const listPageSchema = {
+  limit: { type: 'integer', label: 'Limit', min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'string', label: 'Cursor', maxLength: 1000 },
+  sort: { type: 'string', label: 'Sort', maxLength: 40 },
+  total: { type: 'boolean', label: 'Total' },
+  from: { type: 'date', label: 'From' },
+  to: { type: 'date', label: 'To' }
+};
+
+export const memberListSchema = {
+  ...listPageSchema,
+  department: { type: 'string', label: 'Department', enum: DEPARTMENTS },
+  year: { type: 'string', label: 'Year', enum: YEARS },
+  role: { type: 'string', label: 'Role', enum: ROLES }
+};
+
+export const eventListSchema = {
+  ...listPageSchema,
+  upcoming: { type: 'boolean', label: 'Upcoming' },
+  location: { type: 'string', label: 'Location', maxLength: 200 },
+  tag: { type: 'string', label: 'Tag', maxLength: 50, lowercase: true }
+};
+
+export const blogListSchema = {
+  ...listPageSchema,
+  status: { type: 'string', label: 'Status', enum: BLOG_STATUSES },
+  author: { type: 'string', label: 'Author', maxLength: 64 },
+  tag: { type: 'string', label: 'Tag', maxLength: 50, lowercase: true }
+};
+
+// The moderation queue; without a status it lists pending comments
+export const commentQuerySchema = {
+  limit: listPageSchema.limit,
+  cursor: listPageSchema.cursor,
+  sort: listPageSchema.sort,
+  total: listPageSchema.total,
+  status: { type: 'string', label: 'Status', enum: COMMENT_STATUSES },
+  blogId: { type: 'string', label: 'Blog', maxLength: 64 }
+};
+
+// `operation` filters by the entry's action; `action` is taken by the API router
+export const activityQuerySchema = {
+  actor: { type: 'string', label: 'Actor', maxLength: 64 },
+  entityType: { type: 'string', label: 'Entity type', enum: ACTIVITY_ENTITY_TYPES },
+  entityId: { type: 'string', label: 'Entity', maxLength: 64 },
+  operation: { type: 'string', label: 'Operation', maxLength: 40 },
+  from: { type: 'date', label: 'From' },
+  to: { type: 'date', label: 'To' },
+  limit: { type: 'integer', label: 'Limit', min: 1, max: 100 },
+  cursor: { type: 'string', label: 'Cursor', maxLength: 500 }
+};
+
+// Imported rosters are already members, so they may carry their join date
+export const memberImportSchema = {
+  ...memberSchema,
+  joinedAt: { type: 'date', label: 'Joined' }
+};
+
+// Last year's events are in the past
+export const eventImportSchema = {
+  ...eventSchema,
+  eventDate: { ...eventSchema.eventDate, future: false }
+};
+
+// ====================================================
+// VALIDATOR
+// ====================================================
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Checks one value against its rule. Returns [normalizedValue, errorMessage].
+ */
+function checkField(rule, value, label) {
+  switch (rule.type) {
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) return [null, `${label} must be a whole number`];
+      if (rule.min !== undefined && number < rule.min) return [null, `${label} must be at least ${rule.min}`];
+      if (rule.max !== undefined && number > rule.max) return [null, `${label} must be at most ${rule.max}`];
+      return [number, null];
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return [value, null];
+      if (value === 'true' || value === 'false') return [value === 'true', null];
+      return [null, `${label} must be true or false`];
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return [null, `${label} must be a valid date`];
+      if (rule.future && date <= new Date()) return [null, `${label} must be in the future`];
+      return [date, null];
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return [null, `${label} must be an object`];
+      try {
+        return [validate(rule.schema, value), null];
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        return [null, Object.values(error.fields)[0]];
+      }
+    }
+    case 'array': {
+      const list = Array.isArray(value)
+        ? value
+        : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+        return [null, `${label} can have at most ${rule.maxItems} entries`];
+      }
+      const items = [];
+      for (const item of list) {
+        const [normalized, error] = rule.items ? checkField(rule.items, item, label) : [item, null];
+        if (error) return [null, error];
+        items.push(normalized);
+      }
+      return [items, null];
+    }
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return [null, `${label} must be text`];
+      let text = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.lowercase) text = text.toLowerCase();
+
+      if (rule.minLength !== undefined && text.length < rule.minLength) {
+        return [null, `${label} must be at least ${rule.minLength} characters`];
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return [null, `${label} must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.type === 'email' && !EMAIL_REGEX.test(text)) {
+        return [null, 'Enter a valid email address'];
+      }
+      if (rule.type === 'url') {
+        let url;
+        try { url = new URL(text); } catch {}
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          return [null, `${label} must be a valid http(s) URL`];
+        }
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return [null, rule.patternMessage || `${label} has an invalid format`];
+      }
+      if (rule.enum && !rule.enum.includes(text)) {
+        return [null, `${label} must be one of: ${rule.enum.join(', ')}`];
+      }
+      return [text, null];
+    }
+  }
+}
+
+/**
+ * Validates `data` against `schema` and returns the normalized values for
+ * the schema's fields. Throws a ValidationError listing every invalid field.
+ *
+ * With `partial: true` (updates) absent fields are skipped and only the
+ * fields present in `data` are returned.
+ */
+export function validate(schema, data, { partial = false } = {}) {
+  const input = data || {};
+  const values = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const label = rule.label || field;
+    const value = input[field];
+
+    if (partial && value === undefined) continue;
+
+    if (isEmpty(value)) {
+      if (rule.required) {
+        errors[field] = `${label} is required`;
+      } else {
+        values[field] = rule.type === 'array' ? [] : null;
+      }
+      continue;
+    }
+
+    const [normalized, error] = checkField(rule, value, label);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[field] = normalized;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+  return values;
+}
@@ -0,0 +1,25 @@
+import { contentLines, escapeText } from "./ical.js";
+
+/**
+ * vCard 3.0 export of members, for importing into address books.
+ */
+
+function memberLines(member) {
+  const note = [member.year, member.interests].filter(Boolean).join(' - ');
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeText(member.name)}`,
+    // Names aren't split into parts, so the whole name is the given name
+    `N:;${escapeText(member.name)};;;`,
+    `EMAIL;TYPE=INTERNET:${escapeText(member.email)}`,
+    `ORG:Atomsmiths Club${member.department ? `;${escapeText(member.department)}` : ''}`,
+    note && `NOTE:${escapeText(note)}`,
+    `UID:member-${member._id}`,
+    'END:VCARD'
+  ];
+}
+
+export function membersToVCard(members) {
+  return contentLines(members.flatMap(memberLines));
+}
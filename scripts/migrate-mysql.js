@@ -0,0 +1,52 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import mysql from "mysql2/promise";
+
+/**
+ * Applies pending db/mysql/migrations/*.sql files in filename order.
+ * Applied versions are tracked in the schema_migrations table.
+ */
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "../db/mysql/migrations");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.MYSQL_HOST || 'localhost',
+    port: parseInt(process.env.MYSQL_PORT) || 3306,
+    user: process.env.MYSQL_USER || 'root',
+    password: process.env.MYSQL_PASSWORD || '',
+    database: process.env.MYSQL_DATABASE || 'atomsmiths_club',
+    multipleStatements: true
+  });
+
+  try {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(255) NOT NULL PRIMARY KEY,
+         applied_at DATETIME NOT NULL
+       )`
+    );
+    const [rows] = await connection.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.version));
+
+    const files = (await fs.readdir(migrationsDir)).filter(f => f.endsWith('.sql')).sort();
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      console.log(`Applying ${file}`);
+      await connection.query(sql);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, applied_at) VALUES (?, UTC_TIMESTAMP())',
+        [file]
+      );
+    }
+    console.log('MySQL schema is up to date');
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
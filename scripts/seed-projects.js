@@ -0,0 +1,67 @@
+import { DatabaseService } from "../atomsmiths_db_api.js";
+
+/**
+ * Seeds the projects collection with the original Hybrid Innovation Tracks
+ * that used to be hard-coded in index.html. Does nothing if any project exists.
+ */
+const TRACKS = [
+  {
+    track: 'Nano + IoT',
+    icon: '🌊',
+    title: 'Smart water quality sensors',
+    tags: ['Sensors', 'Real-time', 'Environmental'],
+    description: 'Smart water quality sensors with real-time dashboard for rural communities using nanomaterial-based detection.'
+  },
+  {
+    track: 'Nano + AI',
+    icon: '🤖',
+    title: 'AI nanomaterial characterization',
+    tags: ['Machine Learning', 'SEM Analysis', 'Optimization'],
+    description: 'AI-powered nanomaterial characterization using computer vision to classify SEM images and predict properties.'
+  },
+  {
+    track: 'Nano + Wearables',
+    icon: '👕',
+    title: 'Hydration monitoring skin patch',
+    tags: ['Health Tech', 'Flexible', 'Biocompatible'],
+    description: 'Flexible skin patches for continuous hydration monitoring using nanotech sensors and wireless data transmission.'
+  },
+  {
+    track: 'Nano + Energy',
+    icon: '⚡',
+    title: 'Piezoelectric energy harvesters',
+    tags: ['Harvesting', 'Sustainable', 'Piezoelectric'],
+    description: 'Low-cost energy harvesters using piezoelectric nanomaterials to power IoT devices from ambient vibrations.'
+  },
+  {
+    track: 'Nano + BioHack',
+    icon: '🧬',
+    title: 'Smart wound dressings',
+    tags: ['Biotech', 'Medical', 'Antimicrobial'],
+    description: 'Smart wound dressings combining bacterial cellulose with silver nanoparticles for accelerated healing.'
+  },
+  {
+    track: 'Nano + CleanTech',
+    icon: '🌱',
+    title: 'Paper-based nanosensors',
+    tags: ['Environmental', 'Paper-based', 'Accessible'],
+    description: 'Paper-based nanosensors for affordable water quality testing in developing regions with smartphone readout.'
+  }
+];
+
+async function seed() {
+  const service = new DatabaseService();
+  if (await service.storage.projects.count() > 0) {
+    console.log('Projects already exist, nothing to seed');
+    return;
+  }
+  for (const project of TRACKS) {
+    await service.addProject({ ...project, status: 'active' });
+  }
+  console.log(`Seeded ${TRACKS.length} projects`);
+}
+
+seed().then(() => process.exit(0), (err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,346 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { setTestEnv, callHandler, bootstrapAdmin, createMembers, outboxMessages, ADMIN } from "./helpers.js";
+
+setTestEnv();
+const { default: handler, dbService } = await import("../atomsmiths_db_api.js");
+
+let adminToken;
+let alice;
+let bob;
+let lead;
+
+const login = (email, password, headers) => callHandler(handler, {
+  method: 'POST', query: { action: 'auth', sub: 'login' }, body: { email, password }, headers
+});
+
+const me = (token) => callHandler(handler, { query: { action: 'auth', sub: 'me' }, token });
+
+// Bearer token times are whole seconds, so a revocation only reaches tokens from an earlier second
+const nextSecond = () => new Promise(resolve => setTimeout(resolve, 1100));
+
+async function mailedSignInToken(email) {
+  await callHandler(handler, { method: 'POST', query: { action: 'auth', sub: 'magic-link' }, body: { email } });
+  const message = outboxMessages().findLast(m => m.to === email && m.subject.includes('sign-in'));
+  return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+}
+
+// Signs in with an emailed link and returns the session cookie
+async function signInWithLink(email) {
+  const token = await mailedSignInToken(email);
+  const { headers } = await callHandler(handler, { method: 'POST', query: { action: 'auth', sub: 'magic' }, body: { token } });
+  return headers['set-cookie'].split(';')[0];
+}
+
+before(async () => {
+  adminToken = await bootstrapAdmin(handler);
+  [alice, bob, lead] = await createMembers(dbService, [
+    { name: 'Alice Member', email: 'alice@example.com' },
+    { name: 'Bob Member', email: 'bob@example.com' },
+    { name: 'Lee Lead', email: 'lead@example.com', role: 'core-team' }
+  ]);
+});
+
+test('bootstrap refuses a second admin', async () => {
+  const { status } = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'auth', sub: 'bootstrap' },
+    body: { name: 'Second Admin', email: 'second@example.com', password: 'second-password' },
+    headers: { 'x-bootstrap-token': process.env.AUTH_BOOTSTRAP_TOKEN }
+  });
+  assert.equal(status, 403);
+});
+
+test('bootstrap requires the bootstrap token', async () => {
+  const { status } = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'auth', sub: 'bootstrap' },
+    body: { name: 'Someone Else', email: 'else@example.com', password: 'else-password' },
+    headers: { 'x-bootstrap-token': 'wrong' }
+  });
+  assert.equal(status, 403);
+});
+
+test('admins can log in with their password', async () => {
+  const ok = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'auth', sub: 'login' },
+    body: { email: ADMIN.email, password: ADMIN.password }
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.data.member.role, 'admin');
+  assert.ok(ok.body.data.token);
+
+  const wrong = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'auth', sub: 'login' },
+    body: { email: ADMIN.email, password: 'not-the-password' }
+  });
+  assert.equal(wrong.status, 401);
+});
+
+test('opening a sign-in link does not use it up; confirming it does', async () => {
+  const token = await mailedSignInToken('alice@example.com');
+
+  // A mail scanner fetching the link twice gets the confirm page both times
+  for (let i = 0; i < 2; i++) {
+    const opened = await callHandler(handler, { query: { action: 'auth', sub: 'magic', token } });
+    assert.equal(opened.status, 302);
+    assert.equal(opened.headers.location, `/profile?signin=${encodeURIComponent(token)}`);
+    assert.equal(opened.headers['set-cookie'], undefined);
+  }
+
+  const magic = { method: 'POST', query: { action: 'auth', sub: 'magic' }, body: { token } };
+  const confirmed = await callHandler(handler, magic);
+  assert.equal(confirmed.status, 200);
+  assert.match(confirmed.headers['set-cookie'], /^atomsmiths_session=/);
+
+  const again = await callHandler(handler, magic);
+  assert.equal(again.status, 400);
+  assert.match(again.body.error, /already been used/);
+});
+
+test('revoking sessions and changing the password end older bearer tokens', async () => {
+  const [member] = await createMembers(dbService, [{ name: 'Tess Token', email: 'tess@example.com' }]);
+  await dbService.setMemberPassword(member.id, 'first-password');
+  const first = (await login('tess@example.com', 'first-password')).body.data.token;
+  const second = (await login('tess@example.com', 'first-password')).body.data.token;
+  await nextSecond();
+
+  const revoked = await callHandler(handler, { method: 'DELETE', query: { action: 'auth', sub: 'sessions' }, token: first });
+  assert.equal(revoked.status, 200);
+  assert.equal((await me(first)).status, 401);
+  assert.equal((await me(second)).status, 401);
+
+  const fresh = (await login('tess@example.com', 'first-password')).body.data.token;
+  assert.equal((await me(fresh)).status, 200);
+  await nextSecond();
+
+  const changed = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'auth', sub: 'password' },
+    body: { currentPassword: 'first-password', password: 'second-password' },
+    token: fresh
+  });
+  assert.equal(changed.status, 200);
+  assert.equal((await me(fresh)).status, 401);
+  assert.equal((await login('tess@example.com', 'second-password')).status, 200);
+});
+
+test('a first password needs a recent sign-in link', async () => {
+  const [member] = await createMembers(dbService, [{ name: 'Nia New', email: 'nia@example.com' }]);
+  const setPassword = (cookie) => callHandler(handler, {
+    method: 'PUT', query: { action: 'auth', sub: 'password' }, body: { password: 'my-first-password' }, headers: { cookie }
+  });
+
+  const stale = await signInWithLink('nia@example.com');
+  const [session] = await dbService.storage.sessions.find({ memberId: member.id });
+  await dbService.storage.sessions.update(session._id, { createdAt: new Date(Date.now() - 60 * 60 * 1000) });
+  assert.equal((await setPassword(stale)).status, 403);
+
+  assert.equal((await setPassword(await signInWithLink('nia@example.com'))).status, 200);
+  assert.equal((await login('nia@example.com', 'my-first-password')).status, 200);
+});
+
+test('password logins are rate limited per email and per address', async () => {
+  const headers = { 'x-forwarded-for': '203.0.113.7' };
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await login('nobody@example.com', 'wrong-password', headers)).status, 401);
+  }
+  const limited = await login('nobody@example.com', 'wrong-password', headers);
+  assert.equal(limited.status, 429);
+  assert.ok(limited.headers['retry-after']);
+
+  const other = { 'x-forwarded-for': '203.0.113.8' };
+  for (let i = 0; i < 20; i++) {
+    await login(`guess${i}@example.com`, 'wrong-password', other);
+  }
+  assert.equal((await login('someone@example.com', 'wrong-password', other)).status, 429);
+});
+
+test('public reads need no token', async () => {
+  for (const action of ['events', 'blogs', 'projects', 'stats', 'activity']) {
+    const { status } = await callHandler(handler, { query: { action } });
+    assert.equal(status, 200, action);
+  }
+});
+
+test('public profiles never expose private member fields', async () => {
+  const [carol] = await createMembers(dbService, [{ name: 'Carol Member', email: 'carol@example.com' }]);
+  const staged = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: carol.id },
+    body: { email: 'carol.new@example.com' },
+    token: carol.token
+  });
+  assert.equal(staged.status, 200);
+
+  const profile = (token) => callHandler(handler, { query: { action: 'members', id: carol.id, sub: 'profile' }, token });
+  const assertPrivate = (data) => {
+    for (const field of ['passwordHash', 'applicationHistory', 'pendingEmail']) {
+      assert.equal(field in data, false, field);
+    }
+    const text = JSON.stringify(data);
+    assert.equal(text.includes('carol.new@example.com'), false);
+  };
+
+  for (const token of [undefined, bob.token, lead.token]) {
+    const { status, body } = await profile(token);
+    assert.equal(status, 200);
+    assertPrivate(body.data);
+    assert.equal(body.data.email, null);
+    assert.equal(JSON.stringify(body.data).includes('carol@example.com'), false);
+  }
+
+  const shared = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: carol.id, sub: 'profile' },
+    body: { emailVisible: true },
+    token: carol.token
+  });
+  assert.equal(shared.status, 200);
+  const { body } = await profile();
+  assertPrivate(body.data);
+  assert.equal(body.data.email, 'carol@example.com');
+});
+
+test('the member roster needs the core team', async () => {
+  assert.equal((await callHandler(handler, { query: { action: 'members' } })).status, 401);
+  assert.equal((await callHandler(handler, { query: { action: 'members' }, token: alice.token })).status, 403);
+  assert.equal((await callHandler(handler, { query: { action: 'members' }, token: lead.token })).status, 200);
+});
+
+test('a malformed or forged token is rejected', async () => {
+  const forged = `${alice.token.slice(0, -4)}AAAA`;
+  assert.equal((await callHandler(handler, { query: { action: 'events' }, token: forged })).status, 401);
+  const { status } = await callHandler(handler, {
+    query: { action: 'events' },
+    headers: { authorization: 'Basic abc' }
+  });
+  assert.equal(status, 401);
+});
+
+test('adding members through the API needs the core team', async () => {
+  const body = { name: 'Walk In', email: 'walkin@example.com' };
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'members' }, body })).status, 401);
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'members' }, body, token: alice.token })).status, 403);
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'members' }, body, token: lead.token })).status, 201);
+});
+
+test('members can edit their own record only', async () => {
+  const own = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: alice.id },
+    body: { department: 'Physics' },
+    token: alice.token
+  });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.department, 'Physics');
+
+  const other = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: bob.id },
+    body: { department: 'Physics' },
+    token: alice.token
+  });
+  assert.equal(other.status, 403);
+});
+
+test('only admins change roles', async () => {
+  const self = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: alice.id },
+    body: { role: 'admin' },
+    token: alice.token
+  });
+  assert.equal(self.status, 403);
+
+  const admin = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'members', id: bob.id },
+    body: { role: 'core-team' },
+    token: adminToken
+  });
+  assert.equal(admin.status, 200);
+  assert.equal(admin.body.data.role, 'core-team');
+});
+
+test('only admins delete members', async () => {
+  const [target] = await createMembers(dbService, [{ name: 'Temp Member', email: 'temp@example.com' }]);
+  const query = { action: 'members', id: target.id };
+
+  assert.equal((await callHandler(handler, { method: 'DELETE', query })).status, 401);
+  assert.equal((await callHandler(handler, { method: 'DELETE', query, token: target.token })).status, 403);
+  assert.equal((await callHandler(handler, { method: 'DELETE', query, token: lead.token })).status, 403);
+  assert.equal((await callHandler(handler, { method: 'DELETE', query, token: adminToken })).status, 200);
+});
+
+test('tokens already issued follow role changes and deletion', async () => {
+  const [member] = await createMembers(dbService, [{ name: 'Dana Demoted', email: 'dana@example.com' }]);
+  const roster = { query: { action: 'members' }, token: member.token };
+  const setRole = (role) => callHandler(handler, {
+    method: 'PUT', query: { action: 'members', id: member.id }, body: { role }, token: adminToken
+  });
+
+  await setRole('core-team');
+  assert.equal((await callHandler(handler, roster)).status, 200);
+
+  await setRole('member');
+  assert.equal((await callHandler(handler, roster)).status, 403);
+
+  await callHandler(handler, { method: 'DELETE', query: { action: 'members', id: member.id }, token: adminToken });
+  assert.equal((await callHandler(handler, { query: { action: 'events' }, token: member.token })).status, 401);
+});
+
+test('members write and edit only their own blog posts', async () => {
+  const [author, other] = await createMembers(dbService, [
+    { name: 'Carol Author', email: 'carol@example.com' },
+    { name: 'Dan Other', email: 'dan@example.com' }
+  ]);
+  const created = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'blogs' },
+    body: { title: 'Carol writes', content: 'Draft text', status: 'draft' },
+    token: author.token
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.authorId, author.id);
+  const blogId = String(created.body.data._id);
+
+  const impersonated = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'blogs' },
+    body: { title: 'Not mine', content: 'Text', authorId: author.id },
+    token: other.token
+  });
+  assert.equal(impersonated.status, 403);
+
+  const ownEdit = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'blogs', id: blogId },
+    body: { title: 'Carol rewrites' },
+    token: author.token
+  });
+  assert.equal(ownEdit.status, 200);
+
+  const otherEdit = await callHandler(handler, {
+    method: 'PUT',
+    query: { action: 'blogs', id: blogId },
+    body: { title: 'Hijacked' },
+    token: other.token
+  });
+  assert.equal(otherEdit.status, 403);
+
+  // Authors can't publish their own posts; the core team can
+  const publish = { method: 'PUT', query: { action: 'blogs', id: blogId }, body: { status: 'published' } };
+  assert.equal((await callHandler(handler, { ...publish, token: author.token })).status, 403);
+  assert.equal((await callHandler(handler, { ...publish, token: lead.token })).status, 200);
+});
+
+test('event changes need the core team', async () => {
+  const eventDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+  const body = { title: 'Lab night', eventDate };
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'events' }, body })).status, 401);
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'events' }, body, token: alice.token })).status, 403);
+  assert.equal((await callHandler(handler, { method: 'POST', query: { action: 'events' }, body, token: lead.token })).status, 201);
+});
@@ -0,0 +1,68 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { setTestEnv, callHandler, createMembers } from "./helpers.js";
+
+setTestEnv();
+const { default: handler, dbService } = await import("../atomsmiths_db_api.js");
+
+let author;
+let reader;
+let lead;
+let scheduled;
+
+const titles = (body) => body.data.map(blog => blog.title).sort();
+
+before(async () => {
+  [author, reader, lead] = await createMembers(dbService, [
+    { name: 'Ann Author', email: 'ann@example.com' },
+    { name: 'Rob Reader', email: 'rob@example.com' },
+    { name: 'Lee Lead', email: 'lead@example.com', role: 'core-team' }
+  ]);
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  await dbService.addBlog({ title: 'Live post', content: 'Out now', authorId: author.id, status: 'published' });
+  await dbService.addBlog({ title: 'Draft post', content: 'Not yet', authorId: author.id, status: 'draft' });
+  scheduled = await dbService.addBlog({
+    title: 'Scheduled post', content: 'Tomorrow', authorId: author.id, status: 'published', publishAt: tomorrow
+  });
+});
+
+test('the public listing shows live posts only', async () => {
+  const { status, body } = await callHandler(handler, { query: { action: 'blogs' } });
+  assert.equal(status, 200);
+  assert.deepEqual(titles(body), ['Live post']);
+});
+
+test('filtering by published status does not reveal scheduled posts', async () => {
+  for (const token of [undefined, reader.token]) {
+    const { status, body } = await callHandler(handler, { query: { action: 'blogs', status: 'published' }, token });
+    assert.equal(status, 200);
+    assert.deepEqual(titles(body), ['Live post']);
+  }
+});
+
+test('the core team sees scheduled posts when filtering by status', async () => {
+  const { body } = await callHandler(handler, { query: { action: 'blogs', status: 'published' }, token: lead.token });
+  assert.deepEqual(titles(body), ['Live post', 'Scheduled post']);
+});
+
+test('other statuses need the core team or the author', async () => {
+  const query = { action: 'blogs', status: 'draft' };
+  assert.equal((await callHandler(handler, { query })).status, 401);
+  assert.equal((await callHandler(handler, { query, token: reader.token })).status, 403);
+  assert.deepEqual(titles((await callHandler(handler, { query, token: lead.token })).body), ['Draft post']);
+});
+
+test('authors see their own unpublished posts', async () => {
+  const { body } = await callHandler(handler, { query: { action: 'blogs', author: author.id }, token: author.token });
+  assert.deepEqual(titles(body), ['Draft post', 'Live post', 'Scheduled post']);
+
+  const asReader = await callHandler(handler, { query: { action: 'blogs', author: author.id }, token: reader.token });
+  assert.deepEqual(titles(asReader.body), ['Live post']);
+});
+
+test('a scheduled post is not found before its publish date', async () => {
+  const query = { action: 'blogs', id: String(scheduled._id) };
+  assert.equal((await callHandler(handler, { query })).status, 404);
+  assert.equal((await callHandler(handler, { query: { action: 'blogs', slug: scheduled.slug } })).status, 404);
+  assert.equal((await callHandler(handler, { query, token: author.token })).status, 200);
+});
@@ -0,0 +1,119 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { issueMemberToken } from "../lib/auth.js";
+
+/**
+ * Shared setup for the test suites (run with `npm test`).
+ *
+ * Everything runs offline: the in-memory storage adapter stands in for
+ * MongoDB and emails go to a throwaway outbox directory. Call setTestEnv()
+ * before importing atomsmiths_db_api.js, whose handler builds its service
+ * from the environment on import.
+ */
+
+export const ADMIN = { name: 'Ada Admin', email: 'admin@example.com', password: 'admin-password' };
+
+export function setTestEnv(overrides = {}) {
+  Object.assign(process.env, {
+    DB_TYPE: 'memory',
+    AUTH_SECRET: 'test-secret',
+    AUTH_BOOTSTRAP_TOKEN: 'test-bootstrap',
+    MAIL_TRANSPORT: 'outbox',
+    MAIL_OUTBOX_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'atomsmiths-outbox-')),
+    SITE_URL: 'http://localhost:3000',
+    RATE_LIMIT_STORE: 'memory',
+    ...overrides
+  });
+  delete process.env.DB_FILE;
+  delete process.env.ALLOWED_EMAIL_DOMAINS;
+}
+
+/**
+ * Minimal stand-in for the Vercel response object. The result of a call
+ * is `{ status, body, headers }`.
+ */
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end(body) { if (body !== undefined) this.body = body; return this; }
+  };
+  return res;
+}
+
+/**
+ * Calls a serverless `handler` the way Vercel would
+ */
+export async function callHandler(handler, { method = 'GET', query = {}, body, token, headers = {} } = {}) {
+  const req = {
+    method,
+    query,
+    body,
+    headers: { ...(token && { authorization: `Bearer ${token}` }), ...headers },
+    socket: { remoteAddress: '127.0.0.1' }
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+/**
+ * Messages written to the outbox, oldest first
+ */
+export function outboxMessages() {
+  const dir = process.env.MAIL_OUTBOX_DIR;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+/**
+ * Creates the first admin through the bootstrap endpoint and returns its token
+ */
+export async function bootstrapAdmin(handler) {
+  const { body } = await callHandler(handler, {
+    method: 'POST',
+    query: { action: 'auth', sub: 'bootstrap' },
+    body: ADMIN,
+    headers: { 'x-bootstrap-token': process.env.AUTH_BOOTSTRAP_TOKEN }
+  });
+  return body.data.token;
+}
+
+/**
+ * Adds accepted members straight to the roster (as an import would) and
+ * returns a bearer token for each
+ */
+export async function createMembers(service, members) {
+  const tokens = [];
+  for (const member of members) {
+    const now = new Date();
+    const record = await service.storage.members.insert({
+      name: member.name,
+      email: member.email,
+      department: member.department || null,
+      year: member.year || null,
+      interests: null,
+      role: member.role || 'member',
+      applicationStatus: 'accepted',
+      applicationHistory: [],
+      emailVerified: true,
+      appliedAt: now,
+      statusChangedAt: now,
+      joinedAt: now,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    tokens.push({ id: String(record._id), token: issueMemberToken(record) });
+  }
+  return tokens;
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTestEnv, callHandler } from "./helpers.js";
+
+setTestEnv();
+const { default: join } = await import("../api/join.js");
+const { dbService } = await import("../atomsmiths_db_api.js");
+const { signToken } = await import("../lib/auth.js");
+
+// A token for a form shown `ms` ago, as if the visitor had been typing since
+const shownAgo = (ms) => signToken({ purpose: 'form', form: 'join', shownAt: Date.now() - ms }, 60 * 60);
+
+const apply = (body, headers) => callHandler(join, { method: 'POST', body, headers });
+
+test('GET issues a signed form token', async () => {
+  const { status, body, headers } = await callHandler(join);
+  assert.equal(status, 200);
+  assert.equal(typeof body.data.formToken, 'string');
+  assert.equal(headers['cache-control'], 'no-store');
+});
+
+test('a form submitted right after it was shown is refused', async () => {
+  const { body: { data } } = await callHandler(join);
+  const { status, body } = await apply({ name: 'Quick Bot', email: 'bot@example.com', formToken: data.formToken });
+  assert.equal(status, 400);
+  assert.match(body.error, /quick/);
+});
+
+test('the fill time is not taken from the browser', async () => {
+  const { status } = await apply({ name: 'Quick Bot', email: 'bot@example.com', fillTime: 60000 });
+  assert.equal(status, 400);
+
+  const forged = `${shownAgo(60000).slice(0, -4)}AAAA`;
+  assert.equal((await apply({ name: 'Quick Bot', email: 'bot@example.com', formToken: forged })).status, 400);
+
+  const otherForm = signToken({ purpose: 'form', form: 'other', shownAt: Date.now() - 60000 }, 60 * 60);
+  assert.equal((await apply({ name: 'Quick Bot', email: 'bot@example.com', formToken: otherForm })).status, 400);
+});
+
+test('a person who took their time gets through', async () => {
+  const { status, body } = await apply({ name: 'Real Person', email: 'person@example.com', formToken: shownAgo(10000) });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  const member = await dbService.storage.members.findOne({ email: 'person@example.com' });
+  assert.equal(member.applicationStatus, 'pending');
+});
+
+test('the honeypot pretends to succeed', async () => {
+  const { status } = await apply({ name: 'Honey Bot', email: 'honey@example.com', website: 'spam.example', formToken: shownAgo(10000) });
+  assert.equal(status, 200);
+  assert.equal(await dbService.storage.members.findOne({ email: 'honey@example.com' }), null);
+});
+
+test('oversized bodies are rejected', async () => {
+  const { status } = await apply({ name: 'Big Bot', email: 'big@example.com', interests: 'x'.repeat(5000), formToken: shownAgo(10000) });
+  assert.equal(status, 413);
+});
@@ -0,0 +1,510 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTestEnv, createMembers, outboxMessages } from "./helpers.js";
+
+setTestEnv();
+const { createStorage } = await import("../lib/storage/index.js");
+const { createMailer } = await import("../lib/mail/index.js");
+const { DatabaseService } = await import("../atomsmiths_db_api.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each test gets its own empty in-memory database
+const newService = () => new DatabaseService(createStorage('memory', { file: null }), createMailer('outbox'));
+
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+const tokenIn = (message) => message.text.match(/token=([\w.-]+)/)[1];
+
+test('sign-ups are unverified, pending applications until the email link is used', async () => {
+  const service = newService();
+  const member = await service.registerMember({ name: 'Grace Hopper', email: 'Grace@Example.com' });
+  assert.equal(member.email, 'grace@example.com');
+  assert.equal(member.applicationStatus, 'pending');
+  assert.equal(member.emailVerified, false);
+  assert.equal(member.joinedAt, null);
+
+  const message = outboxMessages().findLast(m => m.to === 'grace@example.com');
+  assert.ok(message, 'a verification email was sent');
+  const verified = await service.verifyMemberEmail(tokenIn(message));
+  assert.equal(verified.emailVerified, true);
+
+  await assert.rejects(
+    service.registerMember({ name: 'Grace Hopper', email: 'grace@example.com' }),
+    { name: 'ConflictError' }
+  );
+});
+
+test('signing up again before verifying keeps the application and re-sends the link', async () => {
+  const service = newService();
+  const emailsTo = (address) => outboxMessages().filter(m => m.to === address).length;
+  const first = await service.registerMember({ name: 'Hedy Lamarr', email: 'hedy@example.com', department: 'Physics' });
+
+  // Within the resend interval nothing more is sent
+  const again = await service.registerMember({ name: 'Someone Else', email: 'hedy@example.com' });
+  assert.equal(String(again._id), String(first._id));
+  assert.equal(again.name, 'Hedy Lamarr');
+  assert.equal(emailsTo('hedy@example.com'), 1);
+
+  const sent = await service.storage.notifications.find({ memberId: String(first._id) });
+  for (const notification of sent) {
+    await service.storage.notifications.update(notification._id, { createdAt: new Date(Date.now() - DAY_MS) });
+  }
+  const later = await service.registerMember({ name: 'Hedy Lamarr', email: 'hedy@example.com' });
+  assert.equal(String(later._id), String(first._id));
+  assert.equal(later.applicationHistory.length, 1);
+  assert.equal(emailsTo('hedy@example.com'), 2);
+  assert.equal(await service.storage.notifications.count({ memberId: String(first._id) }), 2);
+  assert.equal(await service.storage.members.count({ email: 'hedy@example.com' }), 1);
+
+  // The new link verifies the original record
+  await service.verifyMemberEmail(tokenIn(outboxMessages().findLast(m => m.to === 'hedy@example.com')));
+  assert.equal((await service.getMemberById(first._id)).emailVerified, true);
+});
+
+test('a new email address only takes effect once it is confirmed', async () => {
+  const service = newService();
+  const [ann] = await createMembers(service, [{ name: 'Ann', email: 'ann@example.com' }]);
+  await service.requestMagicLink('ann@example.com');
+  const { session } = await service.redeemMagicLink(tokenIn(outboxMessages().findLast(m => m.to === 'ann@example.com')));
+
+  const staged = await service.updateMember(ann.id, { email: 'ann@new.example.com' });
+  assert.equal(staged.email, 'ann@example.com');
+  assert.equal(staged.pendingEmail, 'ann@new.example.com');
+  assert.equal(staged.emailVerified, true);
+
+  const message = outboxMessages().findLast(m => m.to === 'ann@new.example.com');
+  assert.ok(message, 'the confirmation went to the new address');
+  await assert.rejects(service.verifyMemberEmail(tokenIn(message)), { name: 'AuthError' });
+
+  const changed = await service.confirmEmailChange(tokenIn(message));
+  assert.equal(changed.email, 'ann@new.example.com');
+  assert.equal(changed.pendingEmail, null);
+  assert.ok((await service.storage.sessions.findById(session._id)).revokedAt, 'old sessions are signed out');
+
+  // Links are single-use in effect: nothing is pending any more
+  await assert.rejects(service.confirmEmailChange(tokenIn(message)), { name: 'AuthError' });
+});
+
+test('an email change to a taken address is refused', async () => {
+  const service = newService();
+  const [ann] = await createMembers(service, [
+    { name: 'Ann', email: 'ann@example.com' },
+    { name: 'Ben', email: 'ben@example.com' }
+  ]);
+  await assert.rejects(service.updateMember(ann.id, { email: 'ben@example.com' }), { name: 'ConflictError' });
+
+  // Re-entering the current address cancels a staged change
+  await service.updateMember(ann.id, { email: 'ann@new.example.com' });
+  const cancelled = await service.updateMember(ann.id, { email: 'ann@example.com' });
+  assert.equal(cancelled.pendingEmail, null);
+});
+
+test('invalid sign-ups are rejected field by field', async () => {
+  const service = newService();
+  await assert.rejects(
+    service.registerMember({ name: 'G', email: 'not-an-email', year: '9th Year' }),
+    (error) => {
+      assert.equal(error.name, 'ValidationError');
+      assert.deepEqual(Object.keys(error.fields).sort(), ['email', 'name', 'year']);
+      return true;
+    }
+  );
+});
+
+test('accepting an application sets the join date and records the review', async () => {
+  const service = newService();
+  const [reviewer] = await createMembers(service, [{ name: 'Lee Lead', email: 'lead@example.com', role: 'core-team' }]);
+  const applicant = await service.registerMember({ name: 'Alan Turing', email: 'alan@example.com' });
+  await service.verifyMemberEmail(tokenIn(outboxMessages().findLast(m => m.to === 'alan@example.com')));
+
+  await service.reviewApplication(applicant._id, { status: 'interview' }, { id: reviewer.id });
+  const accepted = await service.reviewApplication(applicant._id, { status: 'accepted', note: 'Welcome' }, { id: reviewer.id });
+
+  assert.equal(accepted.applicationStatus, 'accepted');
+  assert.ok(accepted.joinedAt);
+  assert.deepEqual(accepted.applicationHistory.map(entry => entry.to), ['pending', 'interview', 'accepted']);
+  assert.equal(accepted.applicationHistory[2].reviewerName, 'Lee Lead');
+
+  await assert.rejects(
+    service.reviewApplication(applicant._id, { status: 'rejected' }, { id: reviewer.id }),
+    { name: 'ConflictError' }
+  );
+});
+
+test('a roster import does not flood the public feed with joins', async () => {
+  const service = newService();
+  const [reviewer] = await createMembers(service, [{ name: 'Lee Lead', email: 'lead@example.com', role: 'core-team' }]);
+  const applicant = await service.registerMember({ name: 'New Applicant', email: 'new@example.com' });
+  await service.verifyMemberEmail(tokenIn(outboxMessages().findLast(m => m.to === 'new@example.com')));
+  await service.reviewApplication(applicant._id, { status: 'accepted' }, { id: reviewer.id });
+
+  const rows = Array.from({ length: 30 }, (_, i) => ({ name: `Alumnus ${i}`, email: `alum${i}@example.com` }));
+  const result = await service.importMembers({ rows });
+  assert.equal(result.created, 30);
+
+  const feed = await service.getRecentActivity(50);
+  assert.deepEqual(
+    feed.filter(activity => activity.activityType === 'member_joined').map(activity => activity.description),
+    ['New Applicant joined the club']
+  );
+  // The audit log still has every imported member
+  assert.equal(await service.storage.activities.count({ action: 'import', entityType: 'member' }), 30);
+});
+
+test('full events waitlist RSVPs and promote them when a spot frees up', async () => {
+  const service = newService();
+  const [ann, ben, cat] = await createMembers(service, [
+    { name: 'Ann', email: 'ann@example.com' },
+    { name: 'Ben', email: 'ben@example.com' },
+    { name: 'Cat', email: 'cat@example.com' }
+  ]);
+  const event = await service.addEvent({ title: 'Cleanroom tour', eventDate: inDays(3).toISOString(), capacity: 2 });
+
+  assert.equal((await service.rsvpToEvent(event._id, ann.id)).status, 'going');
+  assert.equal((await service.rsvpToEvent(event._id, ben.id)).status, 'going');
+  assert.equal((await service.rsvpToEvent(event._id, cat.id)).status, 'waitlisted');
+
+  await service.cancelRsvp(event._id, ann.id);
+  const promoted = await service.getRsvp(event._id, cat.id);
+  assert.equal(promoted.status, 'going');
+  assert.ok(promoted.checkInCode);
+
+  const checkedIn = await service.checkInAttendee(event._id, promoted.checkInCode.toLowerCase());
+  assert.ok(checkedIn.checkedInAt);
+  await assert.rejects(service.checkInAttendee(event._id, promoted.checkInCode), { name: 'ValidationError' });
+
+  const attendees = await service.getEventAttendees(event._id);
+  assert.equal(attendees.goingCount, 2);
+  assert.equal(attendees.checkedInCount, 1);
+});
+
+test('RSVPs racing for the last spot do not overfill an event', async () => {
+  const service = newService();
+  const members = await createMembers(service, [
+    { name: 'Ann', email: 'ann@example.com' },
+    { name: 'Ben', email: 'ben@example.com' },
+    { name: 'Cat', email: 'cat@example.com' }
+  ]);
+  const event = await service.addEvent({ title: 'Cleanroom tour', eventDate: inDays(3).toISOString(), capacity: 1 });
+
+  const rsvps = await Promise.all(members.map(member => service.rsvpToEvent(event._id, member.id)));
+  assert.deepEqual(rsvps.map(rsvp => rsvp.status).sort(), ['going', 'waitlisted', 'waitlisted']);
+  assert.equal((await service.getEventAttendees(event._id)).goingCount, 1);
+
+  // Promotion after a cancellation races a new RSVP for the freed spot the same way
+  const going = rsvps.find(rsvp => rsvp.status === 'going');
+  const [dan] = await createMembers(service, [{ name: 'Dan', email: 'dan@example.com' }]);
+  await Promise.all([service.cancelRsvp(event._id, going.memberId), service.rsvpToEvent(event._id, dan.id)]);
+  assert.equal((await service.getEventAttendees(event._id)).goingCount, 1);
+});
+
+test('members check in to each session of a repeating event', async () => {
+  const service = newService();
+  const [ann] = await createMembers(service, [{ name: 'Ann', email: 'ann@example.com' }]);
+  const start = inDays(-14);
+  const series = await service.storage.events.insert({
+    title: 'Lab hours', eventDate: start, rrule: 'FREQ=WEEKLY', capacity: null, deletedAt: null, createdAt: inDays(-20)
+  });
+  const { checkInCode } = await service.rsvpToEvent(series._id, ann.id);
+  const during = (weeks) => new Date(start.getTime() + weeks * 7 * DAY_MS + 10 * 60 * 1000);
+
+  await service.checkInAttendee(series._id, checkInCode, null, during(0));
+  await assert.rejects(service.checkInAttendee(series._id, checkInCode, null, during(0)), { name: 'ConflictError' });
+  await assert.rejects(service.checkInAttendee(series._id, checkInCode, null, during(0.5)), { name: 'ValidationError' });
+  const second = await service.checkInAttendee(series._id, checkInCode, null, during(1));
+  assert.equal(second.checkedInAt.getTime(), during(1).getTime());
+
+  const attendees = await service.getEventAttendees(series._id);
+  assert.equal(attendees.checkedInCount, 2);
+  assert.deepEqual(attendees.sessions.map(session => session.checkedInCount), [1, 1]);
+
+  const profile = await service.getPublicProfile(ann.id);
+  assert.equal(profile.eventsAttended.length, 1);
+  assert.equal(profile.eventsAttended[0].sessions, 2);
+
+  // Attending earlier sessions doesn't stop a member giving up their seat for the rest
+  assert.equal((await service.cancelRsvp(series._id, ann.id)).status, 'cancelled');
+});
+
+test('weekly occurrences keep their local time across a daylight saving change', async () => {
+  const service = newService();
+  // 6pm in New York: EDT (UTC-4) until 3 November 2030, EST (UTC-5) after
+  const series = await service.addEvent({
+    title: 'Lab hours', eventDate: '2030-10-21T22:00:00Z', recurrence: 'weekly', timezone: 'America/New_York'
+  });
+  const window = [new Date('2030-10-20T00:00:00Z'), new Date('2030-11-12T00:00:00Z')];
+  const starts = async () => (await service.getOccurrences(...window)).map(o => o.eventDate.toISOString());
+
+  assert.deepEqual(await starts(), [
+    '2030-10-21T22:00:00.000Z', '2030-10-28T22:00:00.000Z', '2030-11-04T23:00:00.000Z', '2030-11-11T23:00:00.000Z'
+  ]);
+
+  await service.cancelOccurrence(series._id, '20301028T220000Z');
+  assert.deepEqual(await starts(), ['2030-10-21T22:00:00.000Z', '2030-11-04T23:00:00.000Z', '2030-11-11T23:00:00.000Z']);
+  const [, cancelled] = await service.getOccurrences(...window, { includeCancelled: true });
+  assert.equal(cancelled.cancelled, true);
+
+  await service.updateOccurrence(series._id, '20301104T230000Z', { location: 'Cleanroom' });
+  const moved = (await service.getOccurrences(...window)).find(o => o.occurrenceId === '20301104T230000Z');
+  assert.equal(moved.location, 'Cleanroom');
+});
+
+test('monthly occurrences skip months without their day', async () => {
+  const service = newService();
+  await service.addEvent({ title: 'Month-end review', eventDate: '2030-01-31T17:00:00Z', recurrence: 'FREQ=MONTHLY;COUNT=3', timezone: 'UTC' });
+  await service.addEvent({ title: 'Leap day social', eventDate: '2032-02-29T17:00:00Z', recurrence: 'FREQ=MONTHLY;INTERVAL=12;COUNT=2', timezone: 'UTC' });
+
+  const starts = async (from, to) => (await service.getOccurrences(new Date(from), new Date(to)))
+    .map(o => o.eventDate.toISOString().slice(0, 10));
+  assert.deepEqual(await starts('2030-01-01', '2031-01-01'), ['2030-01-31', '2030-03-31', '2030-05-31']);
+  // COUNT counts occurrences, not the years without a 29 February
+  assert.deepEqual(await starts('2032-01-01', '2041-01-01'), ['2032-02-29', '2036-02-29']);
+});
+
+test('event pages walk expanded occurrences without repeats or gaps', async () => {
+  const service = newService();
+  // Two series and a one-off all starting at the same moment tie on eventDate
+  const start = '2030-03-04T18:00:00Z';
+  await service.addEvent({ title: 'Welding', eventDate: start, recurrence: 'weekly', timezone: 'UTC' });
+  await service.addEvent({ title: 'Casting', eventDate: start, recurrence: 'weekly', timezone: 'UTC' });
+  await service.addEvent({ title: 'Open day', eventDate: start });
+  const window = { from: '2030-03-01T00:00:00Z', to: '2030-03-29T00:00:00Z' };
+
+  const walk = async (sort) => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await service.getEvents({ ...window, sort, limit: 2, cursor });
+      assert.ok(page.items.length <= 2);
+      seen.push(...page.items);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+
+  for (const sort of ['eventDate', '-eventDate']) {
+    const seen = await walk(sort);
+    const keys = seen.map(o => `${o._id}:${o.occurrenceId}`);
+    assert.equal(seen.length, 9);
+    assert.equal(new Set(keys).size, 9);
+    const times = seen.map(o => o.eventDate.getTime());
+    const ordered = [...times].sort((a, b) => sort === 'eventDate' ? a - b : b - a);
+    assert.deepEqual(times, ordered);
+  }
+
+  const first = await service.getEvents({ ...window, limit: 2 });
+  await assert.rejects(
+    service.getEvents({ ...window, sort: 'title', limit: 2, cursor: first.nextCursor }),
+    { name: 'ValidationError' }
+  );
+});
+
+test('activity log pages cover entries that share a timestamp', async () => {
+  const service = newService();
+  for (let i = 0; i < 8; i++) await service.addEvent({ title: `Event ${i}`, eventDate: inDays(i + 1).toISOString() });
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await service.getActivityLog({ entityType: 'event', operation: 'create', limit: 3, cursor });
+    seen.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.equal(seen.length, 8);
+  assert.equal(new Set(seen.map(entry => String(entry._id))).size, 8);
+  const times = seen.map(entry => new Date(entry.createdAt).getTime());
+  assert.deepEqual(times, [...times].sort((a, b) => b - a));
+});
+
+test('flagged comments wait for moderation and only their author sees them', async () => {
+  const service = newService();
+  const [author, reader, lead] = await createMembers(service, [
+    { name: 'Ann Author', email: 'ann@example.com' },
+    { name: 'Rob Reader', email: 'rob@example.com' },
+    { name: 'Lee Lead', email: 'lead@example.com', role: 'core-team' }
+  ]);
+  const ann = { id: author.id, role: 'member' };
+  const rob = { id: reader.id, role: 'member' };
+  const blog = await service.addBlog({ title: 'Anodizing notes', content: 'Notes.', authorId: author.id, status: 'published' });
+
+  const flagsOf = async (comment) => (await service.storage.comments.findById(comment._id)).flags;
+  const clean = await service.addComment(blog._id, ann, { content: 'Great write-up' });
+  assert.equal(clean.status, 'approved');
+
+  // Lookalike digits and accents don't get past the blocklist
+  const sworn = await service.addComment(blog._id, ann, { content: 'This bath is sh1t' });
+  assert.equal(sworn.status, 'pending');
+  assert.deepEqual(await flagsOf(sworn), ['profanity']);
+  assert.deepEqual(await flagsOf(await service.addComment(blog._id, ann, { content: 'Fûck, the b@th is dead' })), ['profanity']);
+
+  const linked = await service.addComment(blog._id, ann, { content: 'Cheap anodes at spam.xyz' });
+  assert.equal(linked.status, 'pending');
+  assert.deepEqual(await flagsOf(linked), ['link']);
+
+  // The core team is trusted even when a check trips
+  const fromLead = await service.addComment(blog._id, { id: lead.id, role: 'core-team' }, { content: 'Datasheet: https://example.com' });
+  assert.equal(fromLead.status, 'approved');
+
+  const shown = (thread) => thread.map(comment => String(comment._id));
+  const forAuthor = await service.getComments(blog._id, ann);
+  assert.ok(shown(forAuthor).includes(String(sworn._id)));
+  assert.equal(forAuthor.find(comment => String(comment._id) === String(linked._id)).content, 'Cheap anodes at spam.xyz');
+  for (const viewer of [rob, null]) {
+    assert.deepEqual(shown(await service.getComments(blog._id, viewer)), [String(clean._id), String(fromLead._id)]);
+  }
+
+  await service.moderateComment(linked._id, { status: 'approved' }, { id: lead.id });
+  assert.ok(shown(await service.getComments(blog._id, rob)).includes(String(linked._id)));
+
+  process.env.COMMENT_MODERATION = 'all';
+  try {
+    assert.equal((await service.addComment(blog._id, rob, { content: 'Thanks!' })).status, 'pending');
+    assert.equal((await service.addComment(blog._id, { id: lead.id, role: 'core-team' }, { content: 'Thanks!' })).status, 'approved');
+  } finally {
+    delete process.env.COMMENT_MODERATION;
+  }
+});
+
+test('getDashboardStats counts live records only', async () => {
+  const service = newService();
+  const [ann, ben] = await createMembers(service, [
+    { name: 'Ann', email: 'ann@example.com' },
+    { name: 'Ben', email: 'ben@example.com' }
+  ]);
+  await service.registerMember({ name: 'Unverified Uma', email: 'uma@example.com' });
+
+  const upcoming = await service.addEvent({ title: 'Upcoming talk', eventDate: inDays(2).toISOString() });
+  const trashed = await service.addEvent({ title: 'Trashed talk', eventDate: inDays(4).toISOString() });
+  const past = await service.storage.events.insert({ title: 'Past talk', eventDate: inDays(-2), deletedAt: null, createdAt: inDays(-10) });
+  // A series under way is upcoming; one that has ended is past
+  await service.storage.events.insert({ title: 'Lab hours', eventDate: inDays(-14), rrule: 'FREQ=WEEKLY', deletedAt: null, createdAt: inDays(-20) });
+  await service.storage.events.insert({ title: 'Spring sessions', eventDate: inDays(-40), rrule: 'FREQ=WEEKLY;COUNT=2', deletedAt: null, createdAt: inDays(-50) });
+
+  const going = await service.rsvpToEvent(upcoming._id, ann.id);
+  await service.rsvpToEvent(upcoming._id, ben.id);
+  await service.checkInAttendee(upcoming._id, going.checkInCode);
+
+  // Neither trashed events nor past ones leave RSVPs open
+  await service.rsvpToEvent(trashed._id, ann.id);
+  const trashedCheckIn = await service.rsvpToEvent(trashed._id, ben.id);
+  await service.checkInAttendee(trashed._id, trashedCheckIn.checkInCode);
+  await service.deleteEvent(trashed._id);
+  await service.storage.rsvps.insert({ eventId: String(past._id), memberId: ann.id, status: 'going', checkedInAt: null, createdAt: inDays(-3) });
+  const pastCheckIn = await service.storage.rsvps.insert({ eventId: String(past._id), memberId: ben.id, status: 'going', checkedInAt: inDays(-2), createdAt: inDays(-3) });
+  await service.storage.checkIns.insert({ eventId: String(past._id), rsvpId: String(pastCheckIn._id), memberId: ben.id, occurrenceId: null, checkedInAt: inDays(-2) });
+
+  await service.addBlog({ title: 'Live post', content: 'Hello', authorId: ann.id, status: 'published' });
+  await service.addBlog({ title: 'Scheduled post', content: 'Soon', authorId: ann.id, status: 'published', publishAt: inDays(1).toISOString() });
+  await service.addBlog({ title: 'Needs review', content: 'Check me', authorId: ben.id, status: 'in-review' });
+
+  const stats = await service.getDashboardStats();
+  assert.equal(stats.totalMembers, 2);
+  assert.equal(stats.newMembersToday, 2);
+  assert.equal(stats.unverifiedSignups, 1);
+  assert.equal(stats.pendingApplications, 0);
+  assert.equal(stats.upcomingEvents, 2);
+  assert.equal(stats.pastEvents, 2);
+  assert.equal(stats.totalBlogs, 1);
+  assert.equal(stats.newBlogsToday, 1);
+  assert.equal(stats.blogsInReview, 1);
+  assert.equal(stats.activeRsvps, 1);
+  assert.equal(stats.totalCheckIns, 2);
+  assert.equal(stats.checkInsToday, 1);
+
+  await assert.rejects(service.getDashboardStats({ timeZone: 'Mars/Olympus' }), { name: 'ValidationError' });
+});
+
+test('getAnalytics counts each occurrence of a repeating event', async () => {
+  const service = newService();
+  const insert = (title, days, rrule = null) => service.storage.events.insert({
+    title, eventDate: inDays(days), rrule, deletedAt: null, createdAt: inDays(-60)
+  });
+  await insert('Old talk', -40.5);
+  await insert('Spring sessions', -35.5, 'FREQ=WEEKLY;COUNT=2');
+  await insert('Lab hours', -14.5, 'FREQ=WEEKLY');
+
+  const analytics = await service.getAnalytics({
+    from: inDays(-21).toISOString().slice(0, 10),
+    to: inDays(-2).toISOString().slice(0, 10),
+    interval: 'week',
+    timezone: 'UTC'
+  });
+  // Lab hours at -14.5 and -7.5 days; the old talk and both spring sessions came before
+  assert.equal(analytics.events.counts.reduce((sum, count) => sum + count, 0), 2);
+  assert.equal(analytics.events.cumulative.at(-1), 5);
+});
+
+test('getMemberStats breaks accepted members down by department and year', async () => {
+  const service = newService();
+  await createMembers(service, [
+    { name: 'Ann', email: 'ann@example.com', department: 'Physics', year: '1st Year' },
+    { name: 'Ben', email: 'ben@example.com', department: 'Physics', year: '2nd Year' },
+    { name: 'Cat', email: 'cat@example.com', department: 'Chemistry', year: '1st Year' },
+    { name: 'Dan', email: 'dan@example.com', department: 'Physics', year: '1st Year' }
+  ]);
+  await service.registerMember({ name: 'Pending Pat', email: 'pat@example.com', department: 'Chemistry' });
+
+  const { departmentStats, yearStats } = await service.getMemberStats();
+  assert.deepEqual(departmentStats, [
+    { department: 'Physics', memberCount: 3, percentage: 75 },
+    { department: 'Chemistry', memberCount: 1, percentage: 25 }
+  ]);
+  assert.deepEqual(yearStats, [
+    { year: '1st Year', memberCount: 3 },
+    { year: '2nd Year', memberCount: 1 }
+  ]);
+});
+
+test('exports of applications leave out unconfirmed sign-ups', async () => {
+  const service = newService();
+  await service.registerMember({ name: 'Vera Verified', email: 'vera@example.com' });
+  await service.verifyMemberEmail(tokenIn(outboxMessages().findLast(m => m.to === 'vera@example.com')));
+  await service.registerMember({ name: 'Uma Unverified', email: 'uma@example.com' });
+
+  const { body } = await service.exportMembers({ status: 'pending', format: 'json', fields: ['name'] });
+  assert.deepEqual(JSON.parse(body), [{ name: 'Vera Verified' }]);
+});
+
+test('trashed records are hidden until restored', async () => {
+  const service = newService();
+  const [ann] = await createMembers(service, [{ name: 'Ann', email: 'ann@example.com' }]);
+  const blog = await service.addBlog({ title: 'Trash me', content: 'Bye', authorId: ann.id, status: 'published' });
+
+  await service.deleteBlog(blog._id);
+  assert.equal(await service.getBlogById(blog._id), null);
+  assert.equal((await service.getTrash('blogs')).length, 1);
+
+  await service.restoreBlog(blog._id);
+  assert.equal((await service.getBlogById(blog._id)).title, 'Trash me');
+});
+
+test('bootstrapping an admin restores a trashed member with that email', async () => {
+  const service = newService();
+  const [ann] = await createMembers(service, [{ name: 'Ann', email: 'ann@example.com' }]);
+  await service.deleteMember(ann.id);
+
+  const admin = await service.bootstrapAdmin({ name: 'Ann', email: 'ann@example.com', password: 'admin-password' });
+  assert.equal(admin.role, 'admin');
+  assert.equal(admin.deletedAt, null);
+  assert.equal((await service.authenticateMember('ann@example.com', 'admin-password')).role, 'admin');
+  await assert.rejects(
+    service.bootstrapAdmin({ name: 'Other', email: 'other@example.com', password: 'admin-password' }),
+    { name: 'AuthError' }
+  );
+});
+
+test('the memory adapter persists to DB_FILE between runs', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'atomsmiths-db-')), 'db.json');
+  const first = new DatabaseService(createStorage('memory', { file }), createMailer('outbox'));
+  const event = await first.addEvent({ title: 'Persisted', eventDate: inDays(5).toISOString() });
+
+  const second = new DatabaseService(createStorage('memory', { file }), createMailer('outbox'));
+  const reloaded = await second.getEventById(event._id);
+  assert.equal(reloaded.title, 'Persisted');
+  assert.ok(reloaded.eventDate instanceof Date);
+});
@@ -0,0 +1,240 @@
+import { describe, test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTestEnv } from "./helpers.js";
+
+/**
+ * Contract tests every storage adapter must pass; the same checks run
+ * against each backend.
+ *
+ *   memory   always
+ *   mongodb  when TEST_MONGODB_URI is set; uses TEST_MONGODB_DB (default atomsmiths_test)
+ *   mysql    when TEST_MYSQL_DATABASE is set; a migrated scratch database
+ *            reached with the usual MYSQL_HOST, MYSQL_USER etc.
+ *
+ * The collections the tests touch are emptied before each test, so never
+ * point these at real data.
+ */
+
+setTestEnv();
+const { createStorage } = await import("../lib/storage/index.js");
+const { connectToMongoDB } = await import("../lib/storage/mongo.js");
+const { connectToMySQL } = await import("../lib/storage/mysql.js");
+const { createMailer } = await import("../lib/mail/index.js");
+const { DatabaseService } = await import("../atomsmiths_db_api.js");
+
+const BACKENDS = [
+  {
+    type: 'memory',
+    enabled: true,
+    setup() {},
+    async teardown() {}
+  },
+  {
+    type: 'mongodb',
+    enabled: Boolean(process.env.TEST_MONGODB_URI),
+    setup() {
+      process.env.MONGODB_URI = process.env.TEST_MONGODB_URI;
+      process.env.MONGODB_DB = process.env.TEST_MONGODB_DB || 'atomsmiths_test';
+    },
+    async teardown() {
+      await (await connectToMongoDB()).client.close();
+    }
+  },
+  {
+    type: 'mysql',
+    enabled: Boolean(process.env.TEST_MYSQL_DATABASE),
+    setup() {
+      process.env.MYSQL_DATABASE = process.env.TEST_MYSQL_DATABASE;
+    },
+    async teardown() {
+      await (await connectToMySQL()).end();
+    }
+  }
+];
+
+const TOUCHED = ['members', 'events', 'blogs', 'rsvps', 'activities', 'notifications'];
+
+// Whole seconds, since MySQL DATETIME columns drop milliseconds
+const at = (day) => new Date(Date.UTC(2030, 0, day, 18, 0, 0));
+
+const ids = (docs) => docs.map(doc => String(doc._id));
+
+function event(title, day, extra = {}) {
+  return {
+    title,
+    description: null,
+    eventDate: at(day),
+    location: 'Lab 1',
+    capacity: null,
+    tags: [],
+    deletedAt: null,
+    createdAt: at(1),
+    updatedAt: at(1),
+    ...extra
+  };
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.type} storage`, { skip: !backend.enabled && `set up a ${backend.type} test database to run` }, () => {
+    let storage;
+
+    before(() => {
+      backend.setup();
+      storage = createStorage(backend.type, {});
+    });
+
+    beforeEach(async () => {
+      for (const name of TOUCHED) {
+        await storage[name].deleteMany({});
+      }
+    });
+
+    after(() => backend.teardown());
+
+    test('insert returns the document with an ID that findById accepts', async () => {
+      const created = await storage.events.insert(event('Lab night', 10));
+      assert.ok(created._id);
+      const found = await storage.events.findById(String(created._id));
+      assert.equal(found.title, 'Lab night');
+      assert.equal(new Date(found.eventDate).getTime(), at(10).getTime());
+      assert.equal(await storage.events.findById('does-not-exist'), null);
+    });
+
+    test('find supports equality, null and comparison filters', async () => {
+      const [a, b, c] = [
+        await storage.events.insert(event('Alpha', 10)),
+        await storage.events.insert(event('Beta', 12, { location: 'Hall' })),
+        await storage.events.insert(event('Gamma', 14, { deletedAt: at(2) }))
+      ];
+
+      assert.deepEqual(ids(await storage.events.find({ location: 'Hall' })), ids([b]));
+      assert.deepEqual(ids(await storage.events.find({ deletedAt: null }, { sort: { eventDate: 1 } })), ids([a, b]));
+      assert.deepEqual(ids(await storage.events.find({ deletedAt: { $ne: null } })), ids([c]));
+      assert.deepEqual(
+        ids(await storage.events.find({ eventDate: { $gt: at(10), $lte: at(14) } }, { sort: { eventDate: 1 } })),
+        ids([b, c])
+      );
+    });
+
+    test('find supports $in, $nin, $or and $and', async () => {
+      const a = await storage.events.insert(event('Alpha', 10, { capacity: 10 }));
+      const b = await storage.events.insert(event('Beta', 12, { capacity: 20 }));
+      const c = await storage.events.insert(event('Gamma', 14));
+      const byDate = { sort: { eventDate: 1 } };
+
+      assert.deepEqual(ids(await storage.events.find({ capacity: { $in: [10, null] } }, byDate)), ids([a, c]));
+      assert.deepEqual(ids(await storage.events.find({ capacity: { $nin: [10] } }, byDate)), ids([b, c]));
+      assert.deepEqual(
+        ids(await storage.events.find({ $or: [{ title: 'Alpha' }, { capacity: 20 }] }, byDate)),
+        ids([a, b])
+      );
+      assert.deepEqual(
+        ids(await storage.events.find({ $and: [{ eventDate: { $gte: at(12) } }, { $or: [{ capacity: null }, { capacity: 10 }] }] })),
+        ids([c])
+      );
+    });
+
+    test('array fields match when they contain the value', async () => {
+      const tagged = await storage.events.insert(event('Workshop', 10, { tags: ['workshop', 'nano'] }));
+      await storage.events.insert(event('Social', 11, { tags: ['social'] }));
+      assert.deepEqual(ids(await storage.events.find({ tags: 'nano' })), ids([tagged]));
+    });
+
+    test('find sorts, limits and skips', async () => {
+      for (const [title, day] of [['C', 13], ['A', 11], ['D', 14], ['B', 12]]) {
+        await storage.events.insert(event(title, day));
+      }
+      const titles = (docs) => docs.map(doc => doc.title);
+      assert.deepEqual(titles(await storage.events.find({}, { sort: { eventDate: -1 } })), ['D', 'C', 'B', 'A']);
+      assert.deepEqual(titles(await storage.events.find({}, { sort: { eventDate: 1 }, limit: 2, skip: 1 })), ['B', 'C']);
+      assert.deepEqual(
+        titles(await storage.events.find({}, { sort: { location: 1, title: -1 }, limit: 2 })),
+        ['D', 'C']
+      );
+    });
+
+    test('count, update, delete and deleteMany', async () => {
+      const a = await storage.events.insert(event('Alpha', 10));
+      await storage.events.insert(event('Beta', 11));
+      await storage.events.insert(event('Gamma', 12, { location: 'Hall' }));
+
+      assert.equal(await storage.events.count({}), 3);
+      assert.equal(await storage.events.count({ location: 'Lab 1' }), 2);
+
+      const updated = await storage.events.update(String(a._id), { title: 'Alpha 2', capacity: 5 });
+      assert.equal(updated.title, 'Alpha 2');
+      assert.equal(updated.capacity, 5);
+      assert.equal(updated.location, 'Lab 1');
+
+      assert.equal(await storage.events.delete(String(a._id)), true);
+      assert.equal(await storage.events.delete(String(a._id)), false);
+      assert.equal(await storage.events.deleteMany({ location: 'Lab 1' }), 1);
+      assert.equal(await storage.events.count({}), 1);
+    });
+
+    test('JSON and boolean fields round-trip', async () => {
+      const member = await storage.members.insert({
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        emailVerified: false,
+        skills: ['python', 'afm'],
+        applicationHistory: [{ from: null, to: 'pending' }],
+        deletedAt: null,
+        createdAt: at(1),
+        updatedAt: at(1)
+      });
+      const found = await storage.members.findById(String(member._id));
+      assert.equal(found.emailVerified, false);
+      assert.deepEqual(found.skills, ['python', 'afm']);
+      assert.deepEqual(found.applicationHistory, [{ from: null, to: 'pending' }]);
+      assert.equal((await storage.members.findOne({ email: 'ada@example.com', emailVerified: false })).name, 'Ada Lovelace');
+    });
+
+    test('stats.countBy groups by a field, largest group first', async () => {
+      for (const status of ['going', 'going', 'waitlisted', 'going', 'cancelled']) {
+        await storage.rsvps.insert({ eventId: 'e1', memberId: status, status, createdAt: at(1) });
+      }
+      await storage.rsvps.insert({ eventId: 'e2', memberId: 'x', status: 'going', createdAt: at(1) });
+
+      const counts = await storage.stats.countBy('rsvps', 'status', { eventId: 'e1' });
+      assert.deepEqual(counts[0], { value: 'going', count: 3 });
+      assert.deepEqual(
+        Object.fromEntries(counts.map(({ value, count }) => [value, count])),
+        { going: 3, waitlisted: 1, cancelled: 1 }
+      );
+    });
+
+    test('search matches words of the given fields within the filter', async () => {
+      const blog = (title, content, extra = {}) => storage.blogs.insert({
+        title, content, slug: title.toLowerCase().replace(/\W+/g, '-'), status: 'published',
+        tags: [], deletedAt: null, createdAt: at(1), updatedAt: at(1), ...extra
+      });
+      const inTitle = await blog('Graphene transistors', 'A build log');
+      const inBody = await blog('Build log', 'Notes on graphene oxide');
+      await blog('Graphene draft', 'Unfinished', { status: 'draft' });
+      await blog('Unrelated post', 'Nothing to see');
+
+      const results = await storage.blogs.search('graphene', {
+        fields: { title: 3, content: 1 },
+        filter: { status: 'published' },
+        limit: 10
+      });
+      assert.deepEqual(ids(results).sort(), ids([inTitle, inBody]).sort());
+      assert.deepEqual(await storage.blogs.search('', { fields: { title: 3, content: 1 } }), []);
+    });
+
+    test('DatabaseService runs on the adapter', async () => {
+      const service = new DatabaseService(storage, createMailer('outbox'));
+      const member = await service.registerMember({ name: 'Grace Hopper', email: 'grace@example.com' });
+      assert.equal(member.applicationStatus, 'pending');
+      assert.equal(member.emailVerified, false);
+      assert.equal(await storage.members.count({ email: 'grace@example.com', applicationStatus: 'pending' }), 1);
+
+      const future = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      const created = await service.addEvent({ title: 'Lab night', eventDate: future.toISOString(), tags: ['Lab'] });
+      const page = await service.getEvents({ tag: 'lab' });
+      assert.deepEqual(ids(page.items), ids([created]));
+      assert.equal(await storage.activities.count({ entityType: 'event', action: 'create' }), 1);
+    });
+  });
+}